@@ -8,9 +8,11 @@ export const CONFIG = {
   app: {
     name: 'Account Check-in Command Center',
     version: '2.0.0',
-    storageKey: 'accc-dashboard-state',
+    storageKey: 'accc-dashboard-state', // Legacy localStorage key, migrated on first run
     credentialsKey: 'accc-credentials',
-    historyKey: 'accc-history'
+    historyKey: 'accc-history',
+    databaseName: 'accc-dashboard',
+    databaseVersion: 3
   },
 
   // Theme Settings
@@ -32,14 +34,27 @@ export const CONFIG = {
   // Reset Settings
   reset: {
     autoReset: true,
-    resetTime: '00:00', // 24-hour format
-    timezone: 'local' // or specific timezone like 'America/New_York'
+    resetTime: '00:00', // 24-hour format, check-ins before this count toward the previous day
+    timezone: 'local' // or an IANA timezone like 'America/New_York'
+  },
+
+  // Archive Settings
+  archive: {
+    retentionDays: 30 // Archived sites are deleted for good after this many days, 0 to keep forever
+  },
+
+  // Cross-tab Sync Settings
+  sync: {
+    channelName: 'accc-sync', // BroadcastChannel name
+    storageKey: 'accc-sync-message', // localStorage fallback where BroadcastChannel is missing
+    maxMergeAttempts: 3 // Retries when another tab keeps writing the same records
   },
 
   // Security Settings
   security: {
     masterPasswordEnabled: false,
     autoLockMinutes: 15, // 0 to disable
+    lockWhenHiddenMinutes: 5, // Lock if the tab stays hidden this long, 0 to disable
     clipboardClearSeconds: 30,
     requireAuthOnStart: false,
     encryptionAlgorithm: 'AES-GCM',
@@ -113,7 +128,8 @@ export const CONFIG = {
     maxCredentialsPerSite: 10,
     maxTagsPerSite: 10,
     maxCustomFieldsPerCredential: 5,
-    maxHistoryEntries: 100
+    maxHistoryEntries: 100,
+    maxUndoSteps: 50
   },
 
   // Default Categories
@@ -189,5 +205,9 @@ export const EVENTS = {
   VIEW_CHANGED: 'view:changed',
   SEARCH_PERFORMED: 'search:performed',
   EXPORT_COMPLETED: 'export:completed',
-  IMPORT_COMPLETED: 'import:completed'
+  IMPORT_COMPLETED: 'import:completed',
+  VAULT_LOCKED: 'vault:locked',
+  VAULT_UNLOCKED: 'vault:unlocked',
+  DAILY_RESET: 'reset:daily',
+  SYNC_CONFLICT: 'sync:conflict'
 };
\ No newline at end of file
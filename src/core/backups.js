@@ -0,0 +1,131 @@
+/**
+ * Backups
+ * Whole-state snapshots kept in IndexedDB, rotated per kind
+ */
+
+import { database, STORES } from './database.js';
+import { generateUUID } from '../shared/constants.js';
+
+// Why a snapshot was taken; manual backups are never rotated out
+export const BACKUP_REASONS = {
+  SCHEDULED: 'scheduled',
+  MANUAL: 'manual',
+  IMPORT: 'import',
+  CLEAR: 'clear',
+  RESET: 'reset',
+  RESTORE: 'restore',
+  MIGRATION: 'migration',
+  REPAIR: 'repair'
+};
+
+class BackupStore {
+  /**
+   * Store a snapshot of the state document
+   * Credentials must already be sealed if the vault is enabled
+   * @param {Object} state - State document
+   * @param {Object} options - { reason, vault: vault record the data is sealed under, maxBackups }
+   * @returns {Promise<Object>} Backup summary (without the data)
+   */
+  async create(state, { reason, vault = null, maxBackups }) {
+    const json = JSON.stringify(state);
+    const sites = state.sites || [];
+
+    const record = {
+      id: generateUUID(),
+      createdAt: new Date().toISOString(),
+      reason,
+      version: state.version || 'unknown',
+      sites: sites.length,
+      credentials: sites.reduce((total, site) => total + (site.credentials || []).length, 0),
+      size: new TextEncoder().encode(json).length,
+      vault,
+      data: JSON.parse(json)
+    };
+
+    await database.write([{ store: STORES.BACKUPS, type: 'put', value: record }]);
+    await this.rotate(reason, maxBackups);
+
+    return this.summarize(record);
+  }
+
+  /**
+   * List backups newest first, without their data
+   */
+  async list() {
+    const records = await database.getAll(STORES.BACKUPS);
+    return records
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(record => this.summarize(record));
+  }
+
+  /**
+   * Get a full backup record, including data and vault record
+   */
+  async get(id) {
+    return (await database.get(STORES.BACKUPS, id)) || null;
+  }
+
+  /**
+   * Get the newest backup taken for a reason
+   */
+  async getLatest(reason) {
+    const backups = await this.list();
+    return backups.find(backup => backup.reason === reason) || null;
+  }
+
+  /**
+   * Delete a backup
+   */
+  async delete(id) {
+    await database.write([{ store: STORES.BACKUPS, type: 'delete', key: id }]);
+  }
+
+  /**
+   * Drop the oldest backups beyond the limit
+   * Scheduled backups rotate among themselves, and so do snapshots taken before
+   * destructive operations, so a run of imports can't push out the weekly backups
+   */
+  async rotate(reason, maxBackups) {
+    if (reason === BACKUP_REASONS.MANUAL || !(maxBackups > 0)) return;
+
+    const scheduled = reason === BACKUP_REASONS.SCHEDULED;
+    const sameKind = (await this.list()).filter(backup =>
+      backup.reason !== BACKUP_REASONS.MANUAL &&
+      (backup.reason === BACKUP_REASONS.SCHEDULED) === scheduled
+    );
+
+    const expired = sameKind.slice(maxBackups);
+    if (expired.length === 0) return;
+
+    await database.write(expired.map(backup => ({ store: STORES.BACKUPS, type: 'delete', key: backup.id })));
+  }
+
+  /**
+   * Re-write every backup through a transform, in one transaction
+   * @param {Function} transform - async (record) => updated record, or null to leave it
+   */
+  async rewrite(transform) {
+    const records = await database.getAll(STORES.BACKUPS);
+    const operations = [];
+
+    for (const record of records) {
+      const updated = await transform(record);
+      if (updated) {
+        updated.size = new TextEncoder().encode(JSON.stringify(updated.data)).length;
+        operations.push({ store: STORES.BACKUPS, type: 'put', value: updated });
+      }
+    }
+
+    await database.write(operations);
+  }
+
+  /**
+   * Backup metadata for lists
+   */
+  summarize({ data, vault, ...summary }) {
+    return { ...summary, encrypted: Boolean(vault) };
+  }
+}
+
+// Export singleton instance
+export const backupStore = new BackupStore();
\ No newline at end of file
@@ -0,0 +1,156 @@
+/**
+ * Check-in Cadence
+ * How often a site (or a single credential) needs a login, and when it is next due
+ */
+
+import { checkInDay } from './check-in-day.js';
+
+export const CADENCE_TYPES = {
+  DAILY: 'daily',
+  WEEKDAYS: 'weekdays',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  CUSTOM: 'custom'
+};
+
+const DEFAULT_CUSTOM_DAYS = 3;
+const MAX_CUSTOM_DAYS = 365;
+
+class Cadence {
+  /**
+   * Normalize a stored frequency ('weekly' or { type, everyDays }) to an object
+   */
+  normalize(frequency) {
+    const value = typeof frequency === 'string' ? { type: frequency } : (frequency || {});
+    const type = Object.values(CADENCE_TYPES).includes(value.type) ? value.type : CADENCE_TYPES.DAILY;
+
+    if (type !== CADENCE_TYPES.CUSTOM) {
+      return { type };
+    }
+
+    const everyDays = Math.round(Number(value.everyDays));
+    return {
+      type,
+      everyDays: everyDays >= 1 && everyDays <= MAX_CUSTOM_DAYS ? everyDays : DEFAULT_CUSTOM_DAYS
+    };
+  }
+
+  /**
+   * Get the cadence for a credential: its own override, otherwise the site's
+   */
+  resolve(site, credential = null) {
+    if (credential?.loginFrequency) {
+      return this.normalize(credential.loginFrequency);
+    }
+    return this.normalize(site?.metadata?.loginFrequency);
+  }
+
+  /**
+   * Day key a credential is due again after a check-in on lastDay
+   */
+  nextDueAfter(frequency, lastDay) {
+    const { type, everyDays } = this.normalize(frequency);
+
+    switch (type) {
+      case CADENCE_TYPES.WEEKDAYS: {
+        let next = checkInDay.shiftDay(lastDay, 1);
+        while (this.isWeekend(next)) {
+          next = checkInDay.shiftDay(next, 1);
+        }
+        return next;
+      }
+      case CADENCE_TYPES.WEEKLY:
+        return checkInDay.shiftDay(lastDay, 7);
+      case CADENCE_TYPES.MONTHLY:
+        return this.addMonth(lastDay);
+      case CADENCE_TYPES.CUSTOM:
+        return checkInDay.shiftDay(lastDay, everyDays);
+      default:
+        return checkInDay.shiftDay(lastDay, 1);
+    }
+  }
+
+  /**
+   * Day key a credential is next due (today if never checked in or overdue)
+   */
+  getNextDue(site, credential) {
+    const today = checkInDay.today();
+    if (!credential?.checkedInOn) return today;
+
+    const next = this.nextDueAfter(this.resolve(site, credential), checkInDay.getDayKey(credential.checkedInOn));
+    return next > today ? next : today;
+  }
+
+  /**
+   * Check if a credential needs a check-in in the current period
+   */
+  isDue(site, credential) {
+    if (!credential?.checkedInOn) return true;
+
+    const next = this.nextDueAfter(this.resolve(site, credential), checkInDay.getDayKey(credential.checkedInOn));
+    return next <= checkInDay.today();
+  }
+
+  /**
+   * Check if a credential's latest check-in still covers today
+   */
+  isSatisfied(site, credential) {
+    return !this.isDue(site, credential);
+  }
+
+  /**
+   * Earliest next due day across a site's credentials
+   */
+  getSiteNextDue(site) {
+    const days = (site?.credentials || []).map(cred => this.getNextDue(site, cred));
+    return days.length ? days.sort()[0] : null;
+  }
+
+  /**
+   * Human-readable cadence label
+   */
+  describe(frequency) {
+    const { type, everyDays } = this.normalize(frequency);
+    const labels = {
+      [CADENCE_TYPES.DAILY]: 'Daily',
+      [CADENCE_TYPES.WEEKDAYS]: 'Weekdays',
+      [CADENCE_TYPES.WEEKLY]: 'Weekly',
+      [CADENCE_TYPES.MONTHLY]: 'Monthly'
+    };
+
+    if (type === CADENCE_TYPES.CUSTOM) {
+      return everyDays === 1 ? 'Every day' : `Every ${everyDays} days`;
+    }
+    return labels[type];
+  }
+
+  /**
+   * Describe a due day relative to today ('today', 'tomorrow', 'in 5 days')
+   */
+  describeDue(dayKey) {
+    const days = checkInDay.daysBetween(checkInDay.today(), dayKey);
+    if (days <= 0) return 'today';
+    if (days === 1) return 'tomorrow';
+    return `in ${days} days`;
+  }
+
+  /**
+   * Check if a day key is a Saturday or Sunday
+   */
+  isWeekend(dayKey) {
+    const weekday = new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+    return weekday === 0 || weekday === 6;
+  }
+
+  /**
+   * Same day next month, clamped to the month's last day
+   */
+  addMonth(dayKey) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return checkInDay.toKey(Date.UTC(year, month, Math.min(day, lastDay)));
+  }
+}
+
+// Export singleton instance
+export const cadence = new Cadence();
\ No newline at end of file
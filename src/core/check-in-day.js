@@ -0,0 +1,226 @@
+/**
+ * Check-in Day Calculator
+ * Maps timestamps to check-in days using the configured reset time and timezone
+ */
+
+import { CONFIG } from '../config.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+class CheckInDay {
+  constructor() {
+    this.resetMinutes = 0;
+    this.timezone = 'local';
+    this.formatter = null;
+
+    this.configure(CONFIG.reset);
+  }
+
+  /**
+   * Apply reset time ('HH:MM') and IANA timezone (or 'local') from settings
+   */
+  configure({ resetTime, timezone } = {}) {
+    this.resetMinutes = this.parseResetTime(resetTime ?? CONFIG.reset.resetTime);
+
+    const zone = timezone ?? CONFIG.reset.timezone;
+    if (zone && zone !== 'local' && this.isValidTimezone(zone)) {
+      this.timezone = zone;
+      this.formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+      });
+    } else {
+      if (zone && zone !== 'local') {
+        console.warn(`Unknown timezone "${zone}", using local time`);
+      }
+      this.timezone = 'local';
+      this.formatter = null;
+    }
+  }
+
+  /**
+   * Parse 'HH:MM' into minutes after midnight (invalid values mean midnight)
+   */
+  parseResetTime(resetTime) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(resetTime || '').trim());
+    if (!match) return 0;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return 0;
+
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Check whether the browser knows an IANA timezone name
+   */
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Wall-clock date and time of an instant in the configured timezone
+   */
+  getWallClock(date) {
+    const d = new Date(date);
+
+    if (!this.formatter) {
+      return {
+        year: d.getFullYear(),
+        month: d.getMonth() + 1,
+        day: d.getDate(),
+        hour: d.getHours(),
+        minute: d.getMinutes()
+      };
+    }
+
+    const parts = {};
+    this.formatter.formatToParts(d).forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour,
+      minute: parts.minute
+    };
+  }
+
+  /**
+   * When the day rolls over, e.g. "at 04:30 (Europe/Paris)" or "at midnight in your local timezone"
+   */
+  describeReset() {
+    const hours = String(Math.floor(this.resetMinutes / 60)).padStart(2, '0');
+    const minutes = String(this.resetMinutes % 60).padStart(2, '0');
+    const time = this.resetMinutes === 0 ? 'midnight' : `${hours}:${minutes}`;
+    return this.timezone === 'local' ? `at ${time} in your local timezone` : `at ${time} (${this.timezone})`;
+  }
+
+  /**
+   * Hour (0-23) and weekday (0 = Sunday) of an instant in the configured timezone
+   */
+  getHourAndWeekday(date) {
+    const { year, month, day, hour } = this.getWallClock(date);
+    return { hour, weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay() };
+  }
+
+  /**
+   * Get the check-in day ('YYYY-MM-DD') an instant belongs to
+   * Times before the reset time count toward the previous day
+   */
+  getDayKey(date = new Date()) {
+    const { year, month, day, hour, minute } = this.getWallClock(date);
+    const key = this.toKey(Date.UTC(year, month - 1, day));
+
+    return hour * 60 + minute < this.resetMinutes ? this.shiftDay(key, -1) : key;
+  }
+
+  /**
+   * Get today's check-in day
+   */
+  today() {
+    return this.getDayKey(new Date());
+  }
+
+  /**
+   * Check if a timestamp falls in the current check-in day
+   */
+  isToday(date) {
+    if (!date) return false;
+    return this.getDayKey(date) === this.today();
+  }
+
+  /**
+   * Check if two timestamps fall in the same check-in day
+   */
+  isSameDay(a, b) {
+    return this.getDayKey(a) === this.getDayKey(b);
+  }
+
+  /**
+   * Move a day key by a number of days
+   */
+  shiftDay(dayKey, days) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return this.toKey(Date.UTC(year, month - 1, day + days));
+  }
+
+  /**
+   * Whole days from one day key to another
+   */
+  daysBetween(fromKey, toKey) {
+    const from = Date.parse(`${fromKey}T00:00:00Z`);
+    const to = Date.parse(`${toKey}T00:00:00Z`);
+    return Math.round((to - from) / DAY);
+  }
+
+  /**
+   * Get the instant the current check-in day ends
+   */
+  getNextReset(now = new Date()) {
+    const nextDay = this.shiftDay(this.getDayKey(now), 1);
+    return this.toInstant(nextDay, this.resetMinutes);
+  }
+
+  /**
+   * Milliseconds until the next reset
+   */
+  msUntilNextReset(now = new Date()) {
+    return Math.max(0, this.getNextReset(now).getTime() - new Date(now).getTime());
+  }
+
+  /**
+   * Convert a wall-clock day and minute in the configured timezone to an instant
+   */
+  toInstant(dayKey, minutes) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    const hour = Math.floor(minutes / 60);
+    const minute = minutes % 60;
+
+    if (!this.formatter) {
+      return new Date(year, month - 1, day, hour, minute);
+    }
+
+    // Guess with the offset at the wall-clock time, then correct once across DST changes
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    const guess = wall - this.getOffset(wall);
+    const corrected = wall - this.getOffset(guess);
+
+    // A reset time inside a spring-forward gap doesn't exist; keep the later instant
+    const clock = this.getWallClock(corrected);
+    return new Date(clock.hour === hour && clock.minute === minute ? corrected : Math.max(guess, corrected));
+  }
+
+  /**
+   * Timezone offset from UTC in milliseconds at an instant
+   */
+  getOffset(timestamp) {
+    const { year, month, day, hour, minute } = this.getWallClock(timestamp);
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    return wall - Math.floor(timestamp / MINUTE) * MINUTE;
+  }
+
+  /**
+   * Format a UTC midnight timestamp as 'YYYY-MM-DD'
+   */
+  toKey(utcTimestamp) {
+    return new Date(utcTimestamp).toISOString().split('T')[0];
+  }
+}
+
+// Export singleton instance
+export const checkInDay = new CheckInDay();
\ No newline at end of file
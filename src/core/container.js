@@ -0,0 +1,192 @@
+/**
+ * DashOrg Container
+ * Self-describing encrypted export file (.dashorg): a readable header, the
+ * encrypted payload and a checksum that tells a damaged file from a wrong password
+ */
+
+import { CONFIG } from '../config.js';
+import { cryptoService, ENVELOPE_VERSION } from './crypto.js';
+
+export const CONTAINER_FORMAT = 'dashorg';
+export const CONTAINER_VERSION = 1;
+export const CONTAINER_EXTENSION = '.dashorg';
+
+// Why open() failed; the message is shown to the user as-is
+export const CONTAINER_ERRORS = {
+  PASSWORD_REQUIRED: 'password-required',
+  WRONG_PASSWORD: 'wrong-password',
+  CORRUPT: 'corrupt',
+  UNSUPPORTED: 'unsupported'
+};
+
+const ERROR_MESSAGES = {
+  [CONTAINER_ERRORS.PASSWORD_REQUIRED]: 'This file is encrypted. Enter the password it was exported with.',
+  [CONTAINER_ERRORS.WRONG_PASSWORD]: 'Wrong password for this file',
+  [CONTAINER_ERRORS.CORRUPT]: 'The file is damaged or incomplete and cannot be decrypted',
+  [CONTAINER_ERRORS.UNSUPPORTED]: 'This file was made by a newer version of the app. Update to import it.'
+};
+
+const CHECKSUM_ALGORITHM = 'SHA-256';
+
+// PBKDF2 rounds accepted from a file: no fewer than the app writes, and few
+// enough that a crafted file can't freeze the tab while the key is derived
+const MIN_KDF_ITERATIONS = 100000;
+const MAX_KDF_ITERATIONS = 2000000;
+
+class DashorgContainer {
+  /**
+   * Check whether parsed JSON is a .dashorg container (of any version)
+   */
+  isContainer(data) {
+    return Boolean(data) && data.format === CONTAINER_FORMAT;
+  }
+
+  /**
+   * Encrypt data into a container
+   * @param {Object} options - { hint }: stored in plain text, readable without the password
+   * @returns {Promise<Object>} Container, ready for JSON.stringify()
+   */
+  async seal(data, password, { hint = '' } = {}) {
+    const salt = cryptoService.generateSalt();
+    const dataKey = await cryptoService.generateDataKey();
+    const wrappingKey = await cryptoService.deriveWrappingKey(password, salt);
+
+    const header = {
+      createdAt: new Date().toISOString(),
+      appVersion: CONFIG.app.version,
+      hint: String(hint || '').trim(),
+      kdf: cryptoService.createKdfParams(salt),
+      cipher: {
+        name: cryptoService.algorithm,
+        keyLength: cryptoService.keyLength,
+        keyWrap: 'AES-KW',
+        envelope: ENVELOPE_VERSION
+      },
+      wrappedKey: await cryptoService.wrapDataKey(dataKey, wrappingKey)
+    };
+
+    const body = {
+      format: CONTAINER_FORMAT,
+      formatVersion: CONTAINER_VERSION,
+      header,
+      payload: await cryptoService.encryptWithKey(data, dataKey)
+    };
+
+    return {
+      ...body,
+      checksum: { algorithm: CHECKSUM_ALGORITHM, value: await this.checksum(body) }
+    };
+  }
+
+  /**
+   * Decrypt a container
+   * @returns {Promise<{data: Object|null, error: string|null, message: string|null}>}
+   *   error is one of CONTAINER_ERRORS
+   */
+  async open(container, password) {
+    if (container.formatVersion > CONTAINER_VERSION) {
+      return this.failure(CONTAINER_ERRORS.UNSUPPORTED);
+    }
+    if (!this.isWellFormed(container) || !(await this.verifyChecksum(container))) {
+      return this.failure(CONTAINER_ERRORS.CORRUPT);
+    }
+    if (!password) {
+      return this.failure(CONTAINER_ERRORS.PASSWORD_REQUIRED);
+    }
+
+    const { kdf, wrappedKey } = container.header;
+    let dataKey;
+    try {
+      const wrappingKey = await cryptoService.deriveWrappingKey(
+        password,
+        cryptoService.base64ToArrayBuffer(kdf.salt),
+        kdf.iterations
+      );
+      // AES-KW checks its own integrity, so only a wrong password gets past the checksum and fails here
+      dataKey = await cryptoService.unwrapDataKey(wrappedKey, wrappingKey);
+    } catch {
+      return this.failure(CONTAINER_ERRORS.WRONG_PASSWORD);
+    }
+
+    try {
+      return { data: await cryptoService.decryptWithKey(container.payload, dataKey), error: null, message: null };
+    } catch (error) {
+      console.error('Container payload could not be decrypted:', error);
+      return this.failure(CONTAINER_ERRORS.CORRUPT);
+    }
+  }
+
+  /**
+   * Header fields that are safe to show before the file is unlocked
+   * @returns {{createdAt: string, appVersion: string, hint: string}|null}
+   */
+  describe(container) {
+    if (!this.isContainer(container) || !container.header) return null;
+
+    const { createdAt = '', appVersion = '', hint = '' } = container.header;
+    return { createdAt: String(createdAt), appVersion: String(appVersion), hint: String(hint) };
+  }
+
+  /**
+   * Check the header has everything needed to derive the key and decrypt
+   */
+  isWellFormed(container) {
+    const { header, payload, checksum } = container;
+    return Boolean(
+      Number.isInteger(container.formatVersion) &&
+      header && payload && checksum &&
+      header.kdf?.name === 'PBKDF2' &&
+      typeof header.kdf.salt === 'string' &&
+      Number.isInteger(header.kdf.iterations) &&
+      header.kdf.iterations >= MIN_KDF_ITERATIONS &&
+      header.kdf.iterations <= MAX_KDF_ITERATIONS &&
+      header.cipher?.name === cryptoService.algorithm &&
+      typeof header.wrappedKey === 'string' &&
+      typeof payload.iv === 'string' &&
+      typeof payload.ct === 'string' &&
+      checksum.algorithm === CHECKSUM_ALGORITHM
+    );
+  }
+
+  /**
+   * Compare the stored checksum with one computed from the file
+   */
+  async verifyChecksum({ checksum, ...body }) {
+    return cryptoService.timingSafeEqual(await this.checksum(body), String(checksum.value || ''));
+  }
+
+  /**
+   * SHA-256 over the format fields, header and payload, with keys sorted
+   * Catches truncation and edits; AES-GCM still authenticates the payload itself
+   */
+  async checksum({ format, formatVersion, header, payload }) {
+    const bytes = new TextEncoder().encode(this.canonicalize({ format, formatVersion, header, payload }));
+    return cryptoService.arrayBufferToBase64(await crypto.subtle.digest(CHECKSUM_ALGORITHM, bytes));
+  }
+
+  /**
+   * JSON with object keys sorted, so reformatting the file doesn't change the checksum
+   */
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Failed open() result
+   */
+  failure(error) {
+    return { data: null, error, message: ERROR_MESSAGES[error] };
+  }
+}
+
+// Export singleton instance
+export const dashorgContainer = new DashorgContainer();
\ No newline at end of file
@@ -5,6 +5,12 @@
 
 import { CONFIG } from '../config.js';
 
+// Version of the { v, iv, ct } envelope shared by at-rest fields and exports
+export const ENVELOPE_VERSION = 1;
+
+// Marks an encrypted export file
+export const ENCRYPTED_EXPORT_FORMAT = 'dashorg-encrypted';
+
 class CryptoService {
   constructor() {
     this.algorithm = 'AES-GCM';
@@ -16,7 +22,7 @@ class CryptoService {
   /**
    * Derive encryption key from master password
    */
-  async deriveKey(password, salt) {
+  async deriveKey(password, salt, iterations = this.iterations) {
     const encoder = new TextEncoder();
     const passwordBuffer = encoder.encode(password);
 
@@ -34,7 +40,7 @@ class CryptoService {
       {
         name: 'PBKDF2',
         salt: salt,
-        iterations: this.iterations,
+        iterations: iterations,
         hash: 'SHA-256'
       },
       keyMaterial,
@@ -59,40 +65,119 @@ class CryptoService {
   }
 
   /**
-   * Encrypt data with master password
+   * Generate a random data-encryption key (DEK)
+   * Extractable so it can be wrapped under another key-encryption key
+   */
+  async generateDataKey() {
+    return await crypto.subtle.generateKey(
+      { name: this.algorithm, length: this.keyLength },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Derive a key-encryption key (KEK) from a password for wrapping the DEK
+   */
+  async deriveWrappingKey(password, salt, iterations = this.iterations) {
+    const encoder = new TextEncoder();
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(password),
+      { name: 'PBKDF2' },
+      false,
+      ['deriveKey']
+    );
+
+    return await crypto.subtle.deriveKey(
+      {
+        name: 'PBKDF2',
+        salt: salt,
+        iterations: iterations,
+        hash: 'SHA-256'
+      },
+      keyMaterial,
+      { name: 'AES-KW', length: this.keyLength },
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+  }
+
+  /**
+   * Wrap a DEK with a KEK (AES-KW)
+   */
+  async wrapDataKey(dataKey, wrappingKey) {
+    const wrapped = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, 'AES-KW');
+    return this.arrayBufferToBase64(wrapped);
+  }
+
+  /**
+   * Unwrap a DEK with a KEK; fails if the KEK is wrong
+   */
+  async unwrapDataKey(wrappedKey, wrappingKey) {
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      this.base64ToArrayBuffer(wrappedKey),
+      wrappingKey,
+      'AES-KW',
+      { name: this.algorithm, length: this.keyLength },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Generate a high-entropy recovery key (160 bits, base32 in groups of four)
+   */
+  generateRecoveryKey() {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const bytes = crypto.getRandomValues(new Uint8Array(20));
+    let bits = '';
+    bytes.forEach(byte => {
+      bits += byte.toString(2).padStart(8, '0');
+    });
+
+    const chars = bits.match(/.{5}/g).map(chunk => alphabet[parseInt(chunk, 2)]);
+    return chars.join('').match(/.{4}/g).join('-');
+  }
+
+  /**
+   * Normalize a typed recovery key (case, spaces and dashes don't matter)
+   */
+  normalizeRecoveryKey(recoveryKey) {
+    return String(recoveryKey || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+  }
+
+  /**
+   * Describe PBKDF2 parameters for storage next to a wrapped key
+   */
+  createKdfParams(salt, iterations = this.iterations) {
+    return {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      salt: this.arrayBufferToBase64(salt),
+      iterations
+    };
+  }
+
+  /**
+   * Encrypt data with a password
+   * A fresh DEK seals the payload and is wrapped by the password-derived KEK
    */
   async encrypt(data, password) {
     try {
-      const encoder = new TextEncoder();
-      const dataBuffer = encoder.encode(JSON.stringify(data));
-
-      // Generate salt and IV
       const salt = this.generateSalt();
-      const iv = this.generateIV();
-
-      // Derive key from password
-      const key = await this.deriveKey(password, salt);
-
-      // Encrypt data
-      const encryptedData = await crypto.subtle.encrypt(
-        {
-          name: this.algorithm,
-          iv: iv
-        },
-        key,
-        dataBuffer
-      );
-
-      // Combine salt, IV, and encrypted data
-      const result = {
-        salt: this.arrayBufferToBase64(salt),
-        iv: this.arrayBufferToBase64(iv),
-        data: this.arrayBufferToBase64(encryptedData),
-        algorithm: this.algorithm,
-        iterations: this.iterations
+      const dataKey = await this.generateDataKey();
+      const wrappingKey = await this.deriveWrappingKey(password, salt);
+
+      return {
+        format: ENCRYPTED_EXPORT_FORMAT,
+        v: ENVELOPE_VERSION,
+        kdf: this.createKdfParams(salt),
+        keyWrap: 'AES-KW',
+        wrappedKey: await this.wrapDataKey(dataKey, wrappingKey),
+        payload: await this.encryptWithKey(data, dataKey)
       };
-
-      return result;
     } catch (error) {
       console.error('Encryption error:', error);
       throw new Error('Failed to encrypt data');
@@ -100,32 +185,24 @@ class CryptoService {
   }
 
   /**
-   * Decrypt data with master password
+   * Decrypt data with a password (current or legacy single-key format)
    */
   async decrypt(encryptedObject, password) {
     try {
-      // Extract components
-      const salt = this.base64ToArrayBuffer(encryptedObject.salt);
-      const iv = this.base64ToArrayBuffer(encryptedObject.iv);
-      const encryptedData = this.base64ToArrayBuffer(encryptedObject.data);
-
-      // Derive key from password
-      const key = await this.deriveKey(password, salt);
-
-      // Decrypt data
-      const decryptedData = await crypto.subtle.decrypt(
-        {
-          name: this.algorithm,
-          iv: iv
-        },
-        key,
-        encryptedData
-      );
+      if (encryptedObject.format === ENCRYPTED_EXPORT_FORMAT) {
+        const { salt, iterations } = encryptedObject.kdf;
+        const wrappingKey = await this.deriveWrappingKey(password, this.base64ToArrayBuffer(salt), iterations);
+        const dataKey = await this.unwrapDataKey(encryptedObject.wrappedKey, wrappingKey);
+        return await this.decryptWithKey(encryptedObject.payload, dataKey);
+      }
 
-      // Convert back to string and parse JSON
-      const decoder = new TextDecoder();
-      const jsonString = decoder.decode(decryptedData);
-      return JSON.parse(jsonString);
+      // Legacy: key derived straight from the password
+      const key = await this.deriveKey(
+        password,
+        this.base64ToArrayBuffer(encryptedObject.salt),
+        encryptedObject.iterations || this.iterations
+      );
+      return await this.decryptWithKey(encryptedObject, key);
     } catch (error) {
       console.error('Decryption error:', error);
       throw new Error('Failed to decrypt data - incorrect password or corrupted data');
@@ -133,7 +210,17 @@ class CryptoService {
   }
 
   /**
-   * Hash password for verification (not for encryption)
+   * Check if parsed JSON is an encrypted export (current or legacy)
+   */
+  isEncryptedExport(data) {
+    return Boolean(data) && (
+      data.format === ENCRYPTED_EXPORT_FORMAT ||
+      (typeof data.algorithm === 'string' && typeof data.salt === 'string' && typeof data.data === 'string')
+    );
+  }
+
+  /**
+   * Legacy unsalted SHA-256 hash, only used to check verifiers created before PBKDF2
    */
   async hashPassword(password) {
     const encoder = new TextEncoder();
@@ -143,46 +230,199 @@ class CryptoService {
   }
 
   /**
-   * Verify password against stored hash
+   * Run PBKDF2 and return the raw derived bits
    */
-  async verifyPassword(password, hash) {
-    const passwordHash = await this.hashPassword(password);
-    return passwordHash === hash;
+  async pbkdf2Bits(password, salt, iterations) {
+    const encoder = new TextEncoder();
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(password),
+      { name: 'PBKDF2' },
+      false,
+      ['deriveBits']
+    );
+
+    return await crypto.subtle.deriveBits(
+      {
+        name: 'PBKDF2',
+        salt: salt,
+        iterations: iterations,
+        hash: 'SHA-256'
+      },
+      keyMaterial,
+      256
+    );
+  }
+
+  /**
+   * Create a salted PBKDF2 verifier record for a password
+   * Uses its own salt so the stored hash never equals the encryption key
+   */
+  async createVerifier(password) {
+    const salt = this.generateSalt();
+    const hash = await this.pbkdf2Bits(password, salt, this.iterations);
+
+    return {
+      algorithm: 'PBKDF2-SHA-256',
+      salt: this.arrayBufferToBase64(salt),
+      iterations: this.iterations,
+      hash: this.arrayBufferToBase64(hash)
+    };
+  }
+
+  /**
+   * Verify password against a stored verifier (or legacy SHA-256 hash string)
+   */
+  async verifyPassword(password, verifier) {
+    if (!verifier) return false;
+
+    if (typeof verifier === 'string') {
+      const passwordHash = await this.hashPassword(password);
+      return this.timingSafeEqual(passwordHash, verifier);
+    }
+
+    const hash = await this.pbkdf2Bits(
+      password,
+      this.base64ToArrayBuffer(verifier.salt),
+      verifier.iterations
+    );
+    return this.timingSafeEqual(this.arrayBufferToBase64(hash), verifier.hash);
+  }
+
+  /**
+   * Check if a verifier should be replaced with a current-strength one
+   */
+  needsRehash(verifier) {
+    return typeof verifier === 'string' || !verifier ||
+      verifier.iterations < this.iterations;
+  }
+
+  /**
+   * Compare two strings without short-circuiting on the first difference
+   */
+  timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  }
+
+  /**
+   * Derive the session key once and keep it in memory
+   */
+  async unlock(password, salt, iterations = this.iterations) {
+    this.derivedKey = await this.deriveKey(password, salt, iterations);
+    return this.derivedKey;
+  }
+
+  /**
+   * Hold an already-derived key as the session key
+   */
+  useKey(key) {
+    this.derivedKey = key;
+  }
+
+  /**
+   * Check whether a session key is held in memory
+   */
+  hasKey() {
+    return this.derivedKey !== null;
+  }
+
+  /**
+   * Encrypt data with an already-derived key (fresh IV, no key derivation)
+   * Returns a versioned { v, iv, ct } envelope
+   */
+  async encryptWithKey(data, key = this.derivedKey) {
+    if (!key) {
+      throw new Error('Vault is locked');
+    }
+
+    const encoder = new TextEncoder();
+    const iv = this.generateIV();
+    const encryptedData = await crypto.subtle.encrypt(
+      {
+        name: this.algorithm,
+        iv: iv
+      },
+      key,
+      encoder.encode(JSON.stringify(data))
+    );
+
+    return {
+      v: ENVELOPE_VERSION,
+      iv: this.arrayBufferToBase64(iv),
+      ct: this.arrayBufferToBase64(encryptedData)
+    };
+  }
+
+  /**
+   * Decrypt an envelope (or legacy { iv, data } object) with an already-derived key
+   */
+  async decryptWithKey(encryptedObject, key = this.derivedKey) {
+    if (!key) {
+      throw new Error('Vault is locked');
+    }
+
+    if (encryptedObject.v !== undefined && encryptedObject.v > ENVELOPE_VERSION) {
+      throw new Error(`Unsupported envelope version ${encryptedObject.v}`);
+    }
+
+    const decryptedData = await crypto.subtle.decrypt(
+      {
+        name: this.algorithm,
+        iv: this.base64ToArrayBuffer(encryptedObject.iv)
+      },
+      key,
+      this.base64ToArrayBuffer(encryptedObject.ct ?? encryptedObject.data)
+    );
+
+    const decoder = new TextDecoder();
+    return JSON.parse(decoder.decode(decryptedData));
+  }
+
+  /**
+   * Check whether a value is an encrypted field (envelope or legacy shape)
+   */
+  isEncrypted(value) {
+    if (!value || typeof value !== 'object' || typeof value.iv !== 'string') return false;
+    return typeof value.ct === 'string' || typeof value.data === 'string';
   }
 
   /**
    * Quick encrypt for individual fields (using stored key)
    */
-  async encryptField(value, password) {
+  async encryptField(value, key = this.derivedKey) {
     if (!value) return '';
-    return await this.encrypt({ value }, password);
+    if (this.isEncrypted(value)) return value;
+    return await this.encryptWithKey({ value }, key);
   }
 
   /**
    * Quick decrypt for individual fields
    */
-  async decryptField(encryptedObject, password) {
+  async decryptField(encryptedObject, key = this.derivedKey) {
     if (!encryptedObject) return '';
-    try {
-      const decrypted = await this.decrypt(encryptedObject, password);
-      return decrypted.value || '';
-    } catch {
-      return '';
-    }
+    if (!this.isEncrypted(encryptedObject)) return encryptedObject;
+    const decrypted = await this.decryptWithKey(encryptedObject, key);
+    return decrypted.value || '';
   }
 
   /**
    * Encrypt multiple credentials
    */
-  async encryptCredentials(credentials, password) {
+  async encryptCredentials(credentials, key = this.derivedKey) {
     const encrypted = [];
     for (const cred of credentials) {
       encrypted.push({
         ...cred,
-        email: await this.encryptField(cred.email, password),
-        password: await this.encryptField(cred.password, password),
-        notes: cred.notes ? await this.encryptField(cred.notes, password) : '',
-        customFields: cred.customFields ? await this.encryptCustomFields(cred.customFields, password) : []
+        email: await this.encryptField(cred.email, key),
+        password: await this.encryptField(cred.password, key),
+        notes: cred.notes ? await this.encryptField(cred.notes, key) : '',
+        customFields: cred.customFields ? await this.encryptCustomFields(cred.customFields, key) : []
       });
     }
     return encrypted;
@@ -191,26 +431,21 @@ class CryptoService {
   /**
    * Decrypt multiple credentials
    */
-  async decryptCredentials(encryptedCredentials, password) {
+  async decryptCredentials(encryptedCredentials, key = this.derivedKey) {
     const decrypted = [];
-    for (const cred of encryptedCredentials) {
+    for (const { decryptionFailed, ...cred } of encryptedCredentials) {
       try {
         decrypted.push({
           ...cred,
-          email: await this.decryptField(cred.email, password),
-          password: await this.decryptField(cred.password, password),
-          notes: cred.notes ? await this.decryptField(cred.notes, password) : '',
-          customFields: cred.customFields ? await this.decryptCustomFields(cred.customFields, password) : []
+          email: await this.decryptField(cred.email, key),
+          password: await this.decryptField(cred.password, key),
+          notes: cred.notes ? await this.decryptField(cred.notes, key) : '',
+          customFields: cred.customFields ? await this.decryptCustomFields(cred.customFields, key) : []
         });
       } catch (error) {
         console.error('Failed to decrypt credential:', error);
-        // Return partially decrypted or placeholder
-        decrypted.push({
-          ...cred,
-          email: '[Decryption Failed]',
-          password: '[Decryption Failed]',
-          notes: ''
-        });
+        // Keep the ciphertext so a later write cannot overwrite it with a placeholder
+        decrypted.push({ ...cred, decryptionFailed: true });
       }
     }
     return decrypted;
@@ -219,12 +454,12 @@ class CryptoService {
   /**
    * Encrypt custom fields
    */
-  async encryptCustomFields(fields, password) {
+  async encryptCustomFields(fields, key = this.derivedKey) {
     const encrypted = [];
     for (const field of fields) {
       encrypted.push({
         ...field,
-        value: await this.encryptField(field.value, password)
+        value: await this.encryptField(field.value, key)
       });
     }
     return encrypted;
@@ -233,12 +468,12 @@ class CryptoService {
   /**
    * Decrypt custom fields
    */
-  async decryptCustomFields(encryptedFields, password) {
+  async decryptCustomFields(encryptedFields, key = this.derivedKey) {
     const decrypted = [];
     for (const field of encryptedFields) {
       decrypted.push({
         ...field,
-        value: await this.decryptField(field.value, password)
+        value: await this.decryptField(field.value, key)
       });
     }
     return decrypted;
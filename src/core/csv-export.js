@@ -0,0 +1,88 @@
+/**
+ * CSV Export
+ * Credential and check-in history CSVs with selectable columns
+ */
+
+import { CSV } from '../utils/csv.js';
+
+// Custom field types left out unless passwords are included
+const SECRET_FIELD_TYPES = ['hidden', 'totp'];
+
+// Columns in export order; the first six match the original export, so old imports keep working
+export const CSV_COLUMNS = [
+  { key: 'siteName', label: 'Site Name', value: ({ site }) => site.name },
+  { key: 'url', label: 'URL', value: ({ site }) => site.url },
+  { key: 'category', label: 'Category', value: ({ categoryName }) => categoryName },
+  { key: 'email', label: 'Email', value: ({ credential }) => credential.email },
+  { key: 'label', label: 'Label', value: ({ credential }) => credential.label },
+  { key: 'tags', label: 'Tags', value: ({ site }) => (site.tags || []).join(';') },
+  { key: 'password', label: 'Password', value: ({ credential }) => credential.password, secret: true },
+  { key: 'notes', label: 'Notes', value: ({ credential }) => credential.notes },
+  { key: 'customFields', label: 'Custom Fields', value: ({ credential, includePasswords }) => (credential.customFields || [])
+    .filter(field => includePasswords || !SECRET_FIELD_TYPES.includes(field.type))
+    .map(field => `${field.label}=${field.value}`)
+    .join('; ') },
+  { key: 'lastCheckIn', label: 'Last Check-in', value: ({ credential }) => credential.checkedInOn },
+  { key: 'checkIns', label: 'Check-ins', value: ({ credential }) => (credential.checkInHistory || []).length },
+  { key: 'lastPasswordChange', label: 'Password Changed', value: ({ credential }) => credential.lastPasswordChange },
+  { key: 'strength', label: 'Strength', value: ({ credential }) => credential.strength },
+  { key: 'archived', label: 'Archived', value: ({ site }) => (site.archived ? 'yes' : '') }
+];
+
+export const DEFAULT_CSV_COLUMNS = ['siteName', 'url', 'category', 'email', 'label', 'tags', 'notes', 'lastCheckIn'];
+
+const HISTORY_HEADERS = ['Site Name', 'URL', 'Label', 'Email', 'Checked In', 'Device'];
+
+class CsvExporter {
+  /**
+   * One row per credential
+   * Passwords and hidden custom fields are left out unless includePasswords is set
+   * @param {Object} state - State document with plaintext credentials
+   * @param {Object} options - { columns: column keys, includePasswords }
+   */
+  credentials(state, { columns = DEFAULT_CSV_COLUMNS, includePasswords = false } = {}) {
+    const selected = CSV_COLUMNS.filter(column =>
+      columns.includes(column.key) && (!column.secret || includePasswords)
+    );
+    const categoryNames = this.categoryNames(state);
+
+    const rows = [selected.map(column => column.label)];
+    (state.sites || []).forEach(site => {
+      const categoryName = categoryNames.get(site.category) || '';
+      (site.credentials || []).forEach(credential => {
+        rows.push(selected.map(column => column.value({ site, credential, categoryName, includePasswords })));
+      });
+    });
+
+    // Secrets are written as they are; an apostrophe would break them in other password managers
+    const verbatimColumns = selected.flatMap((column, index) => (column.secret ? [index] : []));
+    return CSV.stringify(rows, { verbatimColumns });
+  }
+
+  /**
+   * One row per check-in, oldest first
+   */
+  history(state) {
+    const entries = [];
+    (state.sites || []).forEach(site => {
+      (site.credentials || []).forEach(credential => {
+        (credential.checkInHistory || []).forEach(entry => {
+          entries.push([site.name, site.url, credential.label, credential.email, entry.timestamp, entry.device]);
+        });
+      });
+    });
+
+    entries.sort((a, b) => String(a[4]).localeCompare(String(b[4])));
+    return CSV.stringify([HISTORY_HEADERS, ...entries]);
+  }
+
+  /**
+   * Map category IDs to names
+   */
+  categoryNames(state) {
+    return new Map((state.categories || []).map(category => [category.id, category.name]));
+  }
+}
+
+// Export singleton instance
+export const csvExporter = new CsvExporter();
\ No newline at end of file
@@ -0,0 +1,198 @@
+/**
+ * IndexedDB Database
+ * Promise-based wrapper around the application's object stores
+ */
+
+import { CONFIG } from '../config.js';
+
+// Object store names
+export const STORES = {
+  SITES: 'sites',
+  CREDENTIALS: 'credentials',
+  CHECK_INS: 'checkIns',
+  SETTINGS: 'settings',
+  VAULT: 'vault',
+  BACKUPS: 'backups'
+};
+
+class Database {
+  constructor() {
+    this.name = CONFIG.app.databaseName;
+    this.version = CONFIG.app.databaseVersion;
+    this.db = null;
+  }
+
+  /**
+   * Open the database, creating or upgrading object stores as needed
+   */
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(this.name, this.version);
+
+      request.onupgradeneeded = (event) => {
+        this.upgrade(request.result, event.oldVersion);
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+
+        // Another tab upgraded the schema - let it proceed
+        this.db.onversionchange = () => this.close();
+
+        resolve(this.db);
+      };
+
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+    });
+  }
+
+  /**
+   * Create object stores for each schema version
+   */
+  upgrade(db, oldVersion) {
+    if (oldVersion < 1) {
+      db.createObjectStore(STORES.SITES, { keyPath: 'id' });
+
+      const credentials = db.createObjectStore(STORES.CREDENTIALS, { keyPath: 'id' });
+      credentials.createIndex('siteId', 'siteId', { unique: false });
+
+      const checkIns = db.createObjectStore(STORES.CHECK_INS, { keyPath: 'id' });
+      checkIns.createIndex('credentialId', 'credentialId', { unique: false });
+
+      db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+    }
+
+    if (oldVersion < 2) {
+      // Key material records, kept apart from the exportable state document
+      db.createObjectStore(STORES.VAULT, { keyPath: 'key' });
+    }
+
+    if (oldVersion < 3) {
+      // Whole-state snapshots, kept when the rest of the data is cleared
+      const backups = db.createObjectStore(STORES.BACKUPS, { keyPath: 'id' });
+      backups.createIndex('createdAt', 'createdAt', { unique: false });
+    }
+  }
+
+  /**
+   * Get a single record by key
+   */
+  async get(storeName, key) {
+    const db = await this.open();
+    return this.request(db.transaction(storeName).objectStore(storeName).get(key));
+  }
+
+  /**
+   * Get all records in a store
+   */
+  async getAll(storeName) {
+    const db = await this.open();
+    return this.request(db.transaction(storeName).objectStore(storeName).getAll());
+  }
+
+  /**
+   * Count records in a store
+   */
+  async count(storeName) {
+    const db = await this.open();
+    return this.request(db.transaction(storeName).objectStore(storeName).count());
+  }
+
+  /**
+   * Apply a batch of operations in a single readwrite transaction
+   * Operations carrying `rev` are conditional: they only apply when the stored
+   * record is still at that revision, and a put stores it at `rev + 1`
+   * @param {Array} operations - Array of {store, type: 'put'|'delete', value, key, rev} objects
+   * @returns {Promise<{conflicts: Array}>} Conditional operations that did not apply, with the stored record
+   */
+  async write(operations) {
+    if (!operations.length) return { conflicts: [] };
+
+    const db = await this.open();
+    const storeNames = [...new Set(operations.map(op => op.store))];
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, 'readwrite');
+      const conflicts = [];
+
+      const apply = (store, op) => {
+        if (op.type === 'delete') {
+          store.delete(op.key);
+        } else if (op.rev === undefined) {
+          store.put(op.value);
+        } else {
+          store.put({ ...op.value, rev: op.rev + 1 });
+        }
+      };
+
+      operations.forEach(op => {
+        const store = transaction.objectStore(op.store);
+        if (op.rev === undefined) {
+          apply(store, op);
+          return;
+        }
+
+        // Compare and write inside the same transaction so no other tab can slip in between
+        const key = op.type === 'delete' ? op.key : op.value[store.keyPath];
+        store.get(key).onsuccess = (event) => {
+          const current = event.target.result;
+          if ((current?.rev ?? 0) === op.rev && (current || op.type !== 'delete')) {
+            apply(store, op);
+          } else {
+            conflicts.push({ op, current });
+          }
+        };
+      });
+
+      transaction.oncomplete = () => resolve({ conflicts });
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Remove every record from the given stores, or from every store
+   */
+  async clear(storeNames = null) {
+    const db = await this.open();
+    storeNames = storeNames || Array.from(db.objectStoreNames);
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, 'readwrite');
+      storeNames.forEach(name => transaction.objectStore(name).clear());
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   */
+  request(idbRequest) {
+    return new Promise((resolve, reject) => {
+      idbRequest.onsuccess = () => resolve(idbRequest.result);
+      idbRequest.onerror = () => reject(idbRequest.error);
+    });
+  }
+}
+
+// Export singleton instance
+export const database = new Database();
\ No newline at end of file
@@ -0,0 +1,377 @@
+/**
+ * Import Merge
+ * Matches imported sites against the current ones and merges them record by record
+ */
+
+import { CONFIG } from '../config.js';
+import { deepClone, generateUUID } from '../shared/constants.js';
+
+export const IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace'
+};
+
+export const MATCH_STATUS = {
+  NEW: 'new',
+  CHANGED: 'changed',
+  DUPLICATE: 'duplicate'
+};
+
+// What to do with each imported site; for a new site "keep mine" means skip it
+export const MERGE_ACTIONS = {
+  KEEP_MINE: 'keepMine',
+  TAKE_THEIRS: 'takeTheirs',
+  KEEP_BOTH: 'keepBoth'
+};
+
+// Bookkeeping that differs between copies of the same record
+const SITE_IGNORED = ['id', 'rev', 'credentials', 'createdAt', 'updatedAt'];
+const CREDENTIAL_IGNORED = ['id', 'rev', 'checkInHistory', 'checkedInOn'];
+
+class ImportMerger {
+  /**
+   * Match every imported site and work out what importing it would do
+   * @param {Object} current - Current state document (credentials in plaintext)
+   * @param {Object} incoming - Validated import, at least { sites }
+   * @returns {Object} { mode, entries, removed, categories, counts }
+   */
+  plan(current, incoming, mode = IMPORT_MODES.MERGE) {
+    const currentSites = current.sites || [];
+    const byId = new Map(currentSites.map(site => [site.id, site]));
+    const byUrl = new Map();
+    currentSites.forEach(site => {
+      const url = this.normalizeUrl(site.url);
+      if (url && !byUrl.has(url)) byUrl.set(url, site);
+    });
+
+    // Each current site is matched at most once, so a file listing a URL twice adds the second.
+    // ID matches are settled first so an earlier URL match can't take a site another entry names by ID
+    const incomingSites = incoming.sites || [];
+    const matched = new Set();
+    const matches = incomingSites.map(site => {
+      const existing = byId.get(site.id);
+      if (!existing || matched.has(existing.id)) return null;
+      matched.add(existing.id);
+      return { existing, matchedBy: 'id' };
+    });
+    incomingSites.forEach((site, index) => {
+      if (matches[index]) return;
+      const existing = byUrl.get(this.normalizeUrl(site.url));
+      if (!existing || matched.has(existing.id)) return;
+      matched.add(existing.id);
+      matches[index] = { existing, matchedBy: 'url' };
+    });
+
+    const entries = incomingSites.map((site, index) =>
+      this.describeEntry(index, site, matches[index]?.existing || null, matches[index]?.matchedBy || null)
+    );
+
+    const removed = mode === IMPORT_MODES.REPLACE
+      ? currentSites.filter(site => !matched.has(site.id)).map(site => ({ id: site.id, name: site.name }))
+      : [];
+
+    const counts = { new: 0, changed: 0, duplicate: 0 };
+    entries.forEach(entry => { counts[entry.status]++; });
+
+    return {
+      mode,
+      entries,
+      removed,
+      categories: this.planCategories(current.categories || [], incoming.categories || []).added.map(category => category.name),
+      counts
+    };
+  }
+
+  /**
+   * Describe one imported site against its match
+   */
+  describeEntry(index, incoming, existing, matchedBy) {
+    if (!existing) {
+      return {
+        index,
+        name: incoming.name,
+        url: incoming.url,
+        status: MATCH_STATUS.NEW,
+        matchedBy: null,
+        existingId: null,
+        fields: [],
+        credentials: { added: incoming.credentials.length, changed: 0 },
+        action: MERGE_ACTIONS.TAKE_THEIRS
+      };
+    }
+
+    const fields = this.changedFields(existing, incoming, SITE_IGNORED);
+    const credentials = { added: 0, changed: 0 };
+    incoming.credentials.forEach(credential => {
+      const match = this.findCredential(existing.credentials || [], credential);
+      if (!match) {
+        credentials.added++;
+      } else if (this.changedFields(match, credential, CREDENTIAL_IGNORED).length > 0 || this.hasNewCheckIns(match, credential)) {
+        credentials.changed++;
+      }
+    });
+
+    const changed = fields.length > 0 || credentials.added > 0 || credentials.changed > 0;
+
+    return {
+      index,
+      name: incoming.name,
+      url: incoming.url,
+      status: changed ? MATCH_STATUS.CHANGED : MATCH_STATUS.DUPLICATE,
+      matchedBy,
+      existingId: existing.id,
+      existingName: existing.name,
+      fields,
+      credentials,
+      action: changed && this.isNewer(incoming, existing) ? MERGE_ACTIONS.TAKE_THEIRS : MERGE_ACTIONS.KEEP_MINE
+    };
+  }
+
+  /**
+   * Build the state after the import
+   * @param {Object} current - Current state document
+   * @param {Object} incoming - Validated import
+   * @param {Object} options - { mode, actions: { [entry index]: MERGE_ACTIONS } }
+   * @returns {{state: Object, summary: {added: number, updated: number, skipped: number, removed: number}}}
+   */
+  merge(current, incoming, { mode = IMPORT_MODES.MERGE, actions = {} } = {}) {
+    const plan = this.plan(current, incoming, mode);
+    if (mode === IMPORT_MODES.REPLACE) {
+      return this.replace(current, incoming, plan);
+    }
+
+    const state = deepClone(current);
+    const imported = deepClone(incoming);
+    const summary = { added: 0, updated: 0, skipped: 0, removed: 0 };
+
+    const { added, remap } = this.planCategories(state.categories || [], imported.categories || []);
+    state.categories = [...(state.categories || []), ...added];
+
+    const sites = state.sites || [];
+    const takenSiteIds = new Set(sites.map(site => site.id));
+    const takenCredentialIds = new Set(sites.flatMap(site => (site.credentials || []).map(credential => credential.id)));
+
+    plan.entries.forEach(entry => {
+      const action = actions[entry.index] || entry.action;
+      const site = imported.sites[entry.index];
+      if (site.category && remap.has(site.category)) {
+        site.category = remap.get(site.category);
+      }
+
+      if (action === MERGE_ACTIONS.KEEP_MINE) {
+        summary.skipped++;
+        return;
+      }
+
+      const existingIndex = entry.existingId ? sites.findIndex(candidate => candidate.id === entry.existingId) : -1;
+
+      if (action === MERGE_ACTIONS.TAKE_THEIRS && existingIndex !== -1) {
+        sites[existingIndex] = this.takeTheirs(sites[existingIndex], site, takenCredentialIds);
+        summary.updated++;
+        return;
+      }
+
+      // New sites keep their IDs unless taken; copies next to a match get fresh ones
+      sites.push(this.prepareNewSite(site, existingIndex !== -1, takenSiteIds, takenCredentialIds));
+      summary.added++;
+    });
+
+    state.sites = sites;
+    return { state, summary };
+  }
+
+  /**
+   * Swap the sites (and categories, if the file has them) for the imported ones
+   * Settings, analytics and the check-in day are kept
+   */
+  replace(current, incoming, plan) {
+    const state = deepClone(current);
+    const imported = deepClone(incoming);
+    const takenSiteIds = new Set();
+    const takenCredentialIds = new Set();
+
+    state.sites = imported.sites.map(site => this.prepareNewSite(site, false, takenSiteIds, takenCredentialIds));
+    if (imported.categories) {
+      state.categories = imported.categories;
+    }
+
+    return {
+      state,
+      summary: {
+        added: plan.counts.new,
+        updated: plan.counts.changed + plan.counts.duplicate,
+        skipped: 0,
+        removed: plan.removed.length
+      }
+    };
+  }
+
+  /**
+   * Update a site from its imported version
+   * Matching credentials are updated and their check-in histories combined;
+   * credentials only the current site has are kept
+   */
+  takeTheirs(existing, incoming, takenCredentialIds) {
+    const credentials = [...(existing.credentials || [])];
+
+    incoming.credentials.forEach(credential => {
+      const match = this.findCredential(credentials, credential);
+      if (!match) {
+        credentials.push(this.prepareCredential(credential, false, takenCredentialIds));
+        return;
+      }
+
+      const index = credentials.indexOf(match);
+      credentials[index] = {
+        ...match,
+        ...credential,
+        id: match.id,
+        rev: match.rev,
+        checkInHistory: this.mergeHistory(match.checkInHistory, credential.checkInHistory),
+        checkedInOn: [match.checkedInOn, credential.checkedInOn].filter(Boolean).sort().pop() || null
+      };
+    });
+
+    return {
+      ...existing,
+      ...incoming,
+      id: existing.id,
+      rev: existing.rev,
+      createdAt: existing.createdAt || incoming.createdAt,
+      credentials
+    };
+  }
+
+  /**
+   * Give an imported site IDs that don't clash with anything already stored
+   */
+  prepareNewSite(site, copy, takenSiteIds, takenCredentialIds) {
+    const { rev, ...rest } = site;
+    const id = copy || takenSiteIds.has(site.id) ? generateUUID() : site.id;
+    takenSiteIds.add(id);
+    return {
+      ...rest,
+      id,
+      name: copy ? `${site.name} (imported)` : site.name,
+      credentials: site.credentials.map(credential => this.prepareCredential(credential, copy, takenCredentialIds))
+    };
+  }
+
+  /**
+   * Give an imported credential a fresh ID if asked to or if its ID is taken
+   */
+  prepareCredential(credential, fresh, takenCredentialIds) {
+    const { rev, ...rest } = credential;
+    const id = fresh || takenCredentialIds.has(credential.id) ? generateUUID() : credential.id;
+    takenCredentialIds.add(id);
+    return { ...rest, id };
+  }
+
+  /**
+   * Split imported categories into ones already present (by ID or name) and new ones
+   * @returns {{added: Array, remap: Map<string, string>}} remap maps imported IDs to existing ones
+   */
+  planCategories(currentCategories, incomingCategories) {
+    const ids = new Set(currentCategories.map(category => category.id));
+    const byName = new Map(currentCategories.map(category => [String(category.name).trim().toLowerCase(), category]));
+    const added = [];
+    const remap = new Map();
+
+    incomingCategories.forEach(category => {
+      if (ids.has(category.id)) return;
+
+      const sameName = byName.get(String(category.name).trim().toLowerCase());
+      if (sameName) {
+        remap.set(category.id, sameName.id);
+        return;
+      }
+
+      added.push(category);
+      ids.add(category.id);
+      byName.set(String(category.name).trim().toLowerCase(), category);
+    });
+
+    return { added, remap };
+  }
+
+  /**
+   * Find the credential an imported one corresponds to, by ID or by label and email
+   */
+  findCredential(credentials, credential) {
+    const key = this.credentialKey(credential);
+    return credentials.find(candidate => candidate.id === credential.id) ||
+      credentials.find(candidate => key !== null && this.credentialKey(candidate) === key) ||
+      null;
+  }
+
+  /**
+   * Label and email, lower-cased; null when the email is sealed
+   */
+  credentialKey(credential) {
+    if (typeof credential.email !== 'string' && credential.email != null) return null;
+    return `${String(credential.label || '').trim().toLowerCase()}\n${String(credential.email || '').trim().toLowerCase()}`;
+  }
+
+  /**
+   * Combine two check-in histories, one entry per timestamp, newest first
+   */
+  mergeHistory(mine = [], theirs = []) {
+    const byTimestamp = new Map();
+    [...(mine || []), ...(theirs || [])].forEach(entry => {
+      if (!byTimestamp.has(entry.timestamp)) byTimestamp.set(entry.timestamp, entry);
+    });
+    // Newest first and capped, like storage.checkInCredential() keeps it
+    return [...byTimestamp.values()]
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .slice(0, CONFIG.limits.maxHistoryEntries);
+  }
+
+  /**
+   * Check whether an imported credential has check-ins the current one lacks
+   */
+  hasNewCheckIns(mine, theirs) {
+    const known = new Set((mine.checkInHistory || []).map(entry => entry.timestamp));
+    return (theirs.checkInHistory || []).some(entry => !known.has(entry.timestamp));
+  }
+
+  /**
+   * List the top-level fields that differ between two records
+   */
+  changedFields(a, b, ignored) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+    return [...keys].filter(key =>
+      !ignored.includes(key) && key in b && JSON.stringify(a[key] ?? null) !== JSON.stringify(b[key] ?? null)
+    );
+  }
+
+  /**
+   * Check whether the imported record was edited after the current one
+   */
+  isNewer(incoming, existing) {
+    const theirs = Date.parse(incoming.updatedAt || incoming.createdAt);
+    const mine = Date.parse(existing.updatedAt || existing.createdAt);
+    if (Number.isNaN(theirs)) return false;
+    return Number.isNaN(mine) || theirs > mine;
+  }
+
+  /**
+   * Reduce a URL to host and path so http/https, "www." and trailing slashes still match
+   */
+  normalizeUrl(url) {
+    if (typeof url !== 'string' || !url.trim()) return null;
+
+    const value = url.trim().toLowerCase();
+    try {
+      const parsed = new URL(value.includes('://') ? value : `https://${value}`);
+      const host = parsed.hostname.replace(/^www\./, '');
+      const path = parsed.pathname.replace(/\/+$/, '');
+      return `${host}${parsed.port ? `:${parsed.port}` : ''}${path}${parsed.search}`;
+    } catch {
+      return value.replace(/\/+$/, '');
+    }
+  }
+}
+
+// Export singleton instance
+export const importMerger = new ImportMerger();
\ No newline at end of file
@@ -4,6 +4,8 @@
  */
 
 import { CONFIG } from '../config.js';
+import { schemaValidator, STATE_SCHEMA } from './schema.js';
+import { checkInDay } from './check-in-day.js';
 
 class MigrationService {
   constructor() {
@@ -40,6 +42,11 @@ class MigrationService {
       }
     }
 
+    // Releases without schema changes have no migration of their own
+    if (this.compareVersions(migratedData.version || '0.0.0', this.currentVersion) < 0) {
+      migratedData.version = this.currentVersion;
+    }
+
     return migratedData;
   }
 
@@ -50,7 +57,7 @@ class MigrationService {
   async migrateTo1_0_0(data) {
     return {
       version: '1.0.0',
-      lastReset: new Date().toISOString().split('T')[0],
+      lastReset: checkInDay.today(),
       settings: data.settings || {},
       categories: data.categories || [],
       sites: data.sites || [],
@@ -173,107 +180,28 @@ class MigrationService {
   }
 
   /**
-   * Backup data before migration
-   */
-  createBackup(data) {
-    const backup = {
-      data,
-      timestamp: new Date().toISOString(),
-      version: data.version || 'unknown'
-    };
-
-    try {
-      const backups = JSON.parse(localStorage.getItem('accc-backups') || '[]');
-      backups.unshift(backup);
-      
-      // Keep only last 5 backups
-      if (backups.length > 5) {
-        backups.length = 5;
-      }
-
-      localStorage.setItem('accc-backups', JSON.stringify(backups));
-      return true;
-    } catch (error) {
-      console.error('Failed to create backup:', error);
-      return false;
-    }
-  }
-
-  /**
-   * Restore from backup
-   */
-  restoreBackup(index = 0) {
-    try {
-      const backups = JSON.parse(localStorage.getItem('accc-backups') || '[]');
-      if (backups[index]) {
-        return backups[index].data;
-      }
-      return null;
-    } catch (error) {
-      console.error('Failed to restore backup:', error);
-      return null;
-    }
-  }
-
-  /**
-   * Get all backups
-   */
-  getBackups() {
-    try {
-      return JSON.parse(localStorage.getItem('accc-backups') || '[]');
-    } catch {
-      return [];
-    }
-  }
-
-  /**
-   * Validate data structure
+   * Validate data structure against the state schema
+   * @returns {{valid: boolean, errors: string[]}} Errors are path-based, e.g. `sites[3].url is missing`
    */
   validateData(data) {
-    const errors = [];
-
-    if (!data) {
-      errors.push('Data is null or undefined');
-      return { valid: false, errors };
-    }
-
-    if (!data.sites || !Array.isArray(data.sites)) {
-      errors.push('Sites must be an array');
-    }
-
-    if (!data.categories || !Array.isArray(data.categories)) {
-      errors.push('Categories must be an array');
-    }
-
-    if (data.sites) {
-      data.sites.forEach((site, index) => {
-        if (!site.id) errors.push(`Site ${index} missing ID`);
-        if (!site.name) errors.push(`Site ${index} missing name`);
-        if (!site.url) errors.push(`Site ${index} missing URL`);
-        if (!site.credentials || !Array.isArray(site.credentials)) {
-          errors.push(`Site ${index} credentials must be an array`);
-        }
-      });
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+    const { valid, errors } = schemaValidator.validate(data, STATE_SCHEMA);
+    return { valid, errors };
   }
 
   /**
    * Repair corrupted data
+   * Restores missing top-level keys, then drops whatever still fails the schema
    */
   repairData(data) {
-    const repaired = { ...data };
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const repaired = isObject(data) ? { ...data } : {};
 
     // Ensure required fields exist
-    repaired.version = repaired.version || '1.0.0';
-    repaired.sites = repaired.sites || [];
-    repaired.categories = repaired.categories || [];
-    repaired.settings = repaired.settings || {};
-    repaired.analytics = repaired.analytics || {
+    repaired.version = typeof repaired.version === 'string' && repaired.version ? repaired.version : '1.0.0';
+    repaired.sites = Array.isArray(repaired.sites) ? repaired.sites : [];
+    repaired.categories = Array.isArray(repaired.categories) ? repaired.categories : [];
+    repaired.settings = isObject(repaired.settings) ? repaired.settings : {};
+    repaired.analytics = isObject(repaired.analytics) ? repaired.analytics : {
       totalCheckIns: 0,
       currentStreak: 0,
       longestStreak: 0,
@@ -282,13 +210,8 @@ class MigrationService {
       sitesArchived: 0
     };
 
-    // Fix sites
-    repaired.sites = repaired.sites.filter(site => site && site.id && site.name).map(site => ({
-      ...site,
-      credentials: (site.credentials || []).filter(c => c && c.id && c.email)
-    }));
-
-    return repaired;
+    // Sites missing an ID, name or URL and any invalid optional fields are removed
+    return schemaValidator.prune(repaired, STATE_SCHEMA);
   }
 }
 
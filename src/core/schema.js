@@ -0,0 +1,456 @@
+/**
+ * State Schema
+ * Declarative description of the state document, and a validator that reports
+ * errors by path (e.g. `sites[3].credentials[1].checkInHistory[0].timestamp is not a date`)
+ */
+
+import { CADENCE_TYPES } from './cadence.js';
+import { deepClone } from '../shared/constants.js';
+
+// Stop collecting after this many errors; a badly broken file would list thousands
+const MAX_ISSUES = 100;
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'a list',
+  null: 'null'
+};
+
+const FORMATS = {
+  'date-time': { name: 'a date', test: value => !Number.isNaN(Date.parse(value)) },
+  date: { name: 'a date (YYYY-MM-DD)', test: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)) },
+  time: { name: 'a time (HH:MM)', test: value => /^([01]\d|2[0-3]):[0-5]\d$/.test(value) },
+  color: { name: 'a hex color', test: value => /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) }
+};
+
+const ID = { type: 'string', minLength: 1 };
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+const OPTIONAL_TIMESTAMP = { type: ['string', 'null'], format: 'date-time' };
+const COUNT = { type: 'integer', minimum: 0 };
+
+// Credential secrets are plaintext while unlocked and AES-GCM envelopes at rest
+const SEALED_VALUE = {
+  title: 'an encrypted value',
+  type: 'object',
+  required: ['iv'],
+  properties: { iv: { type: 'string' } }
+};
+const SECRET = { anyOf: [{ type: 'string' }, SEALED_VALUE] };
+
+const CADENCE = {
+  title: 'a check-in cadence',
+  anyOf: [
+    { type: 'string', enum: Object.values(CADENCE_TYPES) },
+    {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string', enum: Object.values(CADENCE_TYPES) },
+        everyDays: { type: 'integer', minimum: 1, maximum: 365 }
+      }
+    },
+    { type: 'null' }
+  ]
+};
+
+const CUSTOM_FIELD = {
+  type: 'object',
+  required: ['value'],
+  properties: {
+    id: ID,
+    label: { type: 'string' },
+    value: SECRET,
+    type: { type: 'string', enum: ['text', 'hidden', 'url', 'totp'] }
+  }
+};
+
+const CHECK_IN = {
+  type: 'object',
+  required: ['timestamp'],
+  properties: {
+    timestamp: TIMESTAMP,
+    device: { type: 'string' }
+  }
+};
+
+export const CREDENTIAL_SCHEMA = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: ID,
+    label: { type: 'string' },
+    email: SECRET,
+    password: SECRET,
+    notes: SECRET,
+    customFields: { type: 'array', items: CUSTOM_FIELD },
+    checkedInOn: OPTIONAL_TIMESTAMP,
+    checkInHistory: { type: 'array', items: CHECK_IN },
+    loginFrequency: CADENCE,
+    lastPasswordChange: OPTIONAL_TIMESTAMP,
+    passwordExpiry: { type: ['string', 'null'] },
+    strength: { type: 'string' },
+    breached: { type: 'boolean' }
+  }
+};
+
+export const SITE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'url', 'credentials'],
+  properties: {
+    id: ID,
+    name: { type: 'string', minLength: 1 },
+    url: { type: 'string', minLength: 1 },
+    favicon: { type: ['string', 'null'] },
+    category: { type: ['string', 'null'] },
+    tags: { type: 'array', items: { type: 'string' } },
+    priority: { type: 'integer', minimum: 0, maximum: 2 },
+    color: { type: 'string', format: 'color' },
+    notes: { type: 'string' },
+    archived: { type: 'boolean' },
+    archivedAt: OPTIONAL_TIMESTAMP,
+    createdAt: TIMESTAMP,
+    updatedAt: TIMESTAMP,
+    metadata: {
+      type: 'object',
+      properties: {
+        loginFrequency: CADENCE
+      }
+    },
+    credentials: { type: 'array', items: CREDENTIAL_SCHEMA, uniqueBy: 'id' }
+  }
+};
+
+const CATEGORY = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: {
+    id: ID,
+    name: { type: 'string', minLength: 1 },
+    color: { type: 'string', format: 'color' },
+    icon: { type: 'string' },
+    order: { type: 'integer' }
+  }
+};
+
+const SETTINGS = {
+  type: 'object',
+  properties: {
+    theme: { type: 'string', enum: ['light', 'dark', 'auto'] },
+    viewMode: { type: 'string' },
+    autoReset: { type: 'boolean' },
+    resetTime: { type: 'string', format: 'time' },
+    timezone: { type: 'string' },
+    archiveRetentionDays: COUNT,
+    backup: {
+      type: 'object',
+      properties: {
+        autoBackup: { type: 'boolean' },
+        backupInterval: { type: 'integer', minimum: 1 },
+        maxBackups: { type: 'integer', minimum: 1 },
+        includeHistory: { type: 'boolean' }
+      }
+    },
+    notifications: { type: 'object' },
+    security: {
+      type: 'object',
+      properties: {
+        masterPasswordEnabled: { type: 'boolean' },
+        autoLockMinutes: { type: 'number', minimum: 0 },
+        lockWhenHiddenMinutes: { type: 'number', minimum: 0 },
+        clipboardClearSeconds: { type: 'number', minimum: 0 },
+        requireAuthOnStart: { type: 'boolean' }
+      }
+    },
+    display: { type: 'object' }
+  }
+};
+
+const ANALYTICS = {
+  type: 'object',
+  properties: {
+    totalCheckIns: COUNT,
+    currentStreak: COUNT,
+    longestStreak: COUNT,
+    averageDaily: { type: 'number', minimum: 0 },
+    sitesAdded: COUNT,
+    sitesArchived: COUNT,
+    lastCheckIn: OPTIONAL_TIMESTAMP
+  }
+};
+
+export const STATE_SCHEMA = {
+  type: 'object',
+  required: ['version', 'sites', 'categories', 'settings', 'analytics'],
+  properties: {
+    version: { type: 'string', minLength: 1 },
+    lastReset: { type: 'string', format: 'date' },
+    settings: SETTINGS,
+    categories: { type: 'array', items: CATEGORY, uniqueBy: 'id' },
+    sites: { type: 'array', items: SITE_SCHEMA, uniqueBy: 'id' },
+    analytics: ANALYTICS
+  }
+};
+
+// Imported files only need sites; the rest is taken from the current state
+export const IMPORT_SCHEMA = {
+  ...STATE_SCHEMA,
+  required: ['sites']
+};
+
+class SchemaValidator {
+  /**
+   * Validate a value against a schema
+   * @returns {{valid: boolean, errors: string[], issues: Array<{path: Array, message: string}>}}
+   */
+  validate(value, schema = STATE_SCHEMA) {
+    const issues = [];
+    this.check(value, schema, [], issues);
+
+    return {
+      valid: issues.length === 0,
+      errors: issues.map(issue => `${this.formatPath(issue.path)} ${issue.message}`),
+      issues
+    };
+  }
+
+  /**
+   * Drop whatever fails validation: optional fields are removed, and records
+   * missing a required field are removed from their list
+   * @returns {*} A repaired copy; still invalid if a required top-level key is broken
+   */
+  prune(value, schema = STATE_SCHEMA) {
+    const copy = deepClone(value);
+
+    // Each pass fixes up to MAX_ISSUES problems; removals never add new ones
+    for (let pass = 0; pass < 20; pass++) {
+      const { issues } = this.validate(copy, schema);
+      if (issues.length === 0) break;
+
+      const removals = issues
+        .map(issue => this.findRemoval(copy, schema, issue.path))
+        .filter(Boolean);
+      if (removals.length === 0) break;
+
+      this.applyRemovals(removals);
+    }
+
+    return copy;
+  }
+
+  /**
+   * Check one value, collecting issues
+   */
+  check(value, schema, path, issues) {
+    if (issues.length >= MAX_ISSUES) return;
+
+    if (schema.anyOf) {
+      const branch = this.matchBranch(schema, value);
+      if (branch) {
+        this.check(value, branch, path, issues);
+      } else {
+        issues.push({ path, message: `is not ${this.describe(schema)}` });
+      }
+      return;
+    }
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      issues.push({ path, message: `is not ${this.describe(schema)}` });
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      issues.push({ path, message: `is not one of: ${schema.enum.join(', ')}` });
+      return;
+    }
+
+    if (typeof value === 'string') {
+      this.checkString(value, schema, path, issues);
+    } else if (typeof value === 'number') {
+      this.checkNumber(value, schema, path, issues);
+    } else if (Array.isArray(value)) {
+      this.checkArray(value, schema, path, issues);
+    } else if (value && typeof value === 'object') {
+      this.checkObject(value, schema, path, issues);
+    }
+  }
+
+  /**
+   * Length and format rules for strings
+   */
+  checkString(value, schema, path, issues) {
+    if (schema.minLength && value.length < schema.minLength) {
+      issues.push({ path, message: schema.minLength === 1 ? 'is empty' : `is shorter than ${schema.minLength} characters` });
+    } else if (schema.maxLength && value.length > schema.maxLength) {
+      issues.push({ path, message: `is longer than ${schema.maxLength} characters` });
+    } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      issues.push({ path, message: `is not ${FORMATS[schema.format].name}` });
+    }
+  }
+
+  /**
+   * Range rules for numbers
+   */
+  checkNumber(value, schema, path, issues) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      issues.push({ path, message: `is less than ${schema.minimum}` });
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      issues.push({ path, message: `is more than ${schema.maximum}` });
+    }
+  }
+
+  /**
+   * Item and uniqueness rules for lists
+   */
+  checkArray(value, schema, path, issues) {
+    if (schema.items) {
+      value.forEach((item, index) => this.check(item, schema.items, [...path, index], issues));
+    }
+
+    if (schema.uniqueBy) {
+      const seen = new Map();
+      value.forEach((item, index) => {
+        const key = item?.[schema.uniqueBy];
+        if (key === undefined) return;
+
+        if (seen.has(key)) {
+          issues.push({
+            path: [...path, index, schema.uniqueBy],
+            message: `duplicates ${this.formatPath([...path, seen.get(key), schema.uniqueBy])}`
+          });
+        } else {
+          seen.set(key, index);
+        }
+      });
+    }
+  }
+
+  /**
+   * Required and per-property rules for objects
+   * Properties the schema doesn't mention are allowed
+   */
+  checkObject(value, schema, path, issues) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        issues.push({ path: [...path, key], message: 'is missing' });
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        this.check(value[key], propertySchema, [...path, key], issues);
+      }
+    });
+  }
+
+  /**
+   * Pick the anyOf branch a value should be checked against
+   * Prefers a branch it fully satisfies, then the only branch of its type
+   */
+  matchBranch(schema, value) {
+    const candidates = schema.anyOf.filter(branch => !branch.type || this.matchesType(value, branch.type));
+
+    const exact = candidates.find(branch => {
+      const issues = [];
+      this.check(value, branch, [], issues);
+      return issues.length === 0;
+    });
+
+    return exact || (candidates.length === 1 ? candidates[0] : null);
+  }
+
+  /**
+   * Check a value against a type name or list of names
+   */
+  matchesType(value, type) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(name => {
+      switch (name) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === name;
+      }
+    });
+  }
+
+  /**
+   * Describe what a schema expects, for "is not ..." messages
+   */
+  describe(schema) {
+    if (schema.title) return schema.title;
+    if (schema.anyOf) return schema.anyOf.map(branch => this.describe(branch)).join(' or ');
+
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    return types.map(type => TYPE_NAMES[type] || type).join(' or ');
+  }
+
+  /**
+   * Format a path array as `sites[3].credentials[1].label`
+   */
+  formatPath(path) {
+    if (path.length === 0) return 'data';
+
+    return path.reduce((text, key) => {
+      if (typeof key === 'number') return `${text}[${key}]`;
+      return text ? `${text}.${key}` : key;
+    }, '');
+  }
+
+  /**
+   * Find the deepest optional property or list item that contains a failing path
+   * @returns {{container: Object|Array, key: string|number}|null}
+   */
+  findRemoval(root, rootSchema, path) {
+    let removal = null;
+    let value = root;
+    let schema = rootSchema;
+
+    for (const key of path) {
+      if (value === null || typeof value !== 'object') break;
+      if (schema?.anyOf) schema = this.matchBranch(schema, value) || {};
+
+      if (Array.isArray(value)) {
+        removal = { container: value, key };
+        schema = schema?.items;
+      } else {
+        if (!(schema?.required || []).includes(key)) {
+          removal = { container: value, key };
+        }
+        schema = schema?.properties?.[key];
+      }
+
+      value = value[key];
+    }
+
+    return removal;
+  }
+
+  /**
+   * Delete properties and splice list items, highest index first
+   */
+  applyRemovals(removals) {
+    const indexesByList = new Map();
+
+    removals.forEach(({ container, key }) => {
+      if (Array.isArray(container)) {
+        if (!indexesByList.has(container)) indexesByList.set(container, new Set());
+        indexesByList.get(container).add(key);
+      } else {
+        delete container[key];
+      }
+    });
+
+    indexesByList.forEach((indexes, list) => {
+      [...indexes].sort((a, b) => b - a).forEach(index => list.splice(index, 1));
+    });
+  }
+}
+
+// Export singleton instance
+export const schemaValidator = new SchemaValidator();
\ No newline at end of file
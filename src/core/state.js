@@ -5,6 +5,18 @@
 
 import { CONFIG, EVENTS } from '../config.js';
 import { storageService } from './storage.js';
+import { vaultService } from './vault.js';
+import { checkInDay } from './check-in-day.js';
+import { cadence } from './cadence.js';
+import { syncService } from './sync.js';
+import { backupStore, BACKUP_REASONS } from './backups.js';
+import { deepClone } from '../shared/constants.js';
+
+// Re-check at least this often so sleep or timer drift can't skip a reset
+const RESET_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Top-level keys undo and redo restore, besides the changed sites and their order
+const UNDOABLE_KEYS = ['categories', 'analytics', 'lastReset'];
 
 class StateManager {
   constructor() {
@@ -17,6 +29,16 @@ class StateManager {
       tags: []
     };
     this.viewMode = CONFIG.view.defaultMode;
+    this.resetTimer = null;
+
+    // Undo entries hold before/after copies of only the sites and keys a change touched
+    this.undoStack = [];
+    this.redoStack = [];
+    this.recording = false;
+
+    // Handles messages from other tabs one at a time
+    this.syncQueue = Promise.resolve();
+    this.syncStarted = false;
   }
 
   /**
@@ -24,6 +46,10 @@ class StateManager {
    */
   async init() {
     await storageService.init();
+
+    // Leave the stored data untouched until the user picks a recovery option
+    if (storageService.startupIssue) return;
+
     this.state = storageService.getState();
     
     if (!this.state) {
@@ -31,6 +57,195 @@ class StateManager {
     }
 
     this.emit(EVENTS.STATE_CHANGED, this.state);
+    this.scheduleDailyReset();
+    this.startSync();
+  }
+
+  /**
+   * Get the problem that stopped the stored data from loading, if any
+   * @returns {Object|null} { reason: 'unreadable'|'migrationFailed'|'invalid', errors }
+   */
+  getStartupIssue() {
+    const issue = storageService.startupIssue;
+    return issue ? { reason: issue.reason, errors: [...issue.errors] } : null;
+  }
+
+  /**
+   * Get backup summaries, newest first
+   * @returns {Promise<Array>} [{ id, createdAt, reason, version, sites, credentials, size, encrypted }]
+   */
+  async getBackups() {
+    return backupStore.list();
+  }
+
+  /**
+   * Get the newest backup taken for a reason
+   */
+  async getLatestBackup(reason) {
+    return backupStore.getLatest(reason);
+  }
+
+  /**
+   * Snapshot the current state
+   */
+  async createBackup(reason = BACKUP_REASONS.MANUAL) {
+    return storageService.createBackup(reason);
+  }
+
+  /**
+   * Delete a backup
+   */
+  async deleteBackup(id) {
+    await backupStore.delete(id);
+  }
+
+  /**
+   * Read a backup's state for a diff preview
+   */
+  async loadBackupState(id) {
+    return storageService.loadBackupState(id);
+  }
+
+  /**
+   * Repair the data that failed validation at startup
+   * @returns {Promise<{valid: boolean, errors: string[]}>}
+   */
+  async repairData() {
+    return storageService.repairState();
+  }
+
+  /**
+   * Replace the stored data with a backup
+   * @returns {Promise<{valid: boolean, errors: string[], relocked: boolean}>}
+   */
+  async restoreBackup(id) {
+    const result = await storageService.restoreBackup(id);
+
+    // From the recovery screen the app reloads instead
+    if (result.valid && this.state) {
+      this.state = storageService.getState();
+      this.clearHistory();
+      if (result.relocked) {
+        this.emit(EVENTS.VAULT_LOCKED, 'restored');
+      }
+      this.emit(EVENTS.STATE_CHANGED, this.state);
+    }
+
+    return result;
+  }
+
+  /**
+   * Follow changes made in other tabs
+   */
+  startSync() {
+    // init() runs again after all data is cleared
+    if (this.syncStarted) return;
+    this.syncStarted = true;
+
+    syncService.init();
+    syncService.subscribe(message => this.queueSync(() => this.handleSyncMessage(message)));
+
+    // Our write raced another tab's; the cache still holds our side
+    window.addEventListener('storage:syncMerged', (e) => {
+      this.queueSync(async () => {
+        await this.reloadFromStorage();
+        if (e.detail.conflicts.length > 0) {
+          this.emit(EVENTS.SYNC_CONFLICT, e.detail.conflicts);
+        }
+      });
+    });
+  }
+
+  /**
+   * Run a sync task after the ones before it
+   */
+  queueSync(task) {
+    this.syncQueue = this.syncQueue.then(task).catch(error => {
+      console.error('Error applying changes from another tab:', error);
+    });
+    return this.syncQueue;
+  }
+
+  /**
+   * Apply a message from another tab
+   */
+  async handleSyncMessage(message) {
+    if (message.type === 'changes') {
+      await this.reloadFromStorage();
+    } else if (message.type === 'vault') {
+      await this.applyRemoteVaultChange(message);
+    }
+  }
+
+  /**
+   * Replace the state with what is in the database
+   * Undo history is dropped, since restoring it could overwrite the other tab's edits
+   */
+  async reloadFromStorage() {
+    await storageService.reload();
+    this.state = storageService.getState();
+
+    // Another tab cleared all data
+    if (!this.state) {
+      this.state = await storageService.initializeDefaultState();
+    }
+
+    this.clearHistory();
+    this.emit(EVENTS.STATE_CHANGED, this.state);
+  }
+
+  /**
+   * Pick up a vault change from another tab
+   * A new data key means our session key is stale, so the vault locks
+   */
+  async applyRemoteVaultChange({ rekeyed }) {
+    if (!rekeyed) {
+      // Recovery key added or removed; the data key is unchanged
+      await vaultService.init();
+      return;
+    }
+
+    const wasLocked = vaultService.isLocked();
+    await storageService.reloadVault();
+    this.state = storageService.getState();
+    this.clearHistory();
+
+    if (vaultService.isEnabled() && !wasLocked) {
+      this.emit(EVENTS.VAULT_LOCKED, 'remote');
+    } else if (!vaultService.isEnabled() && wasLocked) {
+      this.emit(EVENTS.VAULT_UNLOCKED);
+    }
+    this.emit(EVENTS.STATE_CHANGED, this.state);
+  }
+
+  /**
+   * Arm a timer for the next check-in day boundary
+   */
+  scheduleDailyReset() {
+    clearTimeout(this.resetTimer);
+
+    const delay = Math.min(checkInDay.msUntilNextReset(), RESET_CHECK_INTERVAL);
+    this.resetTimer = setTimeout(() => this.runDailyReset(), delay + 1000);
+  }
+
+  /**
+   * Reset check-ins if a new check-in day has started, then re-arm the timer
+   */
+  async runDailyReset() {
+    try {
+      const reset = await storageService.checkDailyReset();
+      if (reset) {
+        this.state = storageService.getState();
+        this.clearHistory();
+        this.emit(EVENTS.DAILY_RESET, this.state.lastReset);
+        this.emit(EVENTS.STATE_CHANGED, this.state);
+      }
+      this.purgeArchivedSites();
+    } catch (error) {
+      console.error('Daily reset failed:', error);
+    } finally {
+      this.scheduleDailyReset();
+    }
   }
 
   /**
@@ -44,19 +259,180 @@ class StateManager {
    * Update state
    */
   setState(updates) {
-    this.state = {
-      ...this.state,
-      ...updates
+    this.recordChange('Update data', () => {
+      this.state = {
+        ...this.state,
+        ...updates
+      };
+      storageService.setState(this.state);
+    });
+    this.emit(EVENTS.STATE_CHANGED, this.state);
+  }
+
+  /**
+   * Run a mutation and record how to reverse it as one undo step
+   * Nested calls fold into the outermost step; async mutations are awaited
+   */
+  recordChange(label, mutate) {
+    if (this.recording) return mutate();
+
+    storageService.openChangeLog();
+    const finish = () => {
+      this.recording = false;
+      this.pushUndo(label, storageService.closeChangeLog());
     };
-    storageService.setState(this.state);
+
+    this.recording = true;
+    let result;
+    try {
+      result = mutate();
+    } catch (error) {
+      finish();
+      throw error;
+    }
+
+    if (result instanceof Promise) {
+      return result.finally(finish);
+    }
+
+    finish();
+    return result;
+  }
+
+  /**
+   * Push an undo step holding copies of the sites and keys the change touched
+   * @param {Object} log - From storageService.closeChangeLog()
+   */
+  pushUndo(label, log) {
+    const keys = UNDOABLE_KEYS.filter(key => log?.keys.has(key));
+    const reordered = Boolean(log?.keys.has('siteOrder'));
+    if (!log || (log.siteIds.size === 0 && keys.length === 0 && !reordered)) return;
+
+    const capture = (doc) => {
+      const sites = new Map((doc?.sites || []).map(site => [site.id, site]));
+      return {
+        sites: [...log.siteIds].map(id => [id, sites.has(id) ? deepClone(sites.get(id)) : null]),
+        order: reordered ? [...sites.keys()] : null,
+        values: Object.fromEntries(keys.map(key => [key, deepClone(doc?.[key] ?? null)]))
+      };
+    };
+    this.undoStack.push({ label, before: capture(log.before), after: capture(log.after) });
+
+    if (this.undoStack.length > CONFIG.limits.maxUndoSteps) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * Reverse the latest recorded change
+   * @returns {Object|null} The undone step ({ label }), or null if there is nothing to undo
+   */
+  undo() {
+    if (this.isVaultLocked() || this.undoStack.length === 0) return null;
+
+    const entry = this.undoStack.pop();
+    this.applyUndoState(entry.before);
+    this.redoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * Re-apply the latest undone change
+   * @returns {Object|null} The redone step ({ label }), or null if there is nothing to redo
+   */
+  redo() {
+    if (this.isVaultLocked() || this.redoStack.length === 0) return null;
+
+    const entry = this.redoStack.pop();
+    this.applyUndoState(entry.after);
+    this.undoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * Write one side of an undo step back through storage
+   * Sites it recorded as missing are removed; the others are put back where the order says
+   */
+  applyUndoState(snapshot) {
+    const state = storageService.getState();
+    Object.entries(snapshot.values).forEach(([key, value]) => {
+      state[key] = deepClone(value);
+    });
+
+    const sites = new Map(state.sites.map(site => [site.id, site]));
+    snapshot.sites.forEach(([id, site]) => {
+      if (site) {
+        sites.set(id, deepClone(site));
+      } else {
+        sites.delete(id);
+      }
+    });
+
+    if (snapshot.order) {
+      const listed = new Set(snapshot.order);
+      state.sites = [
+        ...snapshot.order.filter(id => sites.has(id)).map(id => sites.get(id)),
+        ...[...sites.values()].filter(site => !listed.has(site.id))
+      ];
+    } else {
+      state.sites = [...sites.values()];
+    }
+
+    storageService.setState(state);
+    this.state = storageService.getState();
     this.emit(EVENTS.STATE_CHANGED, this.state);
   }
 
   /**
-   * Get all sites
+   * Check if there is a change to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check if there is a change to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Forget undo history (its copies may hold decrypted credentials)
+   */
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Get all active (not archived) sites
    */
   getSites() {
-    return this.state?.sites || [];
+    return (this.state?.sites || []).filter(site => !site.archived);
+  }
+
+  /**
+   * Get archived sites, most recently archived first
+   */
+  getArchivedSites() {
+    return (this.state?.sites || [])
+      .filter(site => site.archived)
+      .sort((a, b) => String(b.archivedAt || '').localeCompare(String(a.archivedAt || '')));
+  }
+
+  /**
+   * Permanently delete archived sites past the retention period
+   */
+  purgeArchivedSites() {
+    const purged = storageService.purgeArchivedSites();
+    if (purged > 0) {
+      this.state = storageService.getState();
+      this.clearHistory();
+      this.emit(EVENTS.STATE_CHANGED, this.state);
+    }
+    return purged;
   }
 
   /**
@@ -73,7 +449,8 @@ class StateManager {
           site.name,
           site.url,
           ...(site.tags || []),
-          ...site.credentials.map(c => `${c.email} ${c.label}`)
+          // Sealed emails are not searchable while the vault is locked
+          ...site.credentials.map(c => this.isVaultLocked() ? c.label : `${c.email} ${c.label}`)
         ].join(' ').toLowerCase();
         
         return searchText.includes(query);
@@ -83,7 +460,7 @@ class StateManager {
     // Apply status filter
     if (this.filters.status !== 'all') {
       sites = sites.filter(site => {
-        const hasCheckedIn = site.credentials.some(c => c.checkedInOn && this.isToday(c.checkedInOn));
+        const hasCheckedIn = site.credentials.some(c => cadence.isSatisfied(site, c));
         return this.filters.status === 'done' ? hasCheckedIn : !hasCheckedIn;
       });
     }
@@ -114,8 +491,11 @@ class StateManager {
    * Add site
    */
   addSite(siteData) {
-    const newSite = storageService.addSite(siteData);
-    this.state = storageService.getState();
+    const newSite = this.recordChange('Add site', () => {
+      const site = storageService.addSite(siteData);
+      this.state = storageService.getState();
+      return site;
+    });
     this.emit(EVENTS.SITE_ADDED, newSite);
     this.emit(EVENTS.STATE_CHANGED, this.state);
     return newSite;
@@ -125,22 +505,43 @@ class StateManager {
    * Update site
    */
   updateSite(id, updates) {
-    const success = storageService.updateSite(id, updates);
+    const success = this.recordChange('Edit site', () => {
+      const changed = storageService.updateSite(id, updates);
+      if (changed) this.state = storageService.getState();
+      return changed;
+    });
     if (success) {
-      this.state = storageService.getState();
       this.emit(EVENTS.SITE_UPDATED, { id, updates });
       this.emit(EVENTS.STATE_CHANGED, this.state);
     }
     return success;
   }
 
+  /**
+   * Move credential to another site
+   */
+  moveCredential(fromSiteId, credentialId, toSiteId) {
+    const success = this.recordChange('Move credential', () => {
+      const changed = storageService.moveCredential(fromSiteId, credentialId, toSiteId);
+      if (changed) this.state = storageService.getState();
+      return changed;
+    });
+    if (success) {
+      this.emit(EVENTS.STATE_CHANGED, this.state);
+    }
+    return success;
+  }
+
   /**
    * Delete site
    */
   deleteSite(id) {
-    const success = storageService.deleteSite(id);
+    const success = this.recordChange('Delete site', () => {
+      const changed = storageService.deleteSite(id);
+      if (changed) this.state = storageService.getState();
+      return changed;
+    });
     if (success) {
-      this.state = storageService.getState();
       this.emit(EVENTS.SITE_DELETED, id);
       this.emit(EVENTS.STATE_CHANGED, this.state);
     }
@@ -151,9 +552,12 @@ class StateManager {
    * Check in credential
    */
   checkInCredential(siteId, credentialId) {
-    const success = storageService.checkInCredential(siteId, credentialId);
+    const success = this.recordChange('Check in', () => {
+      const changed = storageService.checkInCredential(siteId, credentialId);
+      if (changed) this.state = storageService.getState();
+      return changed;
+    });
     if (success) {
-      this.state = storageService.getState();
       this.emit(EVENTS.CREDENTIAL_CHECKED, { siteId, credentialId });
       this.emit(EVENTS.STATE_CHANGED, this.state);
     }
@@ -164,9 +568,12 @@ class StateManager {
    * Reset credential
    */
   resetCredential(siteId, credentialId) {
-    const success = storageService.resetCredential(siteId, credentialId);
+    const success = this.recordChange('Reset check-in', () => {
+      const changed = storageService.resetCredential(siteId, credentialId);
+      if (changed) this.state = storageService.getState();
+      return changed;
+    });
     if (success) {
-      this.state = storageService.getState();
       this.emit(EVENTS.STATE_CHANGED, this.state);
     }
     return success;
@@ -176,9 +583,15 @@ class StateManager {
    * Reset all credentials
    */
   resetAllCredentials() {
-    const success = storageService.resetAllCredentials();
+    // Snapshot first; the backup reads the cache before the reset lands
+    storageService.createBackup(BACKUP_REASONS.RESET);
+
+    const success = this.recordChange('Reset today', () => {
+      const changed = storageService.resetAllCredentials();
+      if (changed) this.state = storageService.getState();
+      return changed;
+    });
     if (success) {
-      this.state = storageService.getState();
       this.emit(EVENTS.STATE_CHANGED, this.state);
     }
     return success;
@@ -188,12 +601,14 @@ class StateManager {
    * Mark all as done
    */
   markAllDone() {
-    const sites = this.getSites();
-    sites.forEach(site => {
-      site.credentials.forEach(credential => {
-        if (!credential.checkedInOn || !this.isToday(credential.checkedInOn)) {
-          this.checkInCredential(site.id, credential.id);
-        }
+    this.recordChange('Mark all done', () => {
+      const sites = this.getSites();
+      sites.forEach(site => {
+        site.credentials.forEach(credential => {
+          if (cadence.isDue(site, credential)) {
+            this.checkInCredential(site.id, credential.id);
+          }
+        });
       });
     });
   }
@@ -209,8 +624,11 @@ class StateManager {
    * Add category
    */
   addCategory(categoryData) {
-    const newCategory = storageService.addCategory(categoryData);
-    this.state = storageService.getState();
+    const newCategory = this.recordChange('Add category', () => {
+      const category = storageService.addCategory(categoryData);
+      this.state = storageService.getState();
+      return category;
+    });
     this.emit(EVENTS.STATE_CHANGED, this.state);
     return newCategory;
   }
@@ -233,7 +651,7 @@ class StateManager {
     sites.forEach(site => {
       site.credentials.forEach(credential => {
         totalCredentials++;
-        if (credential.checkedInOn && this.isToday(credential.checkedInOn)) {
+        if (cadence.isSatisfied(site, credential)) {
           checkedCredentials++;
         }
       });
@@ -316,19 +734,23 @@ class StateManager {
 
     storageService.setState(this.state);
     this.emit(EVENTS.STATE_CHANGED, this.state);
+
+    // Reset time or timezone may have moved the day boundary
+    if ('resetTime' in updates || 'timezone' in updates) {
+      this.scheduleDailyReset();
+    }
     return true;
   }
 
   /**
    * Export data
+   * @param {string} format - 'json', 'csv' or 'history-csv'
+   * @param {Object} options - { includeHistory, includeMetadata, includeAnalytics, encrypt, password, hint,
+   *   columns, includePasswords }
    */
   async exportData(format, options = {}) {
-    const data = await storageService.exportData(
-      format,
-      options.includeHistory,
-      options.encrypt,
-      options.password
-    );
+    const { includeHistory, encrypt, password, ...formatOptions } = options;
+    const data = await storageService.exportData(format, includeHistory, encrypt, password, formatOptions);
     
     if (data) {
       this.emit(EVENTS.EXPORT_COMPLETED, { format, data });
@@ -337,37 +759,215 @@ class StateManager {
     return data;
   }
 
+  /**
+   * Parse, decrypt and validate an import file
+   * @returns {Promise<{data: Object|null, errors: string[], encrypted: boolean, reason: string|null, header: Object|null}>}
+   */
+  async readImport(dataString, password = null) {
+    return storageService.readImport(dataString, password);
+  }
+
+  /**
+   * Validate import data built from rows, e.g. a mapped CSV
+   */
+  validateImport(data) {
+    return storageService.validateImport(data);
+  }
+
+  /**
+   * Show what importing a validated file would add, change or duplicate
+   */
+  previewImport(data, mode) {
+    return storageService.previewImport(data, mode);
+  }
+
+  /**
+   * Merge or replace with a validated import as one undo step
+   * @param {Object} options - { mode: 'merge'|'replace', actions: { [entry index]: 'keepMine'|'takeTheirs'|'keepBoth' } }
+   * @returns {Promise<Object|null>} { added, updated, skipped, removed }
+   */
+  async applyImport(data, options = {}) {
+    const summary = await this.recordChange('Import data', async () => {
+      const result = await storageService.applyImport(data, options);
+      if (result) this.state = storageService.getState();
+      return result;
+    });
+
+    if (summary) {
+      this.emit(EVENTS.IMPORT_COMPLETED, summary);
+      this.emit(EVENTS.STATE_CHANGED, this.state);
+    }
+
+    return summary;
+  }
+
   /**
    * Import data
    */
-  async importData(dataString, password = null) {
-    const success = await storageService.importData(dataString, password);
+  async importData(dataString, password = null, options = {}) {
+    const success = await this.recordChange('Import data', async () => {
+      const imported = await storageService.importData(dataString, password, options);
+      if (imported) this.state = storageService.getState();
+      return imported;
+    });
     
     if (success) {
-      this.state = storageService.getState();
-      this.emit(EVENTS.IMPORT_COMPLETED);
+      this.emit(EVENTS.IMPORT_COMPLETED, success);
       this.emit(EVENTS.STATE_CHANGED, this.state);
     }
     
     return success;
   }
 
+  /**
+   * Check if a master password is set
+   */
+  isVaultEnabled() {
+    return vaultService.isEnabled();
+  }
+
+  /**
+   * Check if credentials are currently sealed
+   */
+  isVaultLocked() {
+    return vaultService.isLocked();
+  }
+
+  /**
+   * Unlock the vault with the master password
+   */
+  async unlockVault(password) {
+    const success = await storageService.unlockVault(password);
+    if (success) {
+      this.state = storageService.getState();
+      this.clearHistory();
+      this.emit(EVENTS.VAULT_UNLOCKED);
+      this.emit(EVENTS.STATE_CHANGED, this.state);
+    }
+    return success;
+  }
+
+  /**
+   * Unlock the vault with the recovery key
+   * A new master password must be set before the app is usable again
+   */
+  async unlockWithRecoveryKey(recoveryKey) {
+    const success = await storageService.unlockWithRecoveryKey(recoveryKey);
+    if (success) {
+      this.state = storageService.getState();
+      this.clearHistory();
+      this.emit(EVENTS.VAULT_UNLOCKED);
+      this.emit(EVENTS.STATE_CHANGED, this.state);
+    }
+    return success;
+  }
+
+  /**
+   * Check if the vault was unlocked by recovery key and still needs a new master password
+   */
+  needsNewMasterPassword() {
+    return vaultService.isUnlocked() && vaultService.recoveryUnlocked;
+  }
+
+  /**
+   * Lock the vault and wipe decrypted credentials from memory
+   */
+  async lockVault() {
+    if (!vaultService.isEnabled()) return;
+
+    await storageService.lockVault();
+    this.state = storageService.getState();
+    this.clearHistory();
+    this.emit(EVENTS.VAULT_LOCKED);
+    this.emit(EVENTS.STATE_CHANGED, this.state);
+  }
+
+  /**
+   * Set a master password and encrypt all credentials at rest
+   */
+  async enableMasterPassword(password) {
+    await storageService.enableEncryption(password);
+    this.state = storageService.getState();
+    this.updateSettings({
+      security: { ...this.getSettings().security, masterPasswordEnabled: true }
+    });
+  }
+
+  /**
+   * Change the master password and re-encrypt every credential
+   */
+  async changeMasterPassword(currentPassword, newPassword) {
+    return storageService.changeMasterPassword(currentPassword, newPassword);
+  }
+
+  /**
+   * Replace a forgotten master password after a recovery key unlock
+   */
+  async resetMasterPassword(newPassword) {
+    return storageService.resetMasterPassword(newPassword);
+  }
+
+  /**
+   * Check if a recovery key is set up
+   */
+  hasRecoveryKey() {
+    return vaultService.hasRecoveryKey();
+  }
+
+  /**
+   * Create (or replace) the recovery key after confirming the master password
+   * @returns {Promise<string|null>} The new recovery key, or null if the password is wrong
+   */
+  async createRecoveryKey(password) {
+    const valid = await vaultService.verify(password);
+    if (!valid) return null;
+
+    const recoveryKey = await vaultService.createRecoveryKey();
+    syncService.publish({ type: 'vault', rekeyed: false });
+    return recoveryKey;
+  }
+
+  /**
+   * Remove the recovery key after confirming the master password
+   */
+  async removeRecoveryKey(password) {
+    const valid = await vaultService.verify(password);
+    if (!valid) return false;
+
+    await vaultService.removeRecoveryKey();
+    syncService.publish({ type: 'vault', rekeyed: false });
+    return true;
+  }
+
+  /**
+   * Remove the master password and store credentials in plaintext
+   */
+  async disableMasterPassword(password) {
+    const valid = await vaultService.verify(password);
+    if (!valid) return false;
+
+    await storageService.disableEncryption();
+    this.state = storageService.getState();
+    this.updateSettings({
+      security: { ...this.getSettings().security, masterPasswordEnabled: false }
+    });
+    return true;
+  }
+
   /**
    * Clear all data
    */
-  clearAllData() {
-    storageService.clearAllData();
+  async clearAllData() {
+    await storageService.clearAllData();
     this.state = null;
-    this.init();
+    await this.init();
   }
 
   /**
-   * Check if date is today
+   * Check if a timestamp falls in the current check-in day
    */
   isToday(dateString) {
-    const today = new Date().toISOString().split('T')[0];
-    const checkDate = new Date(dateString).toISOString().split('T')[0];
-    return today === checkDate;
+    return checkInDay.isToday(dateString);
   }
 
   /**
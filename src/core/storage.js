@@ -1,11 +1,28 @@
 /**
  * Storage Service
- * Handles localStorage, sessionStorage, and IndexedDB operations
+ * Persists application state to IndexedDB with an in-memory cache for synchronous reads
  */
 
 import { CONFIG } from '../config.js';
 import { cryptoService } from './crypto.js';
-import { safeLocalStorage } from '../shared/constants.js';
+import { database, STORES } from './database.js';
+import { vaultService, ROLLBACK_RECORD } from './vault.js';
+import { checkInDay } from './check-in-day.js';
+import { cadence } from './cadence.js';
+import { syncService } from './sync.js';
+import { migrationService } from './migrations.js';
+import { backupStore, BACKUP_REASONS } from './backups.js';
+import { importMerger, IMPORT_MODES } from './import-merge.js';
+import { csvExporter } from './csv-export.js';
+import { dashorgContainer, CONTAINER_ERRORS } from './container.js';
+import { schemaValidator, IMPORT_SCHEMA } from './schema.js';
+import { safeLocalStorage, deepClone } from '../shared/constants.js';
+
+// Stores whose records carry a revision number; check-in events never change once written
+const VERSIONED_STORES = [STORES.SITES, STORES.CREDENTIALS, STORES.SETTINGS];
+
+// Timestamps where the later value wins instead of counting as a conflict
+const LATEST_WINS_FIELDS = ['checkedInOn', 'updatedAt'];
 
 class StorageService {
   constructor() {
@@ -13,21 +30,66 @@ class StorageService {
     this.credentialsKey = CONFIG.app.credentialsKey;
     this.historyKey = CONFIG.app.historyKey;
     this.encryptionEnabled = CONFIG.security.masterPasswordEnabled;
-    this.masterPassword = null;
+
+    // In-memory copy of the state document
+    this.cache = null;
+
+    // Serialized records as last written, keyed by "store:key"
+    this.persisted = new Map();
+
+    // Revision and serialized value of each record as last seen in IndexedDB,
+    // the base for merging when another tab wrote the same record
+    this.revisions = new Map();
+    this.committed = new Map();
+    this.writeCount = 0;
+
+    // Serializes writes so they reach IndexedDB in order
+    this.writeQueue = Promise.resolve();
+    this.lastWrite = this.writeQueue;
+
+    // Set when stored data could not be loaded or failed validation at startup
+    this.startupIssue = null;
+
+    // Sites and top-level keys changed since openChangeLog(), for undo steps
+    this.changeLog = null;
   }
 
   /**
    * Initialize storage
    */
   async init() {
+    await database.open();
+    this.recoveredPasswordChange = await this.recoverInterruptedPasswordChange();
+    await vaultService.init();
+    this.encryptionEnabled = vaultService.isEnabled();
+
+    // Credentials stay sealed in the cache until the vault is unlocked
+    try {
+      await this.loadFromDatabase();
+    } catch (error) {
+      console.error('Stored data could not be loaded:', error);
+      this.startupIssue = { reason: 'unreadable', errors: [error.message], state: null };
+      return;
+    }
+
+    // One-time move of the legacy localStorage blob
+    if (!this.cache) {
+      await this.migrateLegacyState();
+    }
+
     // Check if this is first run
-    const existingData = this.getState();
-    if (!existingData) {
+    if (!this.cache) {
       await this.initializeDefaultState();
+    } else {
+      this.startupIssue = await this.upgradeState();
+      if (this.startupIssue) return;
     }
     
     // Check for daily reset
     await this.checkDailyReset();
+
+    // Drop archived sites past their retention period
+    this.purgeArchivedSites();
   }
 
   /**
@@ -36,12 +98,15 @@ class StorageService {
   async initializeDefaultState() {
     const defaultState = {
       version: CONFIG.app.version,
-      lastReset: new Date().toISOString().split('T')[0],
+      lastReset: checkInDay.today(),
       settings: {
         theme: CONFIG.theme.default,
         viewMode: CONFIG.view.defaultMode,
         autoReset: CONFIG.reset.autoReset,
         resetTime: CONFIG.reset.resetTime,
+        timezone: CONFIG.reset.timezone,
+        archiveRetentionDays: CONFIG.archive.retentionDays,
+        backup: CONFIG.backup,
         notifications: CONFIG.notifications,
         security: CONFIG.security,
         display: CONFIG.view
@@ -64,28 +129,438 @@ class StorageService {
     };
 
     this.setState(defaultState);
+    await this.flush();
     return defaultState;
   }
 
   /**
-   * Get current state
+   * Load the state document from IndexedDB into the cache
    */
-  getState() {
+  async loadFromDatabase() {
+    const [settingsRecords, siteRecords, credentialRecords, checkInRecords] = await Promise.all([
+      database.getAll(STORES.SETTINGS),
+      database.getAll(STORES.SITES),
+      database.getAll(STORES.CREDENTIALS),
+      database.getAll(STORES.CHECK_INS)
+    ]);
+
+    if (settingsRecords.length === 0) {
+      this.cache = null;
+      this.revisions = new Map();
+      this.committed = new Map();
+      return null;
+    }
+
+    const state = {};
+    let siteOrder = [];
+    const revisions = new Map();
+
+    settingsRecords.forEach(record => {
+      revisions.set(`${STORES.SETTINGS}:${record.key}`, record.rev ?? 0);
+      if (record.key === 'siteOrder') {
+        siteOrder = record.value;
+      } else {
+        state[record.key] = record.value;
+      }
+    });
+
+    // Group check-in events by credential, newest first
+    const historyByCredential = new Map();
+    checkInRecords
+      .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+      .forEach(({ id, credentialId, siteId, ...entry }) => {
+        if (!historyByCredential.has(credentialId)) historyByCredential.set(credentialId, []);
+        historyByCredential.get(credentialId).push(entry);
+      });
+
+    // Group credentials by site, in their stored order
+    const credentialsBySite = new Map();
+    credentialRecords
+      .sort((a, b) => a.order - b.order)
+      .forEach(({ siteId, order, rev, ...credential }) => {
+        revisions.set(`${STORES.CREDENTIALS}:${credential.id}`, rev ?? 0);
+        if (!credentialsBySite.has(siteId)) credentialsBySite.set(siteId, []);
+        credentialsBySite.get(siteId).push({
+          ...credential,
+          checkInHistory: historyByCredential.get(credential.id) || []
+        });
+      });
+
+    const position = new Map(siteOrder.map((id, index) => [id, index]));
+    state.sites = siteRecords
+      .sort((a, b) => (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity))
+      .map(({ rev, ...site }) => {
+        revisions.set(`${STORES.SITES}:${site.id}`, rev ?? 0);
+        return {
+          ...site,
+          credentials: credentialsBySite.get(site.id) || []
+        };
+      });
+
+    this.cache = state;
+    this.revisions = revisions;
+    this.rebuildPersisted();
+    this.applyResetSettings(state);
+
+    return state;
+  }
+
+  /**
+   * Treat the current cache as what is on disk
+   */
+  rebuildPersisted() {
+    this.persisted = new Map(
+      this.decomposeState(this.cache).map(record => [record.ref, record.json])
+    );
+    this.committed = new Map(this.persisted);
+  }
+
+  /**
+   * Bring the loaded state up to the current schema version
+   * Backs up before migrating and writes nothing if the result is invalid
+   * @returns {Promise<Object|null>} The startup issue, or null if the state is usable
+   */
+  async upgradeState() {
+    const stored = this.getState();
+    let state = stored;
+
+    if (migrationService.needsMigration(stored)) {
+      await this.createBackup(BACKUP_REASONS.MIGRATION, stored);
+      try {
+        state = await migrationService.migrate(stored);
+      } catch (error) {
+        console.error('Migration failed:', error);
+        return { reason: 'migrationFailed', errors: [error.message], state: stored };
+      }
+    }
+
+    const { valid, errors } = migrationService.validateData(state);
+    if (!valid) {
+      return { reason: 'invalid', errors, state };
+    }
+
+    if (state !== stored) {
+      this.setState(state);
+      await this.lastWrite;
+      this.dispatchStorageEvent('stateMigrated', { from: stored.version || 'unknown', to: state.version });
+    }
+
+    return null;
+  }
+
+  /**
+   * Fix the state that failed startup validation, backing it up first
+   * @returns {Promise<{valid: boolean, errors: string[]}>}
+   */
+  async repairState() {
+    const state = this.startupIssue?.state;
+    if (!state) {
+      return { valid: false, errors: ['There is no loaded data to repair'] };
+    }
+
+    await this.createBackup(BACKUP_REASONS.REPAIR, state);
+    return this.replaceState(migrationService.repairData(state));
+  }
+
+  /**
+   * Get backup settings, falling back to the config defaults
+   */
+  getBackupSettings(state = this.cache) {
+    return { ...CONFIG.backup, ...(state?.settings?.backup || {}) };
+  }
+
+  /**
+   * Snapshot the state into the backups store
+   * Credentials are sealed first, and the vault record is kept alongside so the
+   * snapshot stays restorable after the master password changes
+   * @returns {Promise<Object|null>} Backup summary, or null if it failed
+   */
+  async createBackup(reason, state = this.getState()) {
+    if (!state) return null;
+
+    const settings = this.getBackupSettings(state);
+    const snapshot = deepClone(state);
+    if (!settings.includeHistory) {
+      snapshot.sites.forEach(site => {
+        (site.credentials || []).forEach(credential => { credential.checkInHistory = []; });
+      });
+    }
+
     try {
-      const data = safeLocalStorage.getItem(this.storageKey);
-      return data ? JSON.parse(data) : null;
+      const backup = await backupStore.create(await this.sealState(snapshot), {
+        reason,
+        vault: this.encryptionEnabled ? vaultService.record : null,
+        maxBackups: settings.maxBackups
+      });
+      this.dispatchStorageEvent('backupCreated', backup);
+      return backup;
     } catch (error) {
-      console.error('Error reading state:', error);
+      console.error('Backup failed:', error);
+      this.dispatchStorageEvent('backupFailed', { reason, error });
       return null;
     }
   }
 
+  /**
+   * Replace the stored data with a backup, snapshotting the current data first
+   * A backup sealed under a different master password brings its vault record
+   * back too, which leaves the vault locked until that password is entered
+   * @returns {Promise<{valid: boolean, errors: string[], relocked: boolean}>}
+   */
+  async restoreBackup(id) {
+    const record = await backupStore.get(id);
+    if (!record) {
+      return { valid: false, errors: ['Backup not found'], relocked: false };
+    }
+
+    const sameKey = Boolean(record.vault) && this.encryptionEnabled && this.isSameVaultKey(record.vault, vaultService.record);
+    const relocked = Boolean(record.vault) && !sameKey;
+
+    if (!record.vault && vaultService.isLocked()) {
+      return {
+        valid: false,
+        errors: ['Unlock the vault to restore a backup taken before encryption was turned on'],
+        relocked
+      };
+    }
+
+    const { state, valid, errors } = await this.prepareState(record.data);
+    if (!valid) return { valid, errors, relocked };
+
+    // The current data can't be snapshotted if it never loaded
+    if (this.cache) {
+      await this.createBackup(BACKUP_REASONS.RESTORE);
+    }
+
+    let restored = state;
+    if (relocked) {
+      await this.flush();
+      await database.write([{ store: STORES.VAULT, type: 'put', value: record.vault }]);
+      vaultService.lock();
+      await vaultService.init();
+      this.encryptionEnabled = true;
+      syncService.publish({ type: 'vault', rekeyed: true });
+    } else if (sameKey && vaultService.isUnlocked()) {
+      restored = await this.unsealState(state);
+    }
+
+    await this.writeState(restored);
+    this.dispatchStorageEvent('backupRestored', { id, relocked });
+
+    return { valid: true, errors: [], relocked };
+  }
+
+  /**
+   * Read a backup's state for comparing with the current state
+   * Secrets are only comparable when both sides are plaintext
+   * @returns {Promise<{state: Object, secretsComparable: boolean}|null>}
+   */
+  async loadBackupState(id) {
+    const record = await backupStore.get(id);
+    if (!record) return null;
+
+    const state = deepClone(record.data);
+    const cachePlaintext = !this.encryptionEnabled || vaultService.isUnlocked();
+
+    if (!record.vault) {
+      return { state, secretsComparable: cachePlaintext };
+    }
+
+    if (this.isSameVaultKey(record.vault, vaultService.record) && vaultService.isUnlocked()) {
+      return { state: await this.unsealState(state), secretsComparable: true };
+    }
+
+    return { state, secretsComparable: false };
+  }
+
+  /**
+   * Check whether two vault records wrap the same data key
+   */
+  isSameVaultKey(a, b) {
+    if (!a || !b) return false;
+    return JSON.stringify(a.wrappedKey ?? a.kdf) === JSON.stringify(b.wrappedKey ?? b.kdf);
+  }
+
+  /**
+   * Encrypt the credentials in a state document with the session key
+   * Sealed values pass through, so a locked cache is returned as it is
+   */
+  async sealState(state) {
+    if (!this.encryptionEnabled || !vaultService.isUnlocked()) return state;
+
+    for (const site of state.sites || []) {
+      site.credentials = await cryptoService.encryptCredentials(site.credentials || []);
+    }
+    return state;
+  }
+
+  /**
+   * Decrypt the credentials in a state document with the session key
+   */
+  async unsealState(state) {
+    for (const site of state.sites || []) {
+      site.credentials = await cryptoService.decryptCredentials(site.credentials || []);
+    }
+    return state;
+  }
+
+  /**
+   * Seal plaintext backups after encryption is turned on
+   */
+  async sealBackups() {
+    const vault = vaultService.record;
+    await backupStore.rewrite(async record => {
+      if (record.vault) return null;
+      return { ...record, vault, data: await this.sealState(record.data) };
+    });
+  }
+
+  /**
+   * Decrypt backups sealed with the current key before encryption is turned off
+   * Backups from an earlier master password stay sealed with their own vault record
+   */
+  async unsealBackups() {
+    await backupStore.rewrite(async record => {
+      if (!this.isSameVaultKey(record.vault, vaultService.record)) return null;
+      return { ...record, vault: null, data: await this.unsealState(record.data) };
+    });
+  }
+
+  /**
+   * Migrate and validate a state document without writing it
+   * @returns {Promise<{state: Object, valid: boolean, errors: string[]}>}
+   */
+  async prepareState(data) {
+    let state = data;
+    if (migrationService.needsMigration(state)) {
+      state = await migrationService.migrate(state);
+    }
+
+    const { valid, errors } = migrationService.validateData(state);
+    return { state, valid, errors };
+  }
+
+  /**
+   * Migrate and validate a state document, then write it over every stored record
+   * The vault store is left alone so sealed credentials stay readable
+   */
+  async replaceState(data) {
+    const { state, valid, errors } = await this.prepareState(data);
+    if (!valid) return { valid, errors };
+
+    await this.writeState(state);
+    return { valid: true, errors: [] };
+  }
+
+  /**
+   * Write a state document over every stored record
+   */
+  async writeState(state) {
+    // Unreadable records may not be in the diff, so start from empty stores
+    await this.flush();
+    await database.clear([STORES.SITES, STORES.CREDENTIALS, STORES.CHECK_INS, STORES.SETTINGS]);
+    this.persisted = new Map();
+    this.revisions = new Map();
+    this.committed = new Map();
+
+    this.setState(state);
+    await this.lastWrite;
+    this.startupIssue = null;
+  }
+
+  /**
+   * Reload the cache from IndexedDB after another tab wrote to it
+   * Local writes land first; if one is queued during the load, load again
+   */
+  async reload() {
+    let writeCount;
+    do {
+      writeCount = this.writeCount;
+      await this.runExclusive(async () => {
+        await this.loadFromDatabase();
+        if (this.encryptionEnabled && vaultService.isUnlocked()) {
+          await this.decryptCache();
+        }
+      });
+    } while (writeCount !== this.writeCount);
+  }
+
+  /**
+   * Re-read the vault record after another tab changed it
+   * Drops the session key, since the data key may have been replaced
+   */
+  async reloadVault() {
+    await this.flush();
+    vaultService.lock();
+    await vaultService.init();
+    this.encryptionEnabled = vaultService.isEnabled();
+    await this.reload();
+  }
+
+  /**
+   * Move the pre-IndexedDB localStorage blob into the database
+   */
+  async migrateLegacyState() {
+    const legacy = safeLocalStorage.getItem(this.storageKey);
+    if (!legacy) return false;
+
+    let state;
+    try {
+      state = JSON.parse(legacy);
+    } catch (error) {
+      console.error('Legacy state is not valid JSON:', error);
+      return false;
+    }
+
+    this.setState(state);
+    await this.lastWrite;
+
+    // Only drop the blob once every record is safely written
+    safeLocalStorage.removeItem(this.storageKey);
+    this.dispatchStorageEvent('legacyMigrated', { sites: state.sites?.length || 0 });
+
+    return true;
+  }
+
+  /**
+   * Get current state
+   */
+  getState() {
+    return this.cache ? deepClone(this.cache) : null;
+  }
+
   /**
    * Set state
    */
   setState(state) {
     try {
-      safeLocalStorage.setItem(this.storageKey, JSON.stringify(state));
+      const records = this.decomposeState(state);
+      const operations = [];
+      const seen = new Set();
+
+      records.forEach(record => {
+        seen.add(record.ref);
+        if (this.persisted.get(record.ref) !== record.json) {
+          this.persisted.set(record.ref, record.json);
+          operations.push({ store: record.store, type: 'put', value: record.value });
+        }
+      });
+
+      this.persisted.forEach((json, ref) => {
+        if (!seen.has(ref)) {
+          const [store, key] = this.parseRef(ref);
+          this.persisted.delete(ref);
+          operations.push({ store, type: 'delete', key });
+        }
+      });
+
+      if (this.changeLog && operations.length) {
+        this.logChanges(operations);
+      }
+
+      this.cache = deepClone(state);
+      this.applyResetSettings(state);
+      this.lastWrite = this.persist(operations);
       this.dispatchStorageEvent('stateChanged', state);
       return true;
     } catch (error) {
@@ -94,6 +569,581 @@ class StorageService {
     }
   }
 
+  /**
+   * Start noting which sites and top-level keys setState() changes
+   * The state as it was now is kept so the changed parts can be copied later
+   */
+  openChangeLog() {
+    this.changeLog = { before: this.cache, after: null, siteIds: new Set(), keys: new Set() };
+  }
+
+  /**
+   * Stop noting changes
+   * @returns {{before: Object, after: Object, siteIds: Set<string>, keys: Set<string>}|null}
+   *   keys are top-level state keys, plus 'siteOrder' when sites were added, removed or reordered
+   */
+  closeChangeLog() {
+    const log = this.changeLog;
+    this.changeLog = null;
+    if (log) log.after = this.cache;
+    return log;
+  }
+
+  /**
+   * Note the sites and keys a batch of record writes touches
+   * A credential or check-in counts against the site it was on and the one it is on now
+   */
+  logChanges(operations) {
+    const { siteIds, keys } = this.changeLog;
+    let owners = null;
+    const ownerOf = (credentialId) => {
+      if (!owners) {
+        owners = new Map();
+        (this.cache?.sites || []).forEach(site => {
+          (site.credentials || []).forEach(credential => owners.set(credential.id, site.id));
+        });
+      }
+      return owners.get(credentialId);
+    };
+    const addSite = (id) => {
+      if (id) siteIds.add(id);
+    };
+
+    operations.forEach(op => {
+      const put = op.type === 'put';
+      if (op.store === STORES.SETTINGS) {
+        keys.add(put ? op.value.key : op.key);
+      } else if (op.store === STORES.SITES) {
+        addSite(put ? op.value.id : op.key);
+      } else if (op.store === STORES.CREDENTIALS) {
+        addSite(ownerOf(put ? op.value.id : op.key));
+        if (put) addSite(op.value.siteId);
+      } else if (op.store === STORES.CHECK_INS && put) {
+        addSite(ownerOf(op.value.credentialId));
+        addSite(op.value.siteId);
+      } else if (op.store === STORES.CHECK_INS) {
+        // Keys are "credentialId:timestamp", and both parts may contain colons
+        for (let i = op.key.indexOf(':'); i !== -1; i = op.key.indexOf(':', i + 1)) {
+          const owner = ownerOf(op.key.slice(0, i));
+          if (owner) {
+            addSite(owner);
+            break;
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Split the state document into per-record rows for each object store
+   */
+  decomposeState(state) {
+    const records = [];
+    const add = (store, key, value, json = JSON.stringify(value)) => {
+      records.push({ ref: `${store}:${key}`, store, value, json });
+    };
+
+    Object.keys(state).forEach(key => {
+      if (key !== 'sites') add(STORES.SETTINGS, key, { key, value: state[key] });
+    });
+
+    const sites = state.sites || [];
+    add(STORES.SETTINGS, 'siteOrder', { key: 'siteOrder', value: sites.map(site => site.id) });
+
+    sites.forEach(({ credentials, ...site }) => {
+      if (!site.id) {
+        console.warn('Skipping site without an ID:', site.name);
+        return;
+      }
+      add(STORES.SITES, site.id, site);
+
+      (credentials || []).forEach(({ checkInHistory, ...credential }, order) => {
+        if (!credential.id) {
+          console.warn('Skipping credential without an ID:', credential.label);
+          return;
+        }
+        add(STORES.CREDENTIALS, credential.id, { ...credential, siteId: site.id, order });
+
+        // Check-in events are immutable, so their key is enough to detect changes
+        (checkInHistory || []).forEach(entry => {
+          const id = `${credential.id}:${entry.timestamp}`;
+          add(STORES.CHECK_INS, id, { ...entry, id, credentialId: credential.id, siteId: site.id }, id);
+        });
+      });
+    });
+
+    return records;
+  }
+
+  /**
+   * Split a "store:key" reference
+   */
+  parseRef(ref) {
+    const index = ref.indexOf(':');
+    return [ref.slice(0, index), ref.slice(index + 1)];
+  }
+
+  /**
+   * Queue a batch of record writes
+   */
+  persist(operations) {
+    if (!operations.length) return this.writeQueue;
+
+    this.writeCount++;
+    const write = this.writeQueue.then(() => this.commit(operations));
+
+    this.writeQueue = write.catch(error => {
+      console.error('Error writing to IndexedDB:', error);
+      this.dispatchStorageEvent('writeFailed', error);
+    });
+
+    return write;
+  }
+
+  /**
+   * Write a batch, merging any records another tab changed since we read them
+   */
+  async commit(operations) {
+    const reported = [];
+    let pending = operations;
+    let merged = false;
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      if (attempt > CONFIG.sync.maxMergeAttempts) {
+        console.warn(`Gave up merging ${pending.length} record(s) another tab keeps changing`);
+        break;
+      }
+
+      const conflicts = await this.writeVersioned(pending);
+      if (conflicts.length === 0) break;
+
+      const resolution = await this.resolveConflicts(conflicts);
+      reported.push(...resolution.reported);
+      pending = resolution.retries;
+      merged = true;
+    }
+
+    syncService.publish({ type: 'changes' });
+
+    // The cache still holds our side of each merged record
+    if (merged) {
+      this.dispatchStorageEvent('syncMerged', { conflicts: reported });
+    }
+  }
+
+  /**
+   * Write operations conditionally on the revisions we last saw
+   * @returns {Promise<Array>} Conflicts, each with the plaintext operation and the stored record
+   */
+  async writeVersioned(operations) {
+    const sealed = await this.sealOperations(operations);
+    const prepared = sealed.map((op, index) => {
+      if (!VERSIONED_STORES.includes(op.store)) return op;
+      return { ...op, rev: this.revisions.get(this.refOf(op)) ?? 0, source: operations[index] };
+    });
+
+    const { conflicts } = await database.write(prepared);
+    const failed = new Set(conflicts.map(conflict => conflict.op));
+
+    prepared.forEach(op => {
+      if (op.rev === undefined || failed.has(op)) return;
+
+      const ref = this.refOf(op);
+      if (op.type === 'delete') {
+        this.revisions.delete(ref);
+        this.committed.delete(ref);
+      } else {
+        this.revisions.set(ref, op.rev + 1);
+        this.committed.set(ref, JSON.stringify(op.source.value));
+      }
+    });
+
+    return conflicts.map(({ op, current }) => ({ op: op.source, current }));
+  }
+
+  /**
+   * Merge our conflicting writes with what another tab stored
+   * Different fields of a record merge; the same field changed on both sides,
+   * or an edit racing a delete, keeps the other tab's version and is reported
+   * @returns {Promise<{retries: Array, reported: Array}>}
+   */
+  async resolveConflicts(conflicts) {
+    const retries = [];
+    const reported = [];
+
+    for (const { op, current } of conflicts) {
+      const ref = this.refOf(op);
+      const base = this.committed.has(ref) ? JSON.parse(this.committed.get(ref)) : null;
+      const remote = current ? await this.unsealRecord(op.store, current) : null;
+
+      // The stored record becomes the base for the retry
+      if (current) {
+        this.revisions.set(ref, current.rev ?? 0);
+        this.committed.set(ref, JSON.stringify(remote));
+      } else {
+        this.revisions.delete(ref);
+        this.committed.delete(ref);
+      }
+
+      if (op.store === STORES.SETTINGS) {
+        // Settings are last writer wins, except the site order which is merged
+        if (op.type === 'put' && op.value.key === 'siteOrder' && remote) {
+          const value = this.mergeSiteOrder(base?.value || [], op.value.value, remote.value);
+          retries.push({ ...op, value: { key: 'siteOrder', value } });
+        } else if (op.type === 'put' || remote) {
+          retries.push(op);
+        }
+        continue;
+      }
+
+      if (!remote) {
+        // Deleted on both sides, or our edit lost to a delete
+        if (op.type === 'put') reported.push(this.describeConflict(op.store, op.value, ['deleted']));
+        continue;
+      }
+
+      if (op.type === 'delete') {
+        reported.push(this.describeConflict(op.store, remote, ['edited']));
+        continue;
+      }
+
+      if (remote.decryptionFailed) {
+        reported.push(this.describeConflict(op.store, op.value, ['sealed']));
+        continue;
+      }
+
+      const { merged, fields } = this.mergeRecord(base, op.value, remote);
+      if (fields.length > 0) {
+        reported.push(this.describeConflict(op.store, remote, fields));
+      }
+      if (JSON.stringify(merged) !== JSON.stringify(remote)) {
+        retries.push({ ...op, value: merged });
+      }
+    }
+
+    return { retries, reported };
+  }
+
+  /**
+   * Three-way merge of one record against the version both sides started from
+   * @returns {{merged: Object, fields: string[]}} Merged record and the fields both sides changed
+   */
+  mergeRecord(base, local, remote) {
+    const merged = {};
+    const fields = [];
+    const keys = new Set([...Object.keys(base || {}), ...Object.keys(local), ...Object.keys(remote)]);
+
+    keys.forEach(key => {
+      const baseJson = JSON.stringify(base?.[key]);
+      const localJson = JSON.stringify(local[key]);
+      const remoteJson = JSON.stringify(remote[key]);
+      let value;
+
+      if (localJson === remoteJson || remoteJson === baseJson) {
+        value = local[key];
+      } else if (localJson === baseJson) {
+        value = remote[key];
+      } else if (LATEST_WINS_FIELDS.includes(key)) {
+        value = String(local[key] ?? '') > String(remote[key] ?? '') ? local[key] : remote[key];
+      } else {
+        value = remote[key];
+        fields.push(key);
+      }
+
+      if (value !== undefined) merged[key] = value;
+    });
+
+    return { merged, fields };
+  }
+
+  /**
+   * Apply our additions and removals to the other tab's site order
+   */
+  mergeSiteOrder(base, local, remote) {
+    const known = new Set(base);
+    const removed = new Set(base.filter(id => !local.includes(id)));
+    const order = remote.filter(id => !removed.has(id));
+
+    local.forEach(id => {
+      if (!known.has(id) && !order.includes(id)) order.push(id);
+    });
+
+    return order;
+  }
+
+  /**
+   * Bring a stored record into the same form as our cache records
+   */
+  async unsealRecord(store, record) {
+    const { rev, ...value } = record;
+    if (store === STORES.CREDENTIALS && this.encryptionEnabled && vaultService.isUnlocked()) {
+      const [decrypted] = await cryptoService.decryptCredentials([value]);
+      return decrypted;
+    }
+    return value;
+  }
+
+  /**
+   * Summarize a conflict for the UI
+   */
+  describeConflict(store, record, fields) {
+    if (store === STORES.SITES) {
+      return { store, id: record.id, name: record.name, fields };
+    }
+
+    const siteName = this.cache?.sites.find(site => site.id === record.siteId)?.name || 'Unknown site';
+    return {
+      store,
+      id: record.id,
+      name: record.label ? `${siteName} · ${record.label}` : siteName,
+      fields
+    };
+  }
+
+  /**
+   * Build the "store:key" reference for an operation
+   */
+  refOf(op) {
+    if (op.type === 'delete') return `${op.store}:${op.key}`;
+    return `${op.store}:${op.store === STORES.SETTINGS ? op.value.key : op.value.id}`;
+  }
+
+  /**
+   * Encrypt credential secrets before they are written
+   */
+  async sealOperations(operations) {
+    if (!this.encryptionEnabled) return operations;
+
+    const sealed = [];
+    for (const op of operations) {
+      if (op.store === STORES.CREDENTIALS && op.type === 'put') {
+        const [value] = await cryptoService.encryptCredentials([op.value]);
+        sealed.push({ ...op, value });
+      } else {
+        sealed.push(op);
+      }
+    }
+    return sealed;
+  }
+
+  /**
+   * Turn on at-rest encryption and re-write every credential sealed
+   */
+  async enableEncryption(password) {
+    await vaultService.enable(password);
+    this.encryptionEnabled = true;
+    syncService.publish({ type: 'vault', rekeyed: true });
+    await this.rewriteCredentials();
+    await this.sealBackups();
+  }
+
+  /**
+   * Turn off at-rest encryption and re-write every credential in plaintext
+   */
+  async disableEncryption() {
+    if (vaultService.isLocked()) {
+      throw new Error('Vault is locked');
+    }
+
+    // The vault record is removed last so an interrupted run can still be unlocked
+    this.encryptionEnabled = false;
+    await this.rewriteCredentials();
+    await this.unsealBackups();
+    await vaultService.disable();
+    syncService.publish({ type: 'vault', rekeyed: true });
+  }
+
+  /**
+   * Re-encrypt every credential under a new master password
+   */
+  async changeMasterPassword(currentPassword, newPassword) {
+    if (!vaultService.isUnlocked()) {
+      throw new Error('Vault is locked');
+    }
+
+    const valid = await vaultService.verify(currentPassword);
+    if (!valid) return false;
+
+    await this.reencryptVault(newPassword);
+
+    this.dispatchStorageEvent('masterPasswordChanged');
+    return true;
+  }
+
+  /**
+   * Set a new master password after unlocking with the recovery key
+   * The used recovery key stops working because the data key is replaced
+   */
+  async resetMasterPassword(newPassword) {
+    if (!vaultService.isUnlocked() || !vaultService.recoveryUnlocked) {
+      throw new Error('Unlock with the recovery key first');
+    }
+
+    await this.reencryptVault(newPassword);
+
+    this.dispatchStorageEvent('masterPasswordChanged');
+    return true;
+  }
+
+  /**
+   * Re-seal every credential with a fresh data key wrapped under the password
+   * The old records are kept as a rollback copy until the swap commits
+   * Any recovery key wrapped the old data key, so the new record drops it
+   */
+  async reencryptVault(password) {
+    // Run inside the write queue so no record is sealed with the old key mid-change
+    await this.runExclusive(async () => {
+      const sealed = await database.getAll(STORES.CREDENTIALS);
+
+      await database.write([{
+        store: STORES.VAULT,
+        type: 'put',
+        value: {
+          key: ROLLBACK_RECORD,
+          vault: vaultService.record,
+          credentials: sealed,
+          createdAt: new Date().toISOString()
+        }
+      }]);
+
+      try {
+        const { record, key } = await vaultService.createRecord(password);
+        const decrypted = await cryptoService.decryptCredentials(sealed);
+
+        const failed = decrypted.filter(cred => cred.decryptionFailed).length;
+        if (failed > 0) {
+          throw new Error(`${failed} credential(s) could not be decrypted`);
+        }
+
+        // Bump revisions so a tab still holding the old key cannot overwrite them unnoticed
+        const resealed = (await cryptoService.encryptCredentials(decrypted, key))
+          .map(value => ({ ...value, rev: (value.rev ?? 0) + 1 }));
+
+        // New credentials, new vault record and rollback removal land in one transaction
+        await database.write([
+          ...resealed.map(value => ({ store: STORES.CREDENTIALS, type: 'put', value })),
+          { store: STORES.VAULT, type: 'put', value: record },
+          { store: STORES.VAULT, type: 'delete', key: ROLLBACK_RECORD }
+        ]);
+
+        vaultService.applyRecord(record, key);
+        resealed.forEach(value => this.revisions.set(`${STORES.CREDENTIALS}:${value.id}`, value.rev));
+        syncService.publish({ type: 'vault', rekeyed: true });
+      } catch (error) {
+        // Nothing was swapped, so the rollback copy is no longer needed
+        await database.write([{ store: STORES.VAULT, type: 'delete', key: ROLLBACK_RECORD }]);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Restore the pre-change records if a password change was interrupted
+   */
+  async recoverInterruptedPasswordChange() {
+    const rollback = await database.get(STORES.VAULT, ROLLBACK_RECORD);
+    if (!rollback) return false;
+
+    console.warn('Restoring vault from an interrupted master password change');
+    await database.write([
+      ...rollback.credentials.map(value => ({ store: STORES.CREDENTIALS, type: 'put', value })),
+      { store: STORES.VAULT, type: 'put', value: rollback.vault },
+      { store: STORES.VAULT, type: 'delete', key: ROLLBACK_RECORD }
+    ]);
+
+    return true;
+  }
+
+  /**
+   * Unlock the session key and decrypt credentials in the cache
+   */
+  async unlockVault(password) {
+    const unlocked = await vaultService.unlock(password);
+    if (!unlocked) return false;
+
+    await this.decryptCache();
+
+    // Move vaults from a password-derived field key to a wrapped data key
+    if (vaultService.needsUpgrade()) {
+      try {
+        await this.reencryptVault(password);
+      } catch (error) {
+        console.error('Vault key upgrade failed:', error);
+      }
+    }
+    this.dispatchStorageEvent('vaultUnlocked');
+    return true;
+  }
+
+  /**
+   * Unwrap the session key with the recovery key and decrypt the cache
+   */
+  async unlockWithRecoveryKey(recoveryKey) {
+    const unlocked = await vaultService.unlockWithRecoveryKey(recoveryKey);
+    if (!unlocked) return false;
+
+    await this.decryptCache();
+    this.dispatchStorageEvent('vaultUnlocked');
+    return true;
+  }
+
+  /**
+   * Drop the session key and reload sealed credentials into the cache
+   */
+  async lockVault() {
+    if (!vaultService.isEnabled()) return;
+
+    await this.flush();
+    vaultService.lock();
+    await this.loadFromDatabase();
+    this.dispatchStorageEvent('vaultLocked');
+  }
+
+  /**
+   * Replace sealed credential fields in the cache with plaintext
+   */
+  async decryptCache() {
+    if (!this.cache) return;
+
+    for (const site of this.cache.sites) {
+      site.credentials = await cryptoService.decryptCredentials(site.credentials || []);
+    }
+
+    this.rebuildPersisted();
+  }
+
+  /**
+   * Force every credential record to be written again
+   */
+  async rewriteCredentials() {
+    if (!this.cache) return;
+
+    const prefix = `${STORES.CREDENTIALS}:`;
+    Array.from(this.persisted.keys())
+      .filter(ref => ref.startsWith(prefix))
+      .forEach(ref => this.persisted.delete(ref));
+
+    this.setState(this.cache);
+    await this.lastWrite;
+  }
+
+  /**
+   * Run a task after queued writes, holding back later writes until it finishes
+   */
+  runExclusive(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Wait for all queued writes to reach IndexedDB
+   */
+  async flush() {
+    const pending = this.writeQueue;
+    await pending;
+  }
+
   /**
    * Update state partially
    */
@@ -113,16 +1163,15 @@ class StorageService {
    * Get all sites
    */
   getSites() {
-    const state = this.getState();
-    return state?.sites || [];
+    return this.cache ? deepClone(this.cache.sites || []) : [];
   }
 
   /**
    * Get site by ID
    */
   getSite(id) {
-    const sites = this.getSites();
-    return sites.find(site => site.id === id);
+    const site = this.cache?.sites?.find(site => site.id === id);
+    return site ? deepClone(site) : undefined;
   }
 
   /**
@@ -170,6 +1219,32 @@ class StorageService {
     return true;
   }
 
+  /**
+   * Move a credential to another site in a single write
+   */
+  moveCredential(fromSiteId, credentialId, toSiteId) {
+    const state = this.getState();
+    if (!state || fromSiteId === toSiteId) return false;
+
+    const from = state.sites.find(site => site.id === fromSiteId);
+    const to = state.sites.find(site => site.id === toSiteId);
+    if (!from || !to) return false;
+
+    const index = from.credentials.findIndex(c => c.id === credentialId);
+    if (index === -1) return false;
+
+    const now = new Date().toISOString();
+    const [credential] = from.credentials.splice(index, 1);
+    to.credentials.push(credential);
+    from.updatedAt = now;
+    to.updatedAt = now;
+
+    this.setState(state);
+    this.dispatchStorageEvent('credentialMoved', { fromSiteId, credentialId, toSiteId });
+
+    return true;
+  }
+
   /**
    * Delete site
    */
@@ -190,6 +1265,30 @@ class StorageService {
     return true;
   }
 
+  /**
+   * Permanently delete archived sites older than the retention period
+   * @returns {number} Number of sites purged
+   */
+  purgeArchivedSites(now = new Date()) {
+    const state = this.getState();
+    if (!state) return 0;
+
+    const days = state.settings?.archiveRetentionDays ?? CONFIG.archive.retentionDays;
+    if (!days) return 0;
+
+    const cutoff = new Date(now).getTime() - days * 24 * 60 * 60 * 1000;
+    const expired = state.sites.filter(site =>
+      site.archived && site.archivedAt && Date.parse(site.archivedAt) <= cutoff
+    );
+    if (expired.length === 0) return 0;
+
+    state.sites = state.sites.filter(site => !expired.includes(site));
+    this.setState(state);
+    this.dispatchStorageEvent('archivePurged', { count: expired.length });
+
+    return expired.length;
+  }
+
   /**
    * Check in credential
    */
@@ -220,11 +1319,11 @@ class StorageService {
       }
     }
 
-    // Update analytics
+    // Update analytics (streak compares against the previous check-in day)
     state.analytics.totalCheckIns++;
-    state.analytics.lastCheckIn = now;
-    
     this.updateStreak(state);
+    state.analytics.lastCheckIn = now;
+
     this.setState(state);
     this.dispatchStorageEvent('credentialChecked', { siteId, credentialId });
 
@@ -252,18 +1351,21 @@ class StorageService {
 
   /**
    * Reset all credentials for the day
+   * @param {Object} options - { dueOnly: keep check-ins that still cover their cadence }
    */
-  resetAllCredentials() {
+  resetAllCredentials({ dueOnly = false } = {}) {
     const state = this.getState();
     if (!state) return false;
 
     state.sites.forEach(site => {
       site.credentials.forEach(credential => {
-        credential.checkedInOn = null;
+        if (!dueOnly || cadence.isDue(site, credential)) {
+          credential.checkedInOn = null;
+        }
       });
     });
 
-    state.lastReset = new Date().toISOString().split('T')[0];
+    state.lastReset = checkInDay.today();
     this.setState(state);
     this.dispatchStorageEvent('allCredentialsReset');
 
@@ -275,19 +1377,32 @@ class StorageService {
    */
   async checkDailyReset() {
     const state = this.getState();
-    if (!state || !state.settings.autoReset) return;
+    if (!state || !state.settings.autoReset) return false;
 
-    const today = new Date().toISOString().split('T')[0];
-    if (state.lastReset !== today) {
-      this.resetAllCredentials();
+    // Day keys sort as strings; never reset twice when the boundary moves back
+    if (!state.lastReset || state.lastReset < checkInDay.today()) {
+      return this.resetAllCredentials({ dueOnly: true });
     }
+    return false;
+  }
+
+  /**
+   * Point the check-in day calculator at the stored reset time and timezone
+   */
+  applyResetSettings(state) {
+    if (!state?.settings) return;
+
+    checkInDay.configure({
+      resetTime: state.settings.resetTime,
+      timezone: state.settings.timezone
+    });
   }
 
   /**
    * Update streak analytics
    */
   updateStreak(state) {
-    const today = new Date().toISOString().split('T')[0];
+    const today = checkInDay.today();
     const lastCheckIn = state.analytics.lastCheckIn;
 
     if (!lastCheckIn) {
@@ -295,8 +1410,8 @@ class StorageService {
       return;
     }
 
-    const lastDate = new Date(lastCheckIn).toISOString().split('T')[0];
-    const yesterday = new Date(Date.now() - 86400000).toISOString().split('T')[0];
+    const lastDate = checkInDay.getDayKey(lastCheckIn);
+    const yesterday = checkInDay.shiftDay(today, -1);
 
     if (lastDate === yesterday) {
       state.analytics.currentStreak++;
@@ -313,8 +1428,7 @@ class StorageService {
    * Get categories
    */
   getCategories() {
-    const state = this.getState();
-    return state?.categories || [];
+    return this.cache ? deepClone(this.cache.categories || []) : [];
   }
 
   /**
@@ -338,11 +1452,27 @@ class StorageService {
 
   /**
    * Export data
+   * @param {string} format - 'json', 'csv' (one row per credential) or 'history-csv' (one row per check-in)
+   * @param {Object} options - { includeMetadata, includeAnalytics } for 'json' (both default to true);
+   *   { columns, includePasswords } for 'csv'; { hint } for an encrypted export
    */
-  async exportData(format = 'json', includeHistory = true, encrypt = false, password = null) {
+  async exportData(format = 'json', includeHistory = true, encrypt = false, password = null, options = {}) {
     const state = this.getState();
     if (!state) return null;
 
+    // Never fall back to a plaintext file when encryption was asked for
+    if (encrypt && !password) {
+      this.dispatchStorageEvent('exportFailed', { errors: ['Enter a password to encrypt the export'] });
+      return null;
+    }
+
+    // Every format here carries credentials: CSV cells would hold sealed envelopes instead of
+    // values, and JSON would hold envelopes only the vault's data key opens, not the file password
+    if (vaultService.isLocked()) {
+      this.dispatchStorageEvent('exportFailed', { errors: ['Unlock the vault before exporting'] });
+      return null;
+    }
+
     let data = {
       ...state,
       exportedAt: new Date().toISOString(),
@@ -359,9 +1489,19 @@ class StorageService {
       }));
     }
 
-    if (encrypt && password) {
-      data = await cryptoService.encrypt(data, password);
-      return JSON.stringify(data, null, 2);
+    if (options.includeAnalytics === false) {
+      delete data.analytics;
+    }
+
+    // Accounts only: no app settings, per-site metadata or record timestamps
+    if (options.includeMetadata === false) {
+      delete data.settings;
+      data.sites = data.sites.map(({ metadata, createdAt, updatedAt, ...site }) => site);
+    }
+
+    if (encrypt) {
+      const container = await dashorgContainer.seal(data, password, { hint: options.hint });
+      return JSON.stringify(container, null, 2);
     }
 
     if (format === 'json') {
@@ -369,41 +1509,115 @@ class StorageService {
     }
 
     if (format === 'csv') {
-      return this.convertToCSV(data);
+      return this.convertToCSV(data, options);
+    }
+
+    if (format === 'history-csv') {
+      return csvExporter.history(data);
     }
 
     return null;
   }
 
   /**
-   * Import data
+   * Parse, decrypt and validate an import file without applying it
+   * @returns {Promise<{data: Object|null, errors: string[], encrypted: boolean, reason: string|null, header: Object|null}>}
+   *   reason is one of CONTAINER_ERRORS when an encrypted file couldn't be opened;
+   *   header is the readable part of a .dashorg file (createdAt, appVersion, hint)
    */
-  async importData(dataString, password = null) {
+  async readImport(dataString, password = null) {
+    let data;
     try {
-      let data = JSON.parse(dataString);
+      data = JSON.parse(dataString);
+    } catch {
+      return { data: null, errors: ['The file is not valid JSON'], encrypted: false, reason: null, header: null };
+    }
 
-      // Check if encrypted
-      if (data.algorithm && password) {
-        data = await cryptoService.decrypt(data, password);
+    if (dashorgContainer.isContainer(data)) {
+      const header = dashorgContainer.describe(data);
+      const { data: opened, error, message } = await dashorgContainer.open(data, password);
+      if (error) {
+        return { data: null, errors: [message], encrypted: true, reason: error, header };
       }
+      return { ...this.validateImport(opened), encrypted: true, reason: null, header };
+    }
 
-      // Validate data structure
-      if (!data.sites || !Array.isArray(data.sites)) {
-        throw new Error('Invalid data format');
+    // Encrypted exports from before the .dashorg container
+    const encrypted = cryptoService.isEncryptedExport(data);
+    if (encrypted) {
+      if (!password) {
+        return { data: null, errors: ['This file is encrypted. Enter the password it was exported with.'], encrypted, reason: CONTAINER_ERRORS.PASSWORD_REQUIRED, header: null };
       }
+      try {
+        data = await cryptoService.decrypt(data, password);
+      } catch {
+        return { data: null, errors: ['Wrong password, or the file is damaged'], encrypted, reason: CONTAINER_ERRORS.WRONG_PASSWORD, header: null };
+      }
+    }
 
-      // Merge or replace
-      const state = this.getState();
-      const merged = {
-        ...state,
-        sites: [...state.sites, ...data.sites],
-        categories: data.categories || state.categories
-      };
+    return { ...this.validateImport(data), encrypted, reason: null, header: null };
+  }
+
+  /**
+   * Check import data built from a file (JSON, or rows from a CSV) against the import schema
+   * @returns {{data: Object|null, errors: string[]}}
+   */
+  validateImport(data) {
+    const { valid, errors } = schemaValidator.validate(data, IMPORT_SCHEMA);
+    if (!valid) {
+      console.error('Import failed validation:', errors);
+      return { data: null, errors };
+    }
 
-      this.setState(merged);
-      this.dispatchStorageEvent('dataImported', data);
+    return { data, errors: [] };
+  }
 
-      return true;
+  /**
+   * Compare a validated import with the current data
+   * @returns {Object|null} Merge plan from importMerger.plan()
+   */
+  previewImport(data, mode = IMPORT_MODES.MERGE) {
+    const state = this.getState();
+    if (!state) return null;
+
+    return importMerger.plan(state, data, mode);
+  }
+
+  /**
+   * Merge or replace the current data with a validated import, backing up first
+   * @param {Object} options - { mode, actions: per-entry choices from the plan }
+   * @returns {Promise<Object|null>} { added, updated, skipped, removed }, or null if it was refused
+   */
+  async applyImport(data, options = {}) {
+    // Sealed credentials can't be compared or merged with plaintext ones
+    if (vaultService.isLocked()) {
+      this.dispatchStorageEvent('importFailed', { errors: ['Unlock the vault before importing'] });
+      return null;
+    }
+
+    await this.createBackup(BACKUP_REASONS.IMPORT);
+
+    const { state, summary } = importMerger.merge(this.getState(), data, options);
+    this.setState(state);
+    this.dispatchStorageEvent('dataImported', { ...summary, mode: options.mode || IMPORT_MODES.MERGE });
+
+    return summary;
+  }
+
+  /**
+   * Import data
+   * Re-importing the same file matches every site instead of duplicating it
+   * @returns {Promise<Object|false>} Import summary, or false if it failed
+   */
+  async importData(dataString, password = null, options = {}) {
+    try {
+      const { data, errors } = await this.readImport(dataString, password);
+      if (!data) {
+        this.dispatchStorageEvent('importFailed', { errors });
+        return false;
+      }
+
+      return (await this.applyImport(data, options)) || false;
     } catch (error) {
       console.error('Import error:', error);
       return false;
@@ -412,30 +1626,30 @@ class StorageService {
 
   /**
    * Convert to CSV format
+   * @param {Object} options - { columns, includePasswords }, see csvExporter.credentials()
    */
-  convertToCSV(data) {
-    const rows = [['Site Name', 'URL', 'Category', 'Email', 'Label', 'Tags']];
-
-    data.sites.forEach(site => {
-      site.credentials.forEach(cred => {
-        rows.push([
-          site.name,
-          site.url,
-          site.category || '',
-          cred.email,
-          cred.label,
-          (site.tags || []).join(';')
-        ]);
-      });
-    });
-
-    return rows.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
+  convertToCSV(data, options = {}) {
+    return csvExporter.credentials(data, options);
   }
 
   /**
    * Clear all data
    */
-  clearAllData() {
+  async clearAllData() {
+    await this.flush();
+    if (this.cache) {
+      await this.createBackup(BACKUP_REASONS.CLEAR);
+    }
+
+    // Backups are kept so the cleared data can still be restored
+    await database.clear(Object.values(STORES).filter(store => store !== STORES.BACKUPS));
+    vaultService.reset();
+    this.encryptionEnabled = false;
+    this.cache = null;
+    this.persisted.clear();
+    this.revisions.clear();
+    this.committed.clear();
+
     safeLocalStorage.removeItem(this.storageKey);
     safeLocalStorage.removeItem(this.credentialsKey);
     sessionStorage.clear();
@@ -470,14 +1684,14 @@ class StorageService {
   /**
    * Get storage size
    */
-  getStorageSize() {
-    let total = 0;
-    for (let key in localStorage) {
-      if (localStorage.hasOwnProperty(key)) {
-        total += localStorage[key].length + key.length;
-      }
+  async getStorageSize() {
+    if (navigator.storage?.estimate) {
+      const { usage = 0 } = await navigator.storage.estimate();
+      return (usage / 1024).toFixed(2); // KB
     }
-    return (total / 1024).toFixed(2); // KB
+
+    // Rough fallback: size of the cached state document
+    return (JSON.stringify(this.cache || {}).length / 1024).toFixed(2);
   }
 }
 
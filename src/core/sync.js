@@ -0,0 +1,99 @@
+/**
+ * Cross-tab Sync
+ * Tells other open tabs when this tab has written to the database
+ */
+
+import { CONFIG } from '../config.js';
+import { generateUUID, safeLocalStorage } from '../shared/constants.js';
+
+class SyncService {
+  constructor() {
+    this.tabId = generateUUID();
+    this.channel = null;
+    this.listeners = [];
+    this.storageHandler = null;
+  }
+
+  /**
+   * Start listening for messages from other tabs
+   * Uses BroadcastChannel, or the localStorage `storage` event where it is missing
+   */
+  init() {
+    if (this.channel || this.storageHandler) return;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CONFIG.sync.channelName);
+      this.channel.onmessage = (event) => this.receive(event.data);
+      return;
+    }
+
+    if (typeof window !== 'undefined') {
+      this.storageHandler = (event) => {
+        if (event.key !== CONFIG.sync.storageKey || !event.newValue) return;
+        try {
+          this.receive(JSON.parse(event.newValue));
+        } catch (error) {
+          console.warn('Ignoring malformed sync message:', error);
+        }
+      };
+      window.addEventListener('storage', this.storageHandler);
+    }
+  }
+
+  /**
+   * Send a message to every other tab
+   * @param {Object} message - { type: 'changes' } or { type: 'vault', rekeyed }
+   */
+  publish(message) {
+    const envelope = { ...message, tabId: this.tabId, sentAt: Date.now() };
+
+    if (this.channel) {
+      this.channel.postMessage(envelope);
+    } else if (this.storageHandler) {
+      // The storage event only fires in other tabs, and only when the value changes
+      safeLocalStorage.setItem(CONFIG.sync.storageKey, JSON.stringify({ ...envelope, nonce: generateUUID() }));
+    }
+  }
+
+  /**
+   * Register a handler for messages from other tabs
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== callback);
+    };
+  }
+
+  /**
+   * Pass a message to the handlers, skipping our own echoes
+   */
+  receive(message) {
+    if (!message || message.tabId === this.tabId) return;
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error('Error in sync listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  close() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    if (this.storageHandler) {
+      window.removeEventListener('storage', this.storageHandler);
+      this.storageHandler = null;
+    }
+  }
+}
+
+// Export singleton instance
+export const syncService = new SyncService();
\ No newline at end of file
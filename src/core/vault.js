@@ -0,0 +1,259 @@
+/**
+ * Vault Service
+ * Master password lifecycle: enable, unlock, lock and disable at-rest encryption
+ */
+
+import { CONFIG } from '../config.js';
+import { cryptoService } from './crypto.js';
+import { database, STORES } from './database.js';
+
+const VAULT_RECORD = 'vault';
+
+// Pre-change copy of the vault and sealed credentials while a password change runs
+export const ROLLBACK_RECORD = 'rollback';
+
+// Record layout with a data key wrapped by the password-derived key
+const VAULT_VERSION = 2;
+
+class VaultService {
+  constructor() {
+    this.record = null;
+    this.recoveryUnlocked = false;
+  }
+
+  /**
+   * Load vault metadata (KDF params, wrapped key, verifier) from the database
+   */
+  async init() {
+    this.record = (await database.get(STORES.VAULT, VAULT_RECORD)) || null;
+    return this.record;
+  }
+
+  /**
+   * Check if a master password has been set up
+   */
+  isEnabled() {
+    return this.record !== null;
+  }
+
+  /**
+   * Check if the vault is enabled but its key is not in memory
+   */
+  isLocked() {
+    return this.isEnabled() && !cryptoService.hasKey();
+  }
+
+  /**
+   * Check if the vault is enabled and its key is in memory
+   */
+  isUnlocked() {
+    return this.isEnabled() && cryptoService.hasKey();
+  }
+
+  /**
+   * Set up a master password and generate the session key
+   */
+  async enable(password) {
+    if (this.isEnabled()) {
+      throw new Error('Master password is already set');
+    }
+
+    const { record, key } = await this.createRecord(password);
+    await this.saveRecord(record);
+    cryptoService.useKey(key);
+  }
+
+  /**
+   * Build a vault record for a data key wrapped under the password, without saving
+   * A fresh data key is generated unless one is passed in
+   */
+  async createRecord(password, key = null) {
+    const dataKey = key || await cryptoService.generateDataKey();
+    const salt = cryptoService.generateSalt();
+    const wrappingKey = await cryptoService.deriveWrappingKey(password, salt);
+
+    const record = {
+      key: VAULT_RECORD,
+      version: VAULT_VERSION,
+      kdf: cryptoService.createKdfParams(salt),
+      keyWrap: 'AES-KW',
+      wrappedKey: await cryptoService.wrapDataKey(dataKey, wrappingKey),
+      algorithm: CONFIG.security.encryptionAlgorithm,
+      verifier: await cryptoService.createVerifier(password),
+      createdAt: new Date().toISOString()
+    };
+
+    return { record, key: dataKey };
+  }
+
+  /**
+   * Check if the record predates the wrapped data key (key derived from the password)
+   */
+  needsUpgrade() {
+    return this.isEnabled() && !this.record.wrappedKey;
+  }
+
+  /**
+   * Switch to a record and key that were already committed to the database
+   */
+  applyRecord(record, key) {
+    this.record = record;
+    this.recoveryUnlocked = false;
+    cryptoService.useKey(key);
+  }
+
+  /**
+   * Verify the master password and unwrap the session key
+   */
+  async unlock(password) {
+    if (!this.isEnabled()) return true;
+
+    const valid = await cryptoService.verifyPassword(password, this.record.verifier);
+    if (!valid) return false;
+
+    if (this.record.wrappedKey) {
+      const { salt, iterations } = this.record.kdf;
+      const wrappingKey = await cryptoService.deriveWrappingKey(
+        password,
+        cryptoService.base64ToArrayBuffer(salt),
+        iterations
+      );
+      cryptoService.useKey(await cryptoService.unwrapDataKey(this.record.wrappedKey, wrappingKey));
+    } else {
+      // Legacy record: the field key is derived straight from the password
+      await cryptoService.unlock(
+        password,
+        cryptoService.base64ToArrayBuffer(this.record.salt),
+        this.record.iterations
+      );
+    }
+
+    // Upgrade legacy SHA-256 or weaker verifiers now that we know the password
+    if (cryptoService.needsRehash(this.record.verifier)) {
+      await this.saveRecord({
+        ...this.record,
+        verifier: await cryptoService.createVerifier(password)
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if a recovery key also wraps the data key
+   */
+  hasRecoveryKey() {
+    return this.isEnabled() && Boolean(this.record.recovery);
+  }
+
+  /**
+   * Wrap the session data key under a new recovery key
+   * Replaces any previous recovery key; the returned key is not stored anywhere
+   */
+  async createRecoveryKey() {
+    if (!this.isUnlocked()) {
+      throw new Error('Vault is locked');
+    }
+    if (!this.record.wrappedKey) {
+      throw new Error('Vault must be upgraded before adding a recovery key');
+    }
+
+    const recoveryKey = cryptoService.generateRecoveryKey();
+    const salt = cryptoService.generateSalt();
+    const wrappingKey = await cryptoService.deriveWrappingKey(
+      cryptoService.normalizeRecoveryKey(recoveryKey),
+      salt
+    );
+
+    await this.saveRecord({
+      ...this.record,
+      recovery: {
+        kdf: cryptoService.createKdfParams(salt),
+        keyWrap: 'AES-KW',
+        wrappedKey: await cryptoService.wrapDataKey(cryptoService.derivedKey, wrappingKey),
+        createdAt: new Date().toISOString()
+      }
+    });
+
+    return recoveryKey;
+  }
+
+  /**
+   * Remove the recovery key so only the master password unlocks the vault
+   */
+  async removeRecoveryKey() {
+    if (!this.hasRecoveryKey()) return;
+
+    const { recovery, ...record } = this.record;
+    await this.saveRecord(record);
+  }
+
+  /**
+   * Unwrap the session key with the recovery key
+   * The caller must then set a new master password
+   */
+  async unlockWithRecoveryKey(recoveryKey) {
+    if (!this.hasRecoveryKey()) return false;
+
+    const { kdf, wrappedKey } = this.record.recovery;
+
+    try {
+      const wrappingKey = await cryptoService.deriveWrappingKey(
+        cryptoService.normalizeRecoveryKey(recoveryKey),
+        cryptoService.base64ToArrayBuffer(kdf.salt),
+        kdf.iterations
+      );
+      cryptoService.useKey(await cryptoService.unwrapDataKey(wrappedKey, wrappingKey));
+    } catch (error) {
+      // AES-KW integrity check fails for a wrong key
+      return false;
+    }
+
+    this.recoveryUnlocked = true;
+    return true;
+  }
+
+  /**
+   * Persist an updated vault record
+   */
+  async saveRecord(record) {
+    await database.write([{ store: STORES.VAULT, type: 'put', value: record }]);
+    this.record = record;
+  }
+
+  /**
+   * Wipe the session key from memory
+   */
+  lock() {
+    this.recoveryUnlocked = false;
+    cryptoService.clearSensitiveData();
+  }
+
+  /**
+   * Check a password without changing the lock state
+   */
+  async verify(password) {
+    if (!this.isEnabled()) return false;
+    return cryptoService.verifyPassword(password, this.record.verifier);
+  }
+
+  /**
+   * Stop treating data as encrypted (callers rewrite records first)
+   */
+  async disable() {
+    await database.write([{ store: STORES.VAULT, type: 'delete', key: VAULT_RECORD }]);
+    this.reset();
+  }
+
+  /**
+   * Forget vault metadata and key (after clearing all data)
+   */
+  reset() {
+    this.record = null;
+    this.recoveryUnlocked = false;
+    cryptoService.clearSensitiveData();
+  }
+}
+
+// Export singleton instance
+export const vaultService = new VaultService();
\ No newline at end of file
@@ -4,7 +4,9 @@
  */
 
 import { stateManager } from '../../core/state.js';
-import { formatDate, isToday } from '../../shared/constants.js';
+import { checkInDay } from '../../core/check-in-day.js';
+import { cadence } from '../../core/cadence.js';
+import { formatDate } from '../../shared/constants.js';
 
 class AnalyticsService {
   /**
@@ -26,7 +28,7 @@ class AnalyticsService {
     sites.forEach(site => {
       site.credentials.forEach(credential => {
         totalCredentials++;
-        if (credential.checkedInOn && isToday(credential.checkedInOn)) {
+        if (cadence.isSatisfied(site, credential)) {
           checkedCredentials++;
         }
       });
@@ -50,12 +52,10 @@ class AnalyticsService {
   getCheckInHistory(days = 30) {
     const sites = stateManager.getSites();
     const history = [];
-    const today = new Date();
+    const today = checkInDay.today();
 
     for (let i = 0; i < days; i++) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
-      const dateString = date.toISOString().split('T')[0];
+      const dateString = checkInDay.shiftDay(today, -i);
 
       let checkIns = 0;
       let total = 0;
@@ -65,13 +65,11 @@ class AnalyticsService {
           total++;
           if (credential.checkInHistory) {
             const hasCheckIn = credential.checkInHistory.some(entry => {
-              const entryDate = new Date(entry.timestamp).toISOString().split('T')[0];
-              return entryDate === dateString;
+              return checkInDay.getDayKey(entry.timestamp) === dateString;
             });
             if (hasCheckIn) checkIns++;
           } else if (credential.checkedInOn) {
-            const credDate = new Date(credential.checkedInOn).toISOString().split('T')[0];
-            if (credDate === dateString) checkIns++;
+            if (checkInDay.getDayKey(credential.checkedInOn) === dateString) checkIns++;
           }
         });
       });
@@ -144,7 +142,7 @@ class AnalyticsService {
   }
 
   /**
-   * Get most active times
+   * Get most active times (hours in the configured timezone)
    */
   getMostActiveTimes() {
     const sites = stateManager.getSites();
@@ -154,7 +152,7 @@ class AnalyticsService {
       site.credentials.forEach(credential => {
         if (credential.checkInHistory) {
           credential.checkInHistory.forEach(entry => {
-            const hour = new Date(entry.timestamp).getHours();
+            const { hour } = checkInDay.getHourAndWeekday(entry.timestamp);
             hourCounts[hour]++;
           });
         }
@@ -180,8 +178,8 @@ class AnalyticsService {
       site.credentials.forEach(credential => {
         if (credential.checkInHistory) {
           credential.checkInHistory.forEach(entry => {
-            const day = new Date(entry.timestamp).getDay();
-            dayCounts[day]++;
+            const { weekday } = checkInDay.getHourAndWeekday(entry.timestamp);
+            dayCounts[weekday]++;
           });
         }
       });
@@ -0,0 +1,371 @@
+/**
+ * Backup View
+ * Lists backups with a diff preview and restore, and holds the backup schedule settings
+ */
+
+import { Modal } from '../../shared/components/modal.js';
+import { toast } from '../../shared/components/toast.js';
+import { backupService } from './backup.service.js';
+import { stateManager } from '../../core/state.js';
+import { BACKUP_REASONS } from '../../core/backups.js';
+import { formatDate, sanitizeHTML } from '../../shared/constants.js';
+
+const MODAL_ID = 'backup-modal';
+
+const REASON_LABELS = {
+  [BACKUP_REASONS.SCHEDULED]: 'Scheduled',
+  [BACKUP_REASONS.MANUAL]: 'Manual',
+  [BACKUP_REASONS.IMPORT]: 'Before import',
+  [BACKUP_REASONS.CLEAR]: 'Before clearing data',
+  [BACKUP_REASONS.RESET]: 'Before reset',
+  [BACKUP_REASONS.RESTORE]: 'Before restore',
+  [BACKUP_REASONS.MIGRATION]: 'Before upgrade',
+  [BACKUP_REASONS.REPAIR]: 'Before repair'
+};
+
+// Diff sections can get long after a big import; the rest is summarised
+const MAX_DIFF_ITEMS = 10;
+
+class BackupView {
+  constructor() {
+    this.modal = new Modal(MODAL_ID);
+    this.backups = [];
+    this.previewId = null;
+    this.busy = false;
+  }
+
+  /**
+   * Build the modal the first time it is needed
+   */
+  ensureCreated() {
+    if (this.modal.element) return;
+
+    this.modal.create('💾 Backups', `
+      <form class="archive-settings backup-settings" data-backup-settings>
+        <label class="field field--checkbox">
+          <input type="checkbox" name="auto-backup" />
+          <span>Back up automatically</span>
+        </label>
+        <div class="archive-settings__row">
+          <label for="backup-interval">Every</label>
+          <input type="number" id="backup-interval" name="backup-interval" min="1" max="365" step="1" />
+          <span>days, keeping</span>
+          <input type="number" id="backup-max" name="max-backups" min="1" max="100" step="1" aria-label="Backups to keep" />
+          <span>backups</span>
+        </div>
+        <label class="field field--checkbox">
+          <input type="checkbox" name="include-history" />
+          <span>Include check-in history</span>
+        </label>
+        <div class="archive-settings__row">
+          <button type="submit" class="btn btn--ghost btn--sm">Save</button>
+          <span class="field__hint" data-next-backup></span>
+        </div>
+        <span class="field__hint">Backups taken before imports, resets and restores are kept separately. Manual backups are never deleted automatically.</span>
+      </form>
+      <ul class="archive-list" data-backup-list></ul>
+    `, `
+      <button type="button" class="btn btn--primary" data-action="create-backup">Back Up Now</button>
+      <button type="button" class="btn btn--ghost" data-close-modal>Close</button>
+    `);
+
+    this.attachListeners();
+  }
+
+  /**
+   * Wire up the list actions and the settings form
+   */
+  attachListeners() {
+    const element = this.modal.element;
+
+    element.querySelector('[data-backup-list]').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button || this.busy) return;
+
+      const backupId = button.closest('[data-backup-id]').dataset.backupId;
+      if (button.dataset.action === 'preview-backup') {
+        this.togglePreview(backupId);
+      } else if (button.dataset.action === 'restore-backup') {
+        this.restore(backupId);
+      } else if (button.dataset.action === 'delete-backup') {
+        this.delete(backupId);
+      }
+    });
+
+    element.querySelector('[data-action="create-backup"]').addEventListener('click', () => this.create());
+
+    element.querySelector('[data-backup-settings]').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const form = e.target;
+
+      const backup = await backupService.updateSettings({
+        autoBackup: form.querySelector('[name="auto-backup"]').checked,
+        backupInterval: form.querySelector('[name="backup-interval"]').value,
+        maxBackups: form.querySelector('[name="max-backups"]').value,
+        includeHistory: form.querySelector('[name="include-history"]').checked
+      });
+
+      toast.success(backup ? 'Backup settings saved, backup taken' : 'Backup settings saved', 2000);
+      this.fillSettings();
+      await this.refresh();
+    });
+  }
+
+  /**
+   * Open the backup manager
+   */
+  async open() {
+    this.ensureCreated();
+    this.previewId = null;
+    this.fillSettings();
+    this.modal.open();
+    await this.refresh();
+  }
+
+  /**
+   * Close the backup manager
+   */
+  close() {
+    if (this.modal.isOpen) {
+      this.modal.close();
+    }
+  }
+
+  /**
+   * Put the saved settings into the form
+   */
+  fillSettings() {
+    const form = this.modal.element.querySelector('[data-backup-settings]');
+    const settings = backupService.getSettings();
+
+    form.querySelector('[name="auto-backup"]').checked = settings.autoBackup;
+    form.querySelector('[name="backup-interval"]').value = settings.backupInterval;
+    form.querySelector('[name="max-backups"]').value = settings.maxBackups;
+    form.querySelector('[name="include-history"]').checked = settings.includeHistory;
+  }
+
+  /**
+   * Reload the backup list and the next scheduled date
+   */
+  async refresh() {
+    try {
+      this.backups = await stateManager.getBackups();
+    } catch (error) {
+      console.error('Could not list backups:', error);
+      this.backups = [];
+      toast.error('Could not read your backups.');
+    }
+
+    const next = await backupService.getNextBackupDate();
+    this.modal.element.querySelector('[data-next-backup]').textContent = next
+      ? `Next backup ${next.getTime() <= Date.now() ? 'is due now' : `on ${formatDate(next)}`}`
+      : '';
+
+    await this.render();
+  }
+
+  /**
+   * Render the backup list, with the diff under the previewed backup
+   */
+  async render() {
+    const list = this.modal.element.querySelector('[data-backup-list]');
+
+    if (this.backups.length === 0) {
+      list.innerHTML = `
+        <li class="empty-state">
+          <span class="empty-state__icon">💾</span>
+          <h3>No backups yet</h3>
+          <p>Back up now, or turn on automatic backups above</p>
+        </li>
+      `;
+      return;
+    }
+
+    const diff = this.previewId ? await this.loadDiff(this.previewId) : null;
+    list.innerHTML = this.backups.map(backup => this.renderItem(backup, backup.id === this.previewId ? diff : null)).join('');
+  }
+
+  /**
+   * Render one backup
+   */
+  renderItem(backup, diff) {
+    const previewing = backup.id === this.previewId;
+
+    return `
+      <li class="archive-item backup-item" data-backup-id="${sanitizeHTML(backup.id)}">
+        <div class="backup-item__row">
+          <div class="archive-item__info">
+            <strong class="archive-item__name">${sanitizeHTML(this.formatTimestamp(backup.createdAt))}</strong>
+            <span class="archive-item__meta">
+              ${sanitizeHTML(REASON_LABELS[backup.reason] || backup.reason)} ·
+              version ${sanitizeHTML(String(backup.version))} ·
+              ${backup.sites} site${backup.sites === 1 ? '' : 's'}, ${backup.credentials} credential${backup.credentials === 1 ? '' : 's'} ·
+              ${this.formatSize(backup.size)}${backup.encrypted ? ' · 🔒' : ''}
+            </span>
+          </div>
+          <div class="inline-stack">
+            <button type="button" class="btn btn--ghost btn--sm" data-action="preview-backup" aria-expanded="${previewing}">
+              ${previewing ? 'Hide Changes' : 'Changes'}
+            </button>
+            <button type="button" class="btn btn--ghost btn--sm" data-action="restore-backup">Restore</button>
+            <button type="button" class="btn-icon" data-action="delete-backup" title="Delete backup">🗑</button>
+          </div>
+        </div>
+        ${previewing ? this.renderDiff(diff) : ''}
+      </li>
+    `;
+  }
+
+  /**
+   * Compare a backup with the current data, reporting failures inline
+   */
+  async loadDiff(id) {
+    try {
+      return await backupService.diff(id);
+    } catch (error) {
+      console.error('Could not compare backup:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Render what restoring a backup would change
+   */
+  renderDiff(diff) {
+    if (!diff) {
+      return '<div class="backup-diff"><p>This backup could not be read.</p></div>';
+    }
+
+    const sections = [
+      this.renderDiffSection('Sites', diff.sites),
+      this.renderDiffSection('Credentials', diff.credentials),
+      this.renderDiffSection('Categories', diff.categories)
+    ].filter(Boolean);
+
+    return `
+      <div class="backup-diff">
+        <p class="backup-diff__intro">Restoring this backup would:</p>
+        ${sections.length > 0 ? sections.join('') : '<p>Change nothing you can see; only check-in history may differ.</p>'}
+        ${diff.secretsCompared ? '' : '<p class="field__hint">Passwords, emails and notes are encrypted and were not compared.</p>'}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the added, removed and changed records of one kind
+   */
+  renderDiffSection(title, { added, removed, changed }) {
+    if (added.length + removed.length + changed.length === 0) return '';
+
+    const items = [
+      ...added.map(name => `<li class="backup-diff__added">Bring back ${sanitizeHTML(name)}</li>`),
+      ...removed.map(name => `<li class="backup-diff__removed">Remove ${sanitizeHTML(name)}</li>`),
+      ...changed.map(({ name, fields }) =>
+        `<li class="backup-diff__changed">Change ${sanitizeHTML(name)} (${sanitizeHTML(fields.join(', '))})</li>`)
+    ];
+    const more = items.length > MAX_DIFF_ITEMS ? `<li>and ${items.length - MAX_DIFF_ITEMS} more</li>` : '';
+
+    return `
+      <h4 class="backup-diff__title">${title}</h4>
+      <ul class="backup-diff__list">${items.slice(0, MAX_DIFF_ITEMS).join('')}${more}</ul>
+    `;
+  }
+
+  /**
+   * Show or hide the diff for a backup
+   */
+  async togglePreview(id) {
+    this.previewId = this.previewId === id ? null : id;
+    await this.render();
+  }
+
+  /**
+   * Take a manual backup
+   */
+  async create() {
+    await this.run(async () => {
+      const backup = await stateManager.createBackup();
+      if (backup) toast.success('Backup saved', 2000);
+    });
+  }
+
+  /**
+   * Replace the current data with a backup
+   */
+  async restore(id) {
+    const backup = this.backups.find(entry => entry.id === id);
+    if (!backup) return;
+
+    const when = this.formatTimestamp(backup.createdAt);
+    if (!confirm(`Replace your current data with the backup from ${when}? Your current data is backed up first.`)) return;
+
+    await this.run(async () => {
+      const result = await stateManager.restoreBackup(id);
+      if (!result.valid) {
+        toast.error(sanitizeHTML(result.errors[0] || 'That backup could not be restored.'));
+        return;
+      }
+
+      this.previewId = null;
+      toast.success(`Restored the backup from ${sanitizeHTML(when)}`);
+    });
+  }
+
+  /**
+   * Delete a backup
+   */
+  async delete(id) {
+    const backup = this.backups.find(entry => entry.id === id);
+    if (!backup) return;
+
+    if (!confirm(`Delete the backup from ${this.formatTimestamp(backup.createdAt)}?`)) return;
+
+    await this.run(async () => {
+      await stateManager.deleteBackup(id);
+      if (this.previewId === id) this.previewId = null;
+      toast.success('Backup deleted', 2000);
+    });
+  }
+
+  /**
+   * Run a list action with the buttons disabled, then refresh the list
+   */
+  async run(action) {
+    this.busy = true;
+    this.modal.element.querySelectorAll('button').forEach(button => { button.disabled = true; });
+
+    try {
+      await action();
+    } catch (error) {
+      console.error('Backup action failed:', error);
+      toast.error('Something went wrong with that backup.');
+    }
+
+    this.busy = false;
+    this.modal.element.querySelectorAll('button').forEach(button => { button.disabled = false; });
+    if (this.modal.isOpen) await this.refresh();
+  }
+
+  /**
+   * Show a backup time as date and time of day
+   */
+  formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return 'Unknown date';
+
+    return `${formatDate(date)} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  }
+
+  /**
+   * Show a byte count in B, KB or MB
+   */
+  formatSize(bytes) {
+    if (!(bytes >= 0)) return 'unknown size';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
+
+// Export singleton instance
+export const backupView = new BackupView();
\ No newline at end of file
@@ -0,0 +1,164 @@
+/**
+ * Backup Service
+ * Backup settings, the automatic backup schedule and diffs against the current state
+ */
+
+import { stateManager } from '../../core/state.js';
+import { BACKUP_REASONS } from '../../core/backups.js';
+import { CONFIG } from '../../config.js';
+
+// How often the schedule is checked while the app stays open
+const CHECK_INTERVAL = 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Sealed values get a fresh IV on every write, so they only compare as plaintext
+const SECRET_FIELDS = ['email', 'password', 'notes', 'customFields'];
+
+// Bookkeeping that changes on every check-in and would drown out real edits
+const IGNORED_FIELDS = ['id', 'rev', 'credentials', 'updatedAt', 'checkInHistory'];
+
+class BackupService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Take a scheduled backup if one is due, then keep checking hourly
+   */
+  init() {
+    if (this.timer) return;
+
+    this.checkSchedule();
+    this.timer = setInterval(() => this.checkSchedule(), CHECK_INTERVAL);
+  }
+
+  /**
+   * Get the backup settings, filled in with defaults
+   */
+  getSettings() {
+    return { ...CONFIG.backup, ...(stateManager.getSettings().backup || {}) };
+  }
+
+  /**
+   * Change the backup settings, taking a backup straight away if one is now due
+   */
+  updateSettings(updates) {
+    const backup = { ...this.getSettings(), ...updates };
+    backup.backupInterval = Math.max(1, Math.round(Number(backup.backupInterval)) || CONFIG.backup.backupInterval);
+    backup.maxBackups = Math.max(1, Math.round(Number(backup.maxBackups)) || CONFIG.backup.maxBackups);
+
+    stateManager.updateSettings({ backup });
+    return this.checkSchedule();
+  }
+
+  /**
+   * Get when the next scheduled backup is due
+   * @returns {Promise<Date|null>} Null while automatic backups are off
+   */
+  async getNextBackupDate() {
+    const settings = this.getSettings();
+    if (!settings.autoBackup) return null;
+
+    const latest = await stateManager.getLatestBackup(BACKUP_REASONS.SCHEDULED);
+    if (!latest) return new Date();
+
+    return new Date(Date.parse(latest.createdAt) + settings.backupInterval * DAY);
+  }
+
+  /**
+   * Take a scheduled backup if automatic backups are on and the last one is old enough
+   * @returns {Promise<Object|null>} The new backup, if one was taken
+   */
+  async checkSchedule() {
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      const due = await this.getNextBackupDate();
+      if (!due || due.getTime() > Date.now()) return null;
+
+      return await stateManager.createBackup(BACKUP_REASONS.SCHEDULED);
+    } catch (error) {
+      console.error('Scheduled backup failed:', error);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Compare a backup with the current state
+   * Lists what restoring it would add, remove or change
+   * @returns {Promise<Object|null>} { sites, credentials, categories, secretsCompared }
+   */
+  async diff(id) {
+    const backup = await stateManager.loadBackupState(id);
+    if (!backup) return null;
+
+    const current = stateManager.getState();
+    const ignored = backup.secretsComparable ? IGNORED_FIELDS : [...IGNORED_FIELDS, ...SECRET_FIELDS];
+
+    const backupSites = backup.state.sites || [];
+    const currentSites = current.sites || [];
+
+    const credentialsOf = sites => sites.flatMap(site =>
+      (site.credentials || []).map(credential => ({ ...credential, siteName: site.name }))
+    );
+
+    return {
+      sites: this.diffRecords(currentSites, backupSites, ignored, site => site.name),
+      credentials: this.diffRecords(credentialsOf(currentSites), credentialsOf(backupSites), [...ignored, 'siteName'],
+        credential => `${credential.siteName} › ${credential.label || 'Credential'}`),
+      categories: this.diffRecords(current.categories || [], backup.state.categories || [], ignored, category => category.name),
+      secretsCompared: backup.secretsComparable
+    };
+  }
+
+  /**
+   * Match records by id and describe the differences
+   * "added" and "removed" are from the point of view of restoring the backup
+   */
+  diffRecords(currentRecords, backupRecords, ignored, nameOf) {
+    const currentById = new Map(currentRecords.map(record => [record.id, record]));
+    const backupById = new Map(backupRecords.map(record => [record.id, record]));
+
+    const added = backupRecords.filter(record => !currentById.has(record.id)).map(nameOf);
+    const removed = currentRecords.filter(record => !backupById.has(record.id)).map(nameOf);
+    const changed = [];
+
+    backupRecords.forEach(record => {
+      const existing = currentById.get(record.id);
+      if (!existing) return;
+
+      const fields = this.changedFields(existing, record, ignored);
+      if (fields.length > 0) {
+        changed.push({ name: nameOf(record), fields });
+      }
+    });
+
+    return { added, removed, changed };
+  }
+
+  /**
+   * List the top-level fields that differ between two records
+   */
+  changedFields(a, b, ignored) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+    return [...keys].filter(key =>
+      !ignored.includes(key) && JSON.stringify(a[key] ?? null) !== JSON.stringify(b[key] ?? null)
+    );
+  }
+
+  /**
+   * Stop the schedule
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Export singleton instance
+export const backupService = new BackupService();
\ No newline at end of file
@@ -0,0 +1,616 @@
+/**
+ * Credential Editor
+ * Modal form for editing every field of a credential
+ */
+
+import { Modal } from '../../shared/components/modal.js';
+import { toast } from '../../shared/components/toast.js';
+import { credentialsService } from './credentials.service.js';
+import { totpService, TOTP_FIELD_TYPE } from './totp.service.js';
+import { qrService } from './qr.service.js';
+import { qrView } from './qr-view.js';
+import { stateManager } from '../../core/state.js';
+import { cryptoService } from '../../core/crypto.js';
+import { cadence, CADENCE_TYPES } from '../../core/cadence.js';
+import { calculatePasswordStrength, generateUUID, sanitizeHTML } from '../../shared/constants.js';
+import { CONFIG } from '../../config.js';
+
+const MODAL_ID = 'credential-editor-modal';
+
+const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'hidden', label: 'Hidden' },
+  { value: 'url', label: 'URL' },
+  { value: TOTP_FIELD_TYPE, label: 'Authenticator (TOTP)' }
+];
+
+// Custom field types masked in the editor until revealed
+const SECRET_FIELD_TYPES = ['hidden', TOTP_FIELD_TYPE];
+
+class CredentialEditor {
+  constructor() {
+    this.modal = new Modal(MODAL_ID);
+    this.siteId = null;
+    this.credentialId = null;
+    this.originalPassword = '';
+  }
+
+  /**
+   * Build the modal the first time it is needed
+   */
+  ensureCreated() {
+    if (this.modal.element) return;
+
+    this.modal.create('Edit Credential', this.renderForm(), `
+      <button type="button" class="btn btn--ghost" data-close-modal>Cancel</button>
+      <button type="submit" class="btn btn--primary" form="credential-editor-form">
+        <span>✓</span> Save Changes
+      </button>
+    `);
+
+    this.form = this.modal.element.querySelector('#credential-editor-form');
+    this.attachListeners();
+    this.modal.onClose(() => this.reset());
+  }
+
+  /**
+   * Form markup (values are filled in through the DOM, never interpolated)
+   */
+  renderForm() {
+    const cadenceOptions = Object.values(CADENCE_TYPES)
+      .map(type => `<option value="${type}">${type === CADENCE_TYPES.CUSTOM ? 'Custom interval' : cadence.describe(type)}</option>`)
+      .join('');
+
+    return `
+      <form id="credential-editor-form" novalidate>
+        <div class="form-section">
+          <h3 class="form-section__title">Login</h3>
+
+          <div class="form-row">
+            <div class="field" data-field="label">
+              <label class="field__label" for="credential-editor-label">
+                Label <span class="required">*</span>
+              </label>
+              <input type="text" id="credential-editor-label" name="label" list="credential-editor-labels" maxlength="50" autocomplete="off" />
+              <datalist id="credential-editor-labels"></datalist>
+              <span class="field__error"></span>
+            </div>
+          </div>
+
+          <div class="form-row">
+            <div class="field" data-field="email">
+              <label class="field__label" for="credential-editor-email">
+                Email / Username <span class="required">*</span>
+              </label>
+              <input type="text" id="credential-editor-email" name="email" autocomplete="off" />
+              <span class="field__error"></span>
+            </div>
+          </div>
+
+          <div class="form-row">
+            <div class="field field--password" data-field="password">
+              <label class="field__label" for="credential-editor-password">
+                Password <span class="required">*</span>
+              </label>
+              <div class="password-input-group">
+                <input type="password" id="credential-editor-password" name="password" autocomplete="new-password" />
+                <button type="button" class="btn-icon" data-action="toggle-password-visibility" title="Show password">👁️</button>
+              </div>
+              <div class="password-strength-meter">
+                <div class="password-strength-meter__bar"></div>
+                <span class="password-strength-meter__label"></span>
+              </div>
+              <span class="field__error"></span>
+            </div>
+          </div>
+
+          <div class="password-generator">
+            <label class="password-generator__length">
+              Length
+              <input type="number" name="generator-length" min="8" max="64" value="16" />
+            </label>
+            <label class="field--checkbox">
+              <input type="checkbox" name="generator-symbols" checked />
+              <span>Symbols</span>
+            </label>
+            <button type="button" class="btn btn--tiny btn--ghost" data-action="generate-password">Generate</button>
+          </div>
+        </div>
+
+        <div class="form-section">
+          <h3 class="form-section__title">Details</h3>
+
+          <div class="form-row form-row--split">
+            <div class="field" data-field="passwordExpiry">
+              <label class="field__label" for="credential-editor-expiry">Password Expires</label>
+              <input type="date" id="credential-editor-expiry" name="passwordExpiry" />
+              <span class="field__error"></span>
+            </div>
+
+            <div class="field">
+              <label class="field__label" for="credential-editor-cadence">Check-in Cadence</label>
+              <select id="credential-editor-cadence" name="cadence">
+                <option value="">Same as site</option>
+                ${cadenceOptions}
+              </select>
+            </div>
+          </div>
+
+          <div class="form-row" data-cadence-days hidden>
+            <div class="field" data-field="cadenceDays">
+              <label class="field__label" for="credential-editor-cadence-days">Every (days)</label>
+              <input type="number" id="credential-editor-cadence-days" name="cadenceDays" min="1" max="365" step="1" value="3" />
+              <span class="field__error"></span>
+            </div>
+          </div>
+
+          <div class="form-row">
+            <div class="field">
+              <label class="field__label" for="credential-editor-notes">Notes</label>
+              <textarea id="credential-editor-notes" name="notes" rows="3" placeholder="2FA codes, security questions, etc."></textarea>
+            </div>
+          </div>
+        </div>
+
+        <div class="form-section">
+          <div class="form-section__header">
+            <h3 class="form-section__title">Custom Fields</h3>
+            <div class="inline-stack">
+              ${qrService.isEnabled() ? `
+                <label class="btn btn--ghost btn--sm" title="Read an authenticator QR code from an image">
+                  <input type="file" name="qr-image" accept="image/*" hidden />
+                  <span>📷</span> Scan QR
+                </label>
+              ` : ''}
+              <button type="button" class="btn btn--ghost btn--sm" data-action="add-custom-field">
+                <span>+</span> Add Field
+              </button>
+            </div>
+          </div>
+          <div class="custom-fields" data-custom-fields></div>
+          <p class="field__hint" data-custom-fields-empty>No custom fields yet.</p>
+          ${qrService.isEnabled() ? `
+            <p class="field__hint">To add an authenticator, scan or drop an image of its setup QR code. The image stays on this device.</p>
+          ` : ''}
+        </div>
+      </form>
+    `;
+  }
+
+  /**
+   * Wire up form controls
+   */
+  attachListeners() {
+    const form = this.form;
+    const passwordInput = form.querySelector('[name="password"]');
+    const toggleBtn = form.querySelector('[data-action="toggle-password-visibility"]');
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+
+    toggleBtn.addEventListener('click', () => {
+      const isPassword = passwordInput.type === 'password';
+      passwordInput.type = isPassword ? 'text' : 'password';
+      toggleBtn.textContent = isPassword ? '🙈' : '👁️';
+    });
+
+    passwordInput.addEventListener('input', () => this.updateStrength());
+
+    form.querySelector('[data-action="generate-password"]').addEventListener('click', () => {
+      const length = Math.min(64, Math.max(8, parseInt(form.querySelector('[name="generator-length"]').value, 10) || 16));
+      const symbols = form.querySelector('[name="generator-symbols"]').checked;
+
+      passwordInput.value = cryptoService.generatePassword(length, { symbols });
+      passwordInput.type = 'text';
+      toggleBtn.textContent = '🙈';
+      this.updateStrength();
+    });
+
+    form.querySelector('[name="cadence"]').addEventListener('change', (e) => {
+      form.querySelector('[data-cadence-days]').hidden = e.target.value !== CADENCE_TYPES.CUSTOM;
+    });
+
+    form.querySelector('[data-action="add-custom-field"]').addEventListener('click', () => {
+      const row = this.addCustomFieldRow();
+      if (row) row.querySelector('[name="field-label"]').focus();
+    });
+
+    // Clear a field's error as soon as it is edited
+    form.addEventListener('input', (e) => {
+      const field = e.target.closest('[data-field]');
+      if (field) this.setError(field, '');
+    });
+
+    if (qrService.isEnabled()) {
+      this.attachQrListeners();
+    }
+  }
+
+  /**
+   * Scan authenticator QR codes chosen with the button or dropped on the editor
+   */
+  attachQrListeners() {
+    const element = this.modal.element;
+
+    this.form.querySelector('[name="qr-image"]').addEventListener('change', (e) => {
+      this.scanQrImage(e.target.files[0]);
+      e.target.value = '';
+    });
+
+    element.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer?.types?.includes('Files')) return;
+      e.preventDefault();
+      element.classList.add('credential-editor--drop');
+    });
+
+    element.addEventListener('dragleave', (e) => {
+      if (!element.contains(e.relatedTarget)) {
+        element.classList.remove('credential-editor--drop');
+      }
+    });
+
+    // Handled here so the page-level drop doesn't open the import wizard
+    element.addEventListener('drop', (e) => {
+      const file = e.dataTransfer?.files?.[0];
+      if (!file) return;
+
+      e.preventDefault();
+      element.classList.remove('credential-editor--drop');
+      this.scanQrImage(file);
+    });
+  }
+
+  /**
+   * Open the editor for a credential
+   */
+  open(siteId, credentialId) {
+    const credential = credentialsService.getCredential(siteId, credentialId);
+    if (!credential) return false;
+
+    if (!credentialsService.isReadable(credential)) {
+      toast.warning('Unlock the vault to edit credentials');
+      return false;
+    }
+
+    this.ensureCreated();
+    this.siteId = siteId;
+    this.credentialId = credentialId;
+    this.originalPassword = credential.password || '';
+
+    const site = stateManager.getSite(siteId);
+    this.modal.updateTitle(`Edit ${credential.label}${site ? ` · ${site.name}` : ''}`);
+    this.fill(credential);
+    this.modal.open();
+    return true;
+  }
+
+  /**
+   * Close the editor
+   */
+  close() {
+    if (this.modal.isOpen) {
+      this.modal.close();
+    }
+  }
+
+  /**
+   * Populate the form from a credential
+   */
+  fill(credential) {
+    const form = this.form;
+
+    form.querySelector('[name="label"]').value = credential.label || '';
+    form.querySelector('[name="email"]').value = credential.email || '';
+    form.querySelector('[name="password"]').value = credential.password || '';
+    form.querySelector('[name="notes"]').value = credential.notes || '';
+    form.querySelector('[name="passwordExpiry"]').value = credential.passwordExpiry
+      ? String(credential.passwordExpiry).split('T')[0]
+      : '';
+
+    const override = credential.loginFrequency ? cadence.normalize(credential.loginFrequency) : null;
+    form.querySelector('[name="cadence"]').value = override ? override.type : '';
+    form.querySelector('[name="cadenceDays"]').value = override?.everyDays || 3;
+    form.querySelector('[data-cadence-days]').hidden = override?.type !== CADENCE_TYPES.CUSTOM;
+
+    const datalist = form.querySelector('#credential-editor-labels');
+    datalist.replaceChildren(...credentialsService.getExistingLabels().map(label => {
+      const option = document.createElement('option');
+      option.value = label;
+      return option;
+    }));
+
+    form.querySelector('[data-custom-fields]').replaceChildren();
+    (credential.customFields || []).forEach(field => this.addCustomFieldRow(field));
+    this.updateCustomFieldsState();
+
+    form.querySelectorAll('[data-field]').forEach(field => this.setError(field, ''));
+    this.updateStrength();
+  }
+
+  /**
+   * Append a custom field row
+   */
+  addCustomFieldRow(field = {}) {
+    const container = this.form.querySelector('[data-custom-fields]');
+    if (container.children.length >= CONFIG.limits.maxCustomFieldsPerCredential) {
+      toast.warning(`Up to ${CONFIG.limits.maxCustomFieldsPerCredential} custom fields per credential`);
+      return null;
+    }
+
+    const row = document.createElement('div');
+    row.className = 'custom-field-row';
+    row.dataset.field = 'customField';
+    row.dataset.fieldId = field.id || generateUUID();
+    row.innerHTML = `
+      <input type="text" name="field-label" placeholder="Label" maxlength="40" aria-label="Field label" />
+      <div class="password-input-group">
+        <input type="text" name="field-value" placeholder="Value" autocomplete="off" aria-label="Field value" />
+        <button type="button" class="btn-icon" data-action="toggle-field-visibility" title="Show value" hidden>👁️</button>
+      </div>
+      <select name="field-type" aria-label="Field type">
+        ${CUSTOM_FIELD_TYPES.map(type => `<option value="${type.value}">${type.label}</option>`).join('')}
+      </select>
+      <div class="inline-stack">
+        ${qrService.isEnabled() ? '<button type="button" class="btn-icon" data-action="show-field-qr" title="Show as QR code" hidden>🔳</button>' : ''}
+        <button type="button" class="btn-icon" data-action="remove-custom-field" title="Remove field">×</button>
+      </div>
+      <span class="field__error"></span>
+    `;
+
+    row.querySelector('[name="field-label"]').value = field.label || '';
+    row.querySelector('[name="field-value"]').value = field.value || '';
+    row.querySelector('[name="field-type"]').value = CUSTOM_FIELD_TYPES.some(t => t.value === field.type) ? field.type : 'text';
+
+    row.querySelector('[data-action="remove-custom-field"]').addEventListener('click', () => {
+      row.remove();
+      this.updateCustomFieldsState();
+    });
+
+    // Hidden and authenticator values are masked like the password, with their own reveal toggle
+    const typeSelect = row.querySelector('[name="field-type"]');
+    const valueInput = row.querySelector('[name="field-value"]');
+    const revealButton = row.querySelector('[data-action="toggle-field-visibility"]');
+    const qrButton = row.querySelector('[data-action="show-field-qr"]');
+    const updateType = () => {
+      const secret = SECRET_FIELD_TYPES.includes(typeSelect.value);
+      valueInput.type = secret ? 'password' : 'text';
+      valueInput.autocomplete = secret ? 'new-password' : 'off';
+      revealButton.hidden = !secret;
+      revealButton.textContent = '👁️';
+      if (qrButton) qrButton.hidden = typeSelect.value !== TOTP_FIELD_TYPE;
+    };
+    updateType();
+    typeSelect.addEventListener('change', updateType);
+
+    revealButton.addEventListener('click', () => {
+      const isPassword = valueInput.type === 'password';
+      valueInput.type = isPassword ? 'text' : 'password';
+      revealButton.textContent = isPassword ? '🙈' : '👁️';
+    });
+
+    if (qrButton) {
+      qrButton.addEventListener('click', () => this.showFieldQr(row));
+    }
+
+    container.appendChild(row);
+    this.updateCustomFieldsState();
+    return row;
+  }
+
+  /**
+   * Read an authenticator setup code from an image into the TOTP field,
+   * adding one if the credential doesn't have it yet
+   */
+  async scanQrImage(file) {
+    if (!file || !this.credentialId) return;
+    if (stateManager.isVaultLocked()) {
+      toast.warning('Unlock the vault to edit credentials');
+      return;
+    }
+
+    const result = await qrService.scanTotpImage(file);
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+
+    const rows = [...this.form.querySelectorAll('.custom-field-row')];
+    let row = rows.find(candidate => candidate.querySelector('[name="field-type"]').value === TOTP_FIELD_TYPE);
+    const replacing = Boolean(row?.querySelector('[name="field-value"]').value);
+    if (replacing && !confirm('Replace the authenticator key already on this credential?')) {
+      return;
+    }
+
+    if (!row) {
+      row = this.addCustomFieldRow({ label: result.issuer || 'Authenticator', type: TOTP_FIELD_TYPE });
+      if (!row) return;
+    }
+
+    row.querySelector('[name="field-value"]').value = result.uri;
+    this.setError(row, '');
+    row.querySelector('[name="field-value"]').focus();
+
+    // The account name comes from the image, and toasts render HTML
+    const account = result.account ? ` for ${sanitizeHTML(result.account)}` : '';
+    toast.success(`${replacing ? 'Authenticator key replaced' : 'Authenticator key added'}${account}. Save to keep it.`);
+  }
+
+  /**
+   * Show a TOTP row's key as a QR code, as typed (before saving)
+   */
+  showFieldQr(row) {
+    const value = row.querySelector('[name="field-value"]').value;
+    if (!totpService.isValid(value)) {
+      this.setError(row, 'Enter the base32 setup key or an otpauth://totp/ link');
+      return;
+    }
+
+    const site = stateManager.getSite(this.siteId);
+    qrView.openTotp(site, {
+      label: this.form.querySelector('[name="label"]').value.trim(),
+      email: this.form.querySelector('[name="email"]').value.trim(),
+      customFields: [{ type: TOTP_FIELD_TYPE, value }]
+    });
+  }
+
+  /**
+   * Toggle the empty hint and the add button limit
+   */
+  updateCustomFieldsState() {
+    const count = this.form.querySelector('[data-custom-fields]').children.length;
+    this.form.querySelector('[data-custom-fields-empty]').hidden = count > 0;
+    this.form.querySelector('[data-action="add-custom-field"]').disabled =
+      count >= CONFIG.limits.maxCustomFieldsPerCredential;
+  }
+
+  /**
+   * Refresh the password strength meter
+   */
+  updateStrength() {
+    const password = this.form.querySelector('[name="password"]').value;
+    const meter = this.form.querySelector('.password-strength-meter__bar');
+    const label = this.form.querySelector('.password-strength-meter__label');
+    const strength = calculatePasswordStrength(password);
+
+    meter.style.width = password ? `${(strength.score / 7) * 100}%` : '0';
+    meter.style.backgroundColor = strength.color;
+    label.textContent = password ? strength.label : '';
+    label.style.color = strength.color;
+  }
+
+  /**
+   * Show or clear a validation message on a field
+   */
+  setError(field, message) {
+    field.classList.toggle('field--invalid', Boolean(message));
+    const error = field.querySelector('.field__error');
+    if (error) error.textContent = message;
+  }
+
+  /**
+   * Read and validate the form
+   * @returns {Object|null} Updates for CredentialsService.updateCredential, or null if invalid
+   */
+  collect() {
+    const form = this.form;
+    const value = (name) => form.querySelector(`[name="${name}"]`).value;
+    const fieldFor = (name) => form.querySelector(`[data-field="${name}"]`);
+    let valid = true;
+
+    const fail = (field, message) => {
+      this.setError(field, message);
+      valid = false;
+    };
+
+    const label = value('label').trim();
+    const email = value('email').trim();
+    const password = value('password');
+    const passwordExpiry = value('passwordExpiry');
+    const cadenceType = value('cadence');
+    const cadenceDays = parseInt(value('cadenceDays'), 10);
+
+    if (!label) fail(fieldFor('label'), 'Label is required');
+
+    const siblings = stateManager.getSite(this.siteId)?.credentials || [];
+    if (label && siblings.some(c => c.id !== this.credentialId && (c.label || '').toLowerCase() === label.toLowerCase())) {
+      fail(fieldFor('label'), 'Another credential on this site already uses this label');
+    }
+
+    if (!email) fail(fieldFor('email'), 'Email or username is required');
+    if (!password) fail(fieldFor('password'), 'Password is required');
+
+    if (passwordExpiry && Number.isNaN(Date.parse(passwordExpiry))) {
+      fail(fieldFor('passwordExpiry'), 'Enter a valid date');
+    }
+
+    if (cadenceType === CADENCE_TYPES.CUSTOM && !(cadenceDays >= 1 && cadenceDays <= 365)) {
+      fail(fieldFor('cadenceDays'), 'Choose between 1 and 365 days');
+    }
+
+    const customFields = [];
+    const fieldLabels = new Set();
+    form.querySelectorAll('.custom-field-row').forEach(row => {
+      const fieldLabel = row.querySelector('[name="field-label"]').value.trim();
+      const fieldValue = row.querySelector('[name="field-value"]').value;
+      const type = row.querySelector('[name="field-type"]').value;
+
+      // Rows left completely empty are dropped
+      if (!fieldLabel && !fieldValue) return;
+
+      if (!fieldLabel) {
+        fail(row, 'Give this field a label');
+      } else if (fieldLabels.has(fieldLabel.toLowerCase())) {
+        fail(row, 'Field labels must be unique');
+      } else if (type === 'url' && fieldValue && !/^https?:\/\//i.test(fieldValue)) {
+        fail(row, 'URLs must start with http:// or https://');
+      } else if (type === TOTP_FIELD_TYPE && !totpService.isValid(fieldValue)) {
+        fail(row, 'Enter the base32 setup key or an otpauth://totp/ link');
+      } else if (type === TOTP_FIELD_TYPE && customFields.some(field => field.type === TOTP_FIELD_TYPE)) {
+        fail(row, 'Only one authenticator field per credential');
+      }
+
+      fieldLabels.add(fieldLabel.toLowerCase());
+      customFields.push({ id: row.dataset.fieldId, label: fieldLabel, value: fieldValue, type });
+    });
+
+    if (!valid) return null;
+
+    const updates = {
+      label,
+      email,
+      notes: value('notes').trim(),
+      passwordExpiry: passwordExpiry ? new Date(`${passwordExpiry}T00:00:00`).toISOString() : null,
+      loginFrequency: cadenceType ? cadence.normalize({ type: cadenceType, everyDays: cadenceDays }) : null,
+      customFields
+    };
+
+    // Only a real change bumps strength and lastPasswordChange
+    if (password !== this.originalPassword) {
+      updates.password = password;
+    }
+
+    return updates;
+  }
+
+  /**
+   * Validate and save through the credentials service
+   */
+  save() {
+    const updates = this.collect();
+    if (!updates) {
+      const firstError = this.form.querySelector('.field--invalid input, .field--invalid select');
+      if (firstError) firstError.focus();
+      return;
+    }
+
+    const success = credentialsService.updateCredential(this.siteId, this.credentialId, updates);
+    if (!success) {
+      toast.error('Could not save the credential');
+      return;
+    }
+
+    this.close();
+    toast.success('Credential updated successfully!');
+  }
+
+  /**
+   * Forget the edited credential and wipe secrets from the form
+   */
+  reset() {
+    this.siteId = null;
+    this.credentialId = null;
+    this.originalPassword = '';
+
+    if (this.form) {
+      this.form.reset();
+      this.form.querySelector('[name="password"]').type = 'password';
+      this.form.querySelector('[data-action="toggle-password-visibility"]').textContent = '👁️';
+      this.form.querySelector('[data-custom-fields]').replaceChildren();
+    }
+  }
+}
+
+// Export singleton instance
+export const credentialEditor = new CredentialEditor();
\ No newline at end of file
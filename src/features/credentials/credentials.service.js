@@ -4,6 +4,9 @@
  */
 
 import { stateManager } from '../../core/state.js';
+import { checkInDay } from '../../core/check-in-day.js';
+import { cadence } from '../../core/cadence.js';
+import { totpService } from './totp.service.js';
 import { generateUUID, calculatePasswordStrength, copyToClipboard } from '../../shared/constants.js';
 import { CONFIG } from '../../config.js';
 
@@ -12,10 +15,26 @@ class CredentialsService {
    * Add credential to site
    */
   addCredential(siteId, credentialData) {
+    if (stateManager.isVaultLocked()) return null;
+
     const site = stateManager.getSite(siteId);
     if (!site) return null;
 
-    const newCredential = {
+    const newCredential = this.buildCredential(credentialData);
+
+    const updatedCredentials = [...site.credentials, newCredential];
+    stateManager.recordChange('Add credential', () =>
+      stateManager.updateSite(siteId, { credentials: updatedCredentials })
+    );
+
+    return newCredential;
+  }
+
+  /**
+   * Build a credential record with defaults, without saving it
+   */
+  buildCredential(credentialData) {
+    return {
       id: generateUUID(),
       label: credentialData.label,
       email: credentialData.email,
@@ -29,17 +48,14 @@ class CredentialsService {
       strength: calculatePasswordStrength(credentialData.password).label,
       breached: false
     };
-
-    const updatedCredentials = [...site.credentials, newCredential];
-    stateManager.updateSite(siteId, { credentials: updatedCredentials });
-
-    return newCredential;
   }
 
   /**
    * Update credential
    */
   updateCredential(siteId, credentialId, updates) {
+    if (stateManager.isVaultLocked()) return false;
+
     const site = stateManager.getSite(siteId);
     if (!site) return false;
 
@@ -57,7 +73,9 @@ class CredentialsService {
       ...updates
     };
 
-    return stateManager.updateSite(siteId, { credentials: site.credentials });
+    return stateManager.recordChange('Edit credential', () =>
+      stateManager.updateSite(siteId, { credentials: site.credentials })
+    );
   }
 
   /**
@@ -68,7 +86,9 @@ class CredentialsService {
     if (!site) return false;
 
     const updatedCredentials = site.credentials.filter(c => c.id !== credentialId);
-    return stateManager.updateSite(siteId, { credentials: updatedCredentials });
+    return stateManager.recordChange('Delete credential', () =>
+      stateManager.updateSite(siteId, { credentials: updatedCredentials })
+    );
   }
 
   /**
@@ -81,6 +101,19 @@ class CredentialsService {
     return site.credentials.find(c => c.id === credentialId);
   }
 
+  /**
+   * Get every distinct credential label in use
+   */
+  getExistingLabels() {
+    const labels = new Set();
+    stateManager.getSites().forEach(site => {
+      site.credentials.forEach(cred => {
+        if (cred.label) labels.add(cred.label);
+      });
+    });
+    return Array.from(labels);
+  }
+
   /**
    * Check in credential
    */
@@ -102,31 +135,30 @@ class CredentialsService {
     const credential = this.getCredential(siteId, credentialId);
     if (!credential) return false;
 
-    const isCheckedToday = credential.checkedInOn && this.isToday(credential.checkedInOn);
-    
-    if (isCheckedToday) {
+    const site = stateManager.getSite(siteId);
+
+    if (cadence.isSatisfied(site, credential)) {
       return this.resetCheckIn(siteId, credentialId);
     } else {
       return this.checkIn(siteId, credentialId);
     }
   }
 
+  /**
+   * Check if a credential's secrets can be read (vault unlocked and decrypted)
+   */
+  isReadable(credential) {
+    return Boolean(credential) && !stateManager.isVaultLocked() && !credential.decryptionFailed;
+  }
+
   /**
    * Copy email to clipboard
    */
   async copyEmail(siteId, credentialId) {
     const credential = this.getCredential(siteId, credentialId);
-    if (!credential) return false;
-
-    const success = await copyToClipboard(credential.email);
-    
-    if (success && CONFIG.security.clipboardClearSeconds > 0) {
-      setTimeout(() => {
-        copyToClipboard(''); // Clear clipboard
-      }, CONFIG.security.clipboardClearSeconds * 1000);
-    }
+    if (!this.isReadable(credential)) return false;
 
-    return success;
+    return this.copyAndClear(credential.email);
   }
 
   /**
@@ -134,10 +166,31 @@ class CredentialsService {
    */
   async copyPassword(siteId, credentialId) {
     const credential = this.getCredential(siteId, credentialId);
-    if (!credential) return false;
+    if (!this.isReadable(credential)) return false;
+
+    return this.copyAndClear(credential.password);
+  }
+
+  /**
+   * Copy the current authenticator code to clipboard
+   */
+  async copyTotpCode(siteId, credentialId) {
+    const credential = this.getCredential(siteId, credentialId);
+    if (!this.isReadable(credential)) return false;
+
+    const field = totpService.getField(credential);
+    const totp = field ? await totpService.generate(field.value) : null;
+    if (!totp) return false;
+
+    return this.copyAndClear(totp.code);
+  }
+
+  /**
+   * Copy text, clearing the clipboard after security.clipboardClearSeconds
+   */
+  async copyAndClear(text) {
+    const success = await copyToClipboard(text);
 
-    const success = await copyToClipboard(credential.password);
-    
     if (success && CONFIG.security.clipboardClearSeconds > 0) {
       setTimeout(() => {
         copyToClipboard(''); // Clear clipboard
@@ -161,6 +214,22 @@ class CredentialsService {
     return credential.checkedInOn && this.isToday(credential.checkedInOn);
   }
 
+  /**
+   * Check if the credential's last check-in still covers its cadence
+   */
+  isUpToDate(site, credential) {
+    return cadence.isSatisfied(site, credential);
+  }
+
+  /**
+   * Override the site cadence for one credential (null to inherit the site's)
+   */
+  setCredentialCadence(siteId, credentialId, frequency) {
+    return this.updateCredential(siteId, credentialId, {
+      loginFrequency: frequency ? cadence.normalize(frequency) : null
+    });
+  }
+
   /**
    * Get credential status
    */
@@ -168,7 +237,7 @@ class CredentialsService {
     if (!credential.checkedInOn) return 'never';
     if (this.isToday(credential.checkedInOn)) return 'today';
     
-    const daysAgo = this.getDaysAgo(credential.checkedInOn);
+    const daysAgo = checkInDay.daysBetween(checkInDay.getDayKey(credential.checkedInOn), checkInDay.today());
     if (daysAgo === 1) return 'yesterday';
     if (daysAgo <= 7) return 'this-week';
     if (daysAgo <= 30) return 'this-month';
@@ -200,7 +269,7 @@ class CredentialsService {
    * Find duplicate passwords
    */
   findDuplicatePasswords() {
-    const credentials = this.getAllCredentials();
+    const credentials = this.getAllCredentials().filter(cred => this.isReadable(cred));
     const passwordMap = new Map();
     const duplicates = [];
 
@@ -228,7 +297,7 @@ class CredentialsService {
    * Find weak passwords
    */
   findWeakPasswords() {
-    const credentials = this.getAllCredentials();
+    const credentials = this.getAllCredentials().filter(cred => this.isReadable(cred));
     return credentials.filter(cred => {
       const strength = calculatePasswordStrength(cred.password);
       return strength.score <= 3;
@@ -360,12 +429,10 @@ class CredentialsService {
   }
 
   /**
-   * Check if date is today
+   * Check if a timestamp falls in the current check-in day
    */
   isToday(dateString) {
-    const today = new Date().toISOString().split('T')[0];
-    const checkDate = new Date(dateString).toISOString().split('T')[0];
-    return today === checkDate;
+    return checkInDay.isToday(dateString);
   }
 
   /**
@@ -0,0 +1,175 @@
+/**
+ * QR View
+ * Shows a credential's authenticator secret or a shared login as a QR code
+ */
+
+import { Modal } from '../../shared/components/modal.js';
+import { toast } from '../../shared/components/toast.js';
+import { downloadFile } from '../../shared/constants.js';
+import { qrService } from './qr.service.js';
+
+const MODAL_ID = 'qr-modal';
+
+class QrView {
+  constructor() {
+    this.modal = new Modal(MODAL_ID);
+    this.options = null;
+    this.svg = '';
+  }
+
+  /**
+   * Build the modal the first time it is needed
+   */
+  ensureCreated() {
+    if (this.modal.element) return;
+
+    this.modal.create('QR Code', `
+      <figure class="qr-view">
+        <div class="qr-view__code" data-qr-code></div>
+        <figcaption class="field__hint" data-qr-caption></figcaption>
+      </figure>
+      <label class="field field--checkbox" data-qr-secret hidden>
+        <input type="checkbox" name="qr-include-secret" />
+        <span data-qr-secret-label></span>
+      </label>
+      <p class="qr-view__warning" data-qr-warning></p>
+    `, `
+      <button type="button" class="btn btn--ghost" data-action="download-qr">Download SVG</button>
+      <button type="button" class="btn btn--primary" data-close-modal>Done</button>
+    `);
+
+    const element = this.modal.element;
+    element.querySelector('[name="qr-include-secret"]').addEventListener('change', (e) => {
+      this.render(e.target.checked);
+    });
+    element.querySelector('[data-action="download-qr"]').addEventListener('click', () => this.download());
+    this.modal.onClose(() => this.reset());
+  }
+
+  /**
+   * Show a QR code
+   * @param {Object} options - { title, caption, text, warning, filename, secret }
+   *   secret ({ label, text, warning }) adds a checkbox that switches to a
+   *   second payload, e.g. one with the password in it
+   * @returns {boolean} False if the text doesn't fit in a QR code
+   */
+  open(options) {
+    this.ensureCreated();
+    this.options = options;
+
+    const element = this.modal.element;
+    element.querySelector('[data-qr-secret]').hidden = !options.secret;
+    element.querySelector('[data-qr-secret-label]').textContent = options.secret?.label || '';
+    element.querySelector('[name="qr-include-secret"]').checked = false;
+    element.querySelector('[data-qr-caption]').textContent = options.caption || '';
+    this.modal.updateTitle(options.title);
+
+    if (!this.render(false)) return false;
+    this.modal.open();
+    return true;
+  }
+
+  /**
+   * QR code for a credential's authenticator field, for adding it to a phone
+   */
+  openTotp(site, credential) {
+    const uri = qrService.getCredentialTotpUri(site, credential);
+    if (!uri) {
+      toast.error('This credential has no valid authenticator key');
+      return false;
+    }
+
+    return this.open({
+      title: '🔑 Authenticator QR Code',
+      caption: `Scan with an authenticator app to add ${credential.label}${site ? ` · ${site.name}` : ''}.`,
+      text: uri,
+      warning: 'Anyone who sees this code can generate your sign-in codes. Close it once it is scanned.',
+      filename: `${this.getFileStem(site, credential)}-authenticator.svg`
+    });
+  }
+
+  /**
+   * QR code with a credential's site and username, and the password on request
+   */
+  openShare(site, credential) {
+    return this.open({
+      title: '📤 Share Login',
+      caption: `${credential.label}${site ? ` · ${site.name}` : ''}: the site, address and username.`,
+      text: qrService.getSharePayload(site, credential),
+      warning: '',
+      filename: `${this.getFileStem(site, credential)}-login.svg`,
+      secret: credential.password ? {
+        label: 'Include the password',
+        text: qrService.getSharePayload(site, credential, { includePassword: true }),
+        warning: 'The password is in this code in plain text. Anyone who sees or photographs it, or opens the downloaded file, can read it.'
+      } : null
+    });
+  }
+
+  /**
+   * Draw the plain or the secret payload
+   * @returns {boolean} False if it doesn't fit in a QR code
+   */
+  render(withSecret) {
+    const { title } = this.options;
+    const { text, warning } = withSecret ? this.options.secret : this.options;
+    const element = this.modal.element;
+
+    try {
+      this.svg = qrService.renderSvg(text, { title });
+    } catch (error) {
+      console.error('QR code could not be generated:', error);
+      toast.error('Too much data for a QR code');
+      return false;
+    }
+
+    // Markup generated by QRCode.toSvg(), with the title escaped
+    element.querySelector('[data-qr-code]').innerHTML = this.svg;
+    const warningElement = element.querySelector('[data-qr-warning]');
+    warningElement.textContent = warning || '';
+    warningElement.hidden = !warning;
+    return true;
+  }
+
+  /**
+   * Save the code on screen as an SVG file
+   */
+  download() {
+    if (!this.svg) return;
+    downloadFile(this.svg, this.options.filename, 'image/svg+xml');
+  }
+
+  /**
+   * Close the QR view
+   */
+  close() {
+    if (this.modal.isOpen) {
+      this.modal.close();
+    }
+  }
+
+  /**
+   * Take the code (and the secret in it) off the page
+   */
+  reset() {
+    this.options = null;
+    this.svg = '';
+    this.modal.element.querySelector('[data-qr-code]').replaceChildren();
+  }
+
+  /**
+   * File name part from the site and credential, e.g. "github-work"
+   */
+  getFileStem(site, credential) {
+    const stem = [site?.name, credential.label]
+      .filter(Boolean)
+      .join('-')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    return stem || 'dashorg';
+  }
+}
+
+// Export singleton instance
+export const qrView = new QrView();
\ No newline at end of file
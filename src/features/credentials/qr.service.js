@@ -0,0 +1,170 @@
+/**
+ * QR Service
+ * otpauth:// and sharing QR codes for credentials, and reading authenticator
+ * setup codes from image files. Everything runs in the browser; nothing is uploaded
+ */
+
+import { CONFIG } from '../../config.js';
+import { QRCode } from '../../utils/qr-code.js';
+import { QRDecoder } from '../../utils/qr-decoder.js';
+import { totpService } from './totp.service.js';
+
+// Images are scaled to fit this many pixels on the long side before decoding
+const MAX_SCAN_SIZE = 1200;
+const MIN_SCAN_SIZE = 300;
+
+// Version of the credential sharing payload
+const SHARE_PAYLOAD_VERSION = 1;
+
+class QrService {
+  /**
+   * Check whether QR codes are turned on (CONFIG.features.qrCodeGeneration)
+   */
+  isEnabled() {
+    return CONFIG.features.qrCodeGeneration === true;
+  }
+
+  /**
+   * SVG markup for a QR code holding some text
+   * @param {Object} options - { ecc, title } passed to QRCode
+   */
+  renderSvg(text, options = {}) {
+    return QRCode.toSvg(QRCode.encode(text, { ecc: options.ecc }), { title: options.title });
+  }
+
+  /**
+   * otpauth://totp/ URI for an authenticator app
+   * A stored URI is kept as it is (it may set digits, period or algorithm);
+   * a bare setup key is labelled with the site name and the credential's email
+   * @param {string} value - The TOTP field value
+   * @returns {string|null} Null if the value isn't a usable TOTP secret
+   */
+  getTotpUri(value, { issuer = '', account = '' } = {}) {
+    const text = String(value || '').trim();
+    if (!totpService.isValid(text)) return null;
+    if (/^otpauth:/i.test(text)) return text;
+
+    // Apps list accounts by this label, so it can't be empty
+    const label = account || issuer || CONFIG.app.name;
+    const secret = text.toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+    const name = issuer && label !== issuer
+      ? `${encodeURIComponent(issuer)}:${encodeURIComponent(label)}`
+      : encodeURIComponent(label);
+
+    // %20 rather than + for spaces; not every app decodes + in the query
+    return `otpauth://totp/${name}?secret=${secret}${issuer ? `&issuer=${encodeURIComponent(issuer)}` : ''}`;
+  }
+
+  /**
+   * otpauth:// URI for a credential's authenticator field
+   * @returns {string|null} Null if the credential has no TOTP field
+   */
+  getCredentialTotpUri(site, credential) {
+    const field = totpService.getField(credential);
+    if (!field) return null;
+
+    return this.getTotpUri(field.value, { issuer: site?.name || '', account: credential.email || credential.label || '' });
+  }
+
+  /**
+   * Text for sharing a login by QR code: the site and username, plus the
+   * password only when asked for
+   * @param {Object} options - { includePassword }
+   */
+  getSharePayload(site, credential, { includePassword = false } = {}) {
+    const payload = {
+      dashorg: SHARE_PAYLOAD_VERSION,
+      site: site?.name || '',
+      url: site?.url || '',
+      label: credential.label || '',
+      username: credential.email || ''
+    };
+    if (includePassword && credential.password) {
+      payload.password = credential.password;
+    }
+    return JSON.stringify(payload);
+  }
+
+  /**
+   * Read the QR code in an image file
+   * @returns {Promise<string|null>} Decoded text, or null if the image has no readable code
+   * @throws {Error} If the file can't be read as an image
+   */
+  async scanImageFile(file) {
+    const image = await this.loadImage(file);
+    const longest = Math.max(image.width, image.height);
+    // Big photos are shrunk to keep decoding quick; tiny screenshots are enlarged with hard edges
+    const scale = longest > MAX_SCAN_SIZE ? MAX_SCAN_SIZE / longest : longest < MIN_SCAN_SIZE ? Math.ceil(MIN_SCAN_SIZE / longest) : 1;
+    const width = Math.round(image.width * scale);
+    const height = Math.round(image.height * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.imageSmoothingEnabled = scale < 1;
+    context.drawImage(image, 0, 0, width, height);
+    image.close?.();
+
+    return QRDecoder.decode(context.getImageData(0, 0, width, height));
+  }
+
+  /**
+   * Read an authenticator setup code from an image file
+   * @returns {Promise<{uri: string|null, issuer: string, account: string, error: string|null}>}
+   *   error is a message for the user when no TOTP setup code was found
+   */
+  async scanTotpImage(file) {
+    const failure = (error) => ({ uri: null, issuer: '', account: '', error });
+
+    if (!file || !String(file.type || '').startsWith('image/')) {
+      return failure('Choose an image file with a QR code');
+    }
+
+    let text;
+    try {
+      text = await this.scanImageFile(file);
+    } catch (error) {
+      console.error('QR image could not be read:', error);
+      return failure('This image could not be opened');
+    }
+
+    if (text === null) {
+      return failure('No QR code found in the image. Try a sharper or closer picture.');
+    }
+    if (/^otpauth:\/\/hotp\//i.test(text)) {
+      return failure('This is a counter-based (HOTP) code, which is not supported');
+    }
+    if (/^otpauth-migration:/i.test(text)) {
+      return failure('This is a Google Authenticator export. Scan the setup code for a single account instead.');
+    }
+
+    const params = /^otpauth:/i.test(text) ? totpService.parse(text) : null;
+    if (!params) {
+      return failure('This QR code is not an authenticator setup code');
+    }
+    return { uri: text, issuer: params.issuer, account: params.account, error: null };
+  }
+
+  /**
+   * Decode an image file into something drawable
+   */
+  async loadImage(file) {
+    if (typeof createImageBitmap === 'function') {
+      return createImageBitmap(file);
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+      const image = new Image();
+      image.src = url;
+      await image.decode();
+      return image;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+}
+
+// Export singleton instance
+export const qrService = new QrService();
\ No newline at end of file
@@ -0,0 +1,166 @@
+/**
+ * TOTP Service
+ * RFC 6238 authenticator codes from a base32 secret or otpauth:// URI stored in a custom field
+ */
+
+// Custom field type that holds a TOTP secret
+export const TOTP_FIELD_TYPE = 'totp';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// otpauth:// algorithm names to Web Crypto hash names
+const ALGORITHMS = {
+  SHA1: 'SHA-1',
+  SHA256: 'SHA-256',
+  SHA512: 'SHA-512'
+};
+
+const DEFAULTS = {
+  algorithm: 'SHA-1',
+  digits: 6,
+  period: 30
+};
+
+class TotpService {
+  /**
+   * Read a base32 secret or an otpauth://totp/ URI
+   * @returns {{secret: Uint8Array, algorithm: string, digits: number, period: number, issuer: string, account: string}|null}
+   *   Null if the value isn't a usable TOTP secret
+   */
+  parse(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    if (!/^otpauth:/i.test(text)) {
+      const secret = this.decodeBase32(text);
+      return secret ? { secret, ...DEFAULTS, issuer: '', account: '' } : null;
+    }
+
+    let url;
+    try {
+      url = new URL(text);
+    } catch {
+      return null;
+    }
+    if (url.host.toLowerCase() !== 'totp') return null;
+
+    const params = url.searchParams;
+    const secret = this.decodeBase32(params.get('secret') || '');
+    const algorithm = ALGORITHMS[(params.get('algorithm') || 'SHA1').toUpperCase()];
+    const digits = Number(params.get('digits') || DEFAULTS.digits);
+    const period = Number(params.get('period') || DEFAULTS.period);
+    if (!secret || !algorithm || ![6, 7, 8].includes(digits) || !(Number.isInteger(period) && period > 0)) {
+      return null;
+    }
+
+    // Label is "Issuer:account" or just "account"
+    const path = url.pathname.replace(/^\/+/, '');
+    let label;
+    try {
+      label = decodeURIComponent(path);
+    } catch {
+      label = path;
+    }
+    const [labelIssuer, account] = label.includes(':') ? label.split(/:(.*)/s) : ['', label];
+
+    return {
+      secret,
+      algorithm,
+      digits,
+      period,
+      issuer: params.get('issuer') || labelIssuer.trim(),
+      account: (account || '').trim()
+    };
+  }
+
+  /**
+   * Check whether a value can generate codes
+   */
+  isValid(value) {
+    return this.parse(value) !== null;
+  }
+
+  /**
+   * Current code for a secret
+   * @param {string} value - Base32 secret or otpauth:// URI
+   * @param {number} now - Time in milliseconds
+   * @returns {Promise<{code: string, remaining: number, period: number}|null>} remaining is whole seconds
+   */
+  async generate(value, now = Date.now()) {
+    const params = this.parse(value);
+    if (!params) return null;
+
+    const seconds = Math.floor(now / 1000);
+    const counter = Math.floor(seconds / params.period);
+
+    return {
+      code: await this.hotp(params.secret, counter, params.algorithm, params.digits),
+      remaining: params.period - (seconds % params.period),
+      period: params.period
+    };
+  }
+
+  /**
+   * RFC 4226 HOTP value for a counter, using the Web Crypto HMAC
+   */
+  async hotp(secret, counter, algorithm = DEFAULTS.algorithm, digits = DEFAULTS.digits) {
+    const message = new DataView(new ArrayBuffer(8));
+    message.setUint32(0, Math.floor(counter / 2 ** 32));
+    message.setUint32(4, counter >>> 0);
+
+    const key = await crypto.subtle.importKey('raw', secret, { name: 'HMAC', hash: algorithm }, false, ['sign']);
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer));
+
+    // Dynamic truncation: 31 bits starting at the offset in the last nibble
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+  }
+
+  /**
+   * Decode base32 (case, spaces, dashes and padding don't matter)
+   * @returns {Uint8Array|null} Null for an empty or invalid secret
+   */
+  decodeBase32(text) {
+    const input = String(text).toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+    if (!input || [...input].some(char => !BASE32_ALPHABET.includes(char))) return null;
+
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+    for (const char of input) {
+      buffer = ((buffer << 5) | BASE32_ALPHABET.indexOf(char)) & 0xfff;
+      bits += 5;
+      if (bits >= 8) {
+        bits -= 8;
+        bytes.push((buffer >> bits) & 0xff);
+      }
+    }
+
+    return bytes.length > 0 ? new Uint8Array(bytes) : null;
+  }
+
+  /**
+   * The credential's TOTP custom field, if it has one
+   */
+  getField(credential) {
+    return (credential?.customFields || []).find(field =>
+      field.type === TOTP_FIELD_TYPE && typeof field.value === 'string' && field.value
+    ) || null;
+  }
+
+  /**
+   * Format a code in two groups for reading, e.g. "123 456"
+   */
+  formatCode(code) {
+    const half = Math.ceil(code.length / 2);
+    return `${code.slice(0, half)} ${code.slice(half)}`;
+  }
+}
+
+// Export singleton instance
+export const totpService = new TotpService();
\ No newline at end of file
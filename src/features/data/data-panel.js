@@ -0,0 +1,363 @@
+/**
+ * Data Panel
+ * Exports in every format and takes import files, dropped or chosen, for the import wizard
+ */
+
+import { Modal } from '../../shared/components/modal.js';
+import { toast } from '../../shared/components/toast.js';
+import { stateManager } from '../../core/state.js';
+import { EVENTS } from '../../config.js';
+import { CSV_COLUMNS } from '../../core/csv-export.js';
+import { CONTAINER_EXTENSION } from '../../core/container.js';
+import { exportService, EXPORT_FORMATS, FORMAT_DETAILS } from './export.service.js';
+import { importWizard } from '../import/import-wizard.js';
+import { formatTime } from '../../shared/constants.js';
+
+const MODAL_ID = 'data-modal';
+
+const FORMAT_NOTES = {
+  [EXPORT_FORMATS.ENCRYPTED_JSON]: 'Everything, encrypted with a password of your choice. The best way to keep or move a full copy.',
+  [EXPORT_FORMATS.JSON]: 'Everything, unencrypted: the file holds every password in plain text. Use Encrypted backup to keep a copy safe.',
+  [EXPORT_FORMATS.CSV]: 'One row per credential, for spreadsheets and other password managers. Never encrypted.',
+  [EXPORT_FORMATS.HISTORY_CSV]: 'One row per check-in, with the site, label and email.',
+  [EXPORT_FORMATS.ANALYTICS_JSON]: 'Streaks, completion rates and other statistics. No credentials.'
+};
+
+// Formats that carry the whole data set and so take the JSON options
+const FULL_FORMATS = [EXPORT_FORMATS.JSON, EXPORT_FORMATS.ENCRYPTED_JSON];
+
+class DataPanel {
+  constructor() {
+    this.modal = new Modal(MODAL_ID);
+    this.format = null;
+    this.lastImport = null;
+    this.busy = false;
+
+    stateManager.on(EVENTS.IMPORT_COMPLETED, (summary) => {
+      this.lastImport = { summary, at: new Date() };
+    });
+  }
+
+  /**
+   * Build the modal the first time it is needed
+   */
+  ensureCreated() {
+    if (this.modal.element) return;
+
+    const formats = Object.entries(FORMAT_DETAILS).map(([format, { label }]) => `
+      <label class="field field--checkbox">
+        <input type="radio" name="export-format" value="${format}" />
+        <span>${label}</span>
+      </label>
+    `).join('');
+
+    const columns = CSV_COLUMNS.filter(column => !column.secret).map(column => `
+      <label class="field field--checkbox">
+        <input type="checkbox" name="export-column" value="${column.key}" />
+        <span>${column.label}</span>
+      </label>
+    `).join('');
+
+    this.modal.create('📦 Data', `
+      <form class="data-panel__section" data-export-form>
+        <h3 class="data-panel__title">Export</h3>
+        <fieldset class="data-panel__formats">${formats}</fieldset>
+        <p class="field__hint" data-export-note></p>
+
+        <div class="data-panel__options" data-export-options="full">
+          <label class="field field--checkbox">
+            <input type="checkbox" name="include-history" />
+            <span>Include check-in history</span>
+          </label>
+          <label class="field field--checkbox">
+            <input type="checkbox" name="include-metadata" />
+            <span>Include settings and site metadata (login frequency, created and updated dates)</span>
+          </label>
+          <label class="field field--checkbox">
+            <input type="checkbox" name="include-analytics" />
+            <span>Include analytics counters</span>
+          </label>
+        </div>
+
+        <div class="data-panel__options" data-export-options="${EXPORT_FORMATS.ENCRYPTED_JSON}">
+          <div class="field">
+            <label class="field__label" for="export-password">File password</label>
+            <input type="password" id="export-password" name="export-password" autocomplete="new-password" />
+          </div>
+          <div class="field">
+            <label class="field__label" for="export-password-confirm">Confirm password</label>
+            <input type="password" id="export-password-confirm" name="export-password-confirm" autocomplete="new-password" />
+          </div>
+          <div class="field">
+            <label class="field__label" for="export-hint">Password hint (optional)</label>
+            <input type="text" id="export-hint" name="export-hint" maxlength="100" autocomplete="off" />
+            <span class="field__hint">Stored unencrypted in the file, so anyone with the file can read it.</span>
+          </div>
+        </div>
+
+        <div class="data-panel__options" data-export-options="${EXPORT_FORMATS.CSV}">
+          <div class="data-panel__columns">${columns}</div>
+          <label class="field field--checkbox">
+            <input type="checkbox" name="include-passwords" />
+            <span>Include passwords and hidden fields</span>
+          </label>
+        </div>
+
+        <div class="inline-stack">
+          <button type="submit" class="btn btn--primary" data-action="run-export">Export</button>
+          <span class="data-panel__result" data-export-result aria-live="polite"></span>
+        </div>
+      </form>
+
+      <section class="data-panel__section">
+        <h3 class="data-panel__title">Import</h3>
+        <label class="drop-zone" data-drop-zone>
+          <input type="file" name="data-import-file" accept=".json,${CONTAINER_EXTENSION},.csv,.xml,application/json,text/csv,text/xml" hidden />
+          <span class="drop-zone__label">📂 Drop a file here, or click to choose one</span>
+          <span class="field__hint">A DashOrg export, a Bitwarden, KeePass, 1Password, LastPass, Chrome or Firefox export, or any CSV with a URL column. You'll see what changes before anything is imported.</span>
+        </label>
+        <p class="data-panel__result" data-import-result aria-live="polite"></p>
+      </section>
+    `, `
+      <button type="button" class="btn btn--ghost" data-close-modal>Close</button>
+    `);
+
+    this.attachListeners();
+  }
+
+  /**
+   * Wire up the export form and the drop zone
+   */
+  attachListeners() {
+    const element = this.modal.element;
+    const form = element.querySelector('[data-export-form]');
+    const dropZone = element.querySelector('[data-drop-zone]');
+
+    form.addEventListener('change', (e) => {
+      if (e.target.name === 'export-format') {
+        this.setFormat(e.target.value);
+      }
+    });
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.runExport();
+    });
+
+    dropZone.querySelector('[name="data-import-file"]').addEventListener('change', (e) => {
+      this.importFile(e.target.files[0]);
+      e.target.value = '';
+    });
+
+    dropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropZone.classList.add('drop-zone--active');
+    });
+
+    dropZone.addEventListener('dragleave', () => {
+      dropZone.classList.remove('drop-zone--active');
+    });
+
+    dropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropZone.classList.remove('drop-zone--active');
+      this.importFile(e.dataTransfer?.files?.[0]);
+    });
+  }
+
+  /**
+   * Open the data panel with the CONFIG.export defaults
+   */
+  open() {
+    this.ensureCreated();
+    this.fillDefaults();
+    this.renderImportResult();
+    this.modal.element.querySelector('[data-export-result]').textContent = '';
+    this.modal.open();
+  }
+
+  /**
+   * Close the data panel
+   */
+  close() {
+    if (this.modal.isOpen) {
+      this.modal.close();
+    }
+  }
+
+  /**
+   * Reset the export form to the defaults
+   */
+  fillDefaults() {
+    const form = this.modal.element.querySelector('[data-export-form]');
+    const defaults = exportService.getDefaults();
+
+    form.querySelector('[name="include-history"]').checked = defaults.includeHistory;
+    form.querySelector('[name="include-metadata"]').checked = defaults.includeMetadata;
+    form.querySelector('[name="include-analytics"]').checked = defaults.includeAnalytics;
+    form.querySelector('[name="include-passwords"]').checked = defaults.includePasswords;
+    form.querySelectorAll('[name="export-column"]').forEach(input => {
+      input.checked = defaults.columns.includes(input.value);
+    });
+    this.clearPasswords();
+    form.querySelector('[name="export-hint"]').value = '';
+
+    this.setFormat(defaults.format);
+  }
+
+  /**
+   * Show the options for a format
+   */
+  setFormat(format) {
+    const element = this.modal.element;
+    this.format = format;
+
+    element.querySelectorAll('[name="export-format"]').forEach(input => {
+      input.checked = input.value === format;
+    });
+    element.querySelectorAll('[data-export-options]').forEach(options => {
+      const key = options.dataset.exportOptions;
+      options.hidden = key === 'full' ? !FULL_FORMATS.includes(format) : key !== format;
+    });
+    element.querySelector('[data-export-note]').textContent = FORMAT_NOTES[format];
+  }
+
+  /**
+   * Read the export options from the form
+   */
+  readOptions() {
+    const form = this.modal.element.querySelector('[data-export-form]');
+    const includePasswords = form.querySelector('[name="include-passwords"]').checked;
+    const columns = [...form.querySelectorAll('[name="export-column"]:checked')].map(input => input.value);
+
+    return {
+      includeHistory: form.querySelector('[name="include-history"]').checked,
+      includeMetadata: form.querySelector('[name="include-metadata"]').checked,
+      includeAnalytics: form.querySelector('[name="include-analytics"]').checked,
+      password: form.querySelector('[name="export-password"]').value,
+      confirmation: form.querySelector('[name="export-password-confirm"]').value,
+      hint: form.querySelector('[name="export-hint"]').value.trim(),
+      columns: includePasswords ? [...columns, 'password'] : columns,
+      includePasswords
+    };
+  }
+
+  /**
+   * Check the chosen options, ask before writing passwords in plain text, then export
+   */
+  async runExport() {
+    if (this.busy) return;
+
+    const { confirmation, ...options } = this.readOptions();
+
+    if (this.format === EXPORT_FORMATS.ENCRYPTED_JSON) {
+      const problem = exportService.validatePassword(options.password, confirmation);
+      if (problem) {
+        this.showExportResult(problem, true);
+        return;
+      }
+    }
+
+    if (this.format === EXPORT_FORMATS.CSV) {
+      if (options.columns.length === 0) {
+        this.showExportResult('Choose at least one column', true);
+        return;
+      }
+      if (options.includePasswords && !confirm('The CSV file will contain your passwords in plain text. Anyone who can open the file can read them.\n\nPasswords are written exactly as they are, so a spreadsheet may run one that starts with =, +, - or @ as a formula. Open the file with a password manager, not a spreadsheet. Export anyway?')) {
+        return;
+      }
+    }
+
+    if (this.format === EXPORT_FORMATS.JSON && this.hasPasswords() &&
+      !confirm('The JSON file will contain all your passwords in plain text. Anyone who can open the file can read them. Use Encrypted backup to protect them. Export anyway?')) {
+      return;
+    }
+
+    this.setBusy(true);
+    this.showExportResult(this.format === EXPORT_FORMATS.ENCRYPTED_JSON ? 'Encrypting…' : 'Exporting…');
+
+    try {
+      const file = await exportService.download(this.format, options);
+      if (file) {
+        this.showExportResult(`Saved ${file.filename} (${this.formatSize(new Blob([file.content]).size)})`);
+        toast.success('Export complete', 2000);
+        this.clearPasswords();
+      } else {
+        this.showExportResult('Nothing was exported', true);
+      }
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.showExportResult('Export failed', true);
+      toast.error('Export failed');
+    }
+
+    this.setBusy(false);
+  }
+
+  /**
+   * Check whether any credential, archived ones included, has a password to export
+   */
+  hasPasswords() {
+    return (stateManager.getState()?.sites || []).some(site => (site.credentials || []).some(credential => credential.password));
+  }
+
+  /**
+   * Hand a file to the import wizard
+   */
+  importFile(file) {
+    if (!file) return;
+
+    this.close();
+    importWizard.open(file);
+  }
+
+  /**
+   * Show the outcome of the last import this session
+   */
+  renderImportResult() {
+    const result = this.modal.element.querySelector('[data-import-result]');
+    result.textContent = this.lastImport
+      ? `${importWizard.describeSummary(this.lastImport.summary)} (${formatTime(this.lastImport.at)})`
+      : '';
+  }
+
+  /**
+   * Show export progress or its result next to the button
+   */
+  showExportResult(message, isError = false) {
+    const result = this.modal.element.querySelector('[data-export-result]');
+    result.textContent = message;
+    result.classList.toggle('data-panel__result--error', isError);
+  }
+
+  /**
+   * Disable the form while an export runs
+   */
+  setBusy(busy) {
+    this.busy = busy;
+    this.modal.element.querySelectorAll('[data-export-form] button, [data-export-form] input').forEach(control => {
+      control.disabled = busy;
+    });
+  }
+
+  /**
+   * Forget the typed export password
+   */
+  clearPasswords() {
+    const form = this.modal.element.querySelector('[data-export-form]');
+    form.querySelector('[name="export-password"]').value = '';
+    form.querySelector('[name="export-password-confirm"]').value = '';
+  }
+
+  /**
+   * Show a byte count in B, KB or MB
+   */
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
+
+// Export singleton instance
+export const dataPanel = new DataPanel();
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Export Service
+ * Builds export files in each format and downloads them
+ */
+
+import { CONFIG } from '../../config.js';
+import { stateManager } from '../../core/state.js';
+import { DEFAULT_CSV_COLUMNS } from '../../core/csv-export.js';
+import { CONTAINER_EXTENSION } from '../../core/container.js';
+import { analyticsService } from '../analytics/analytics.service.js';
+import { downloadFile, formatDate } from '../../shared/constants.js';
+
+export const EXPORT_FORMATS = {
+  JSON: 'json',
+  ENCRYPTED_JSON: 'encrypted-json',
+  CSV: 'csv',
+  HISTORY_CSV: 'history-csv',
+  ANALYTICS_JSON: 'analytics-json'
+};
+
+export const FORMAT_DETAILS = {
+  [EXPORT_FORMATS.ENCRYPTED_JSON]: { label: 'Encrypted backup', extension: CONTAINER_EXTENSION, type: 'application/json', name: 'dashorg' },
+  [EXPORT_FORMATS.JSON]: { label: 'JSON', extension: '.json', type: 'application/json', name: 'dashorg' },
+  [EXPORT_FORMATS.CSV]: { label: 'CSV', extension: '.csv', type: 'text/csv', name: 'dashorg-accounts' },
+  [EXPORT_FORMATS.HISTORY_CSV]: { label: 'Check-in history CSV', extension: '.csv', type: 'text/csv', name: 'dashorg-history' },
+  [EXPORT_FORMATS.ANALYTICS_JSON]: { label: 'Analytics JSON', extension: '.json', type: 'application/json', name: 'dashorg-analytics' }
+};
+
+// Shortest export password accepted
+export const MIN_EXPORT_PASSWORD_LENGTH = 8;
+
+class ExportService {
+  /**
+   * Starting choices for the export form, from CONFIG.export
+   */
+  getDefaults() {
+    const { defaultFormat, includeMetadata, includeAnalytics } = CONFIG.export;
+
+    return {
+      format: FORMAT_DETAILS[defaultFormat] ? defaultFormat : EXPORT_FORMATS.JSON,
+      includeHistory: true,
+      includeMetadata: includeMetadata !== false,
+      includeAnalytics: includeAnalytics !== false,
+      columns: [...DEFAULT_CSV_COLUMNS],
+      includePasswords: false
+    };
+  }
+
+  /**
+   * Build an export file
+   * @param {string} format - One of EXPORT_FORMATS
+   * @param {Object} options - From getDefaults(), plus password and hint for an encrypted export
+   * @returns {Promise<{content: string, filename: string, type: string}|null>} Null if the export was refused
+   */
+  async build(format, options = {}) {
+    const details = FORMAT_DETAILS[format];
+    if (!details) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    let content;
+    if (format === EXPORT_FORMATS.ANALYTICS_JSON) {
+      content = JSON.stringify(analyticsService.exportAnalytics(), null, 2);
+    } else if (format === EXPORT_FORMATS.ENCRYPTED_JSON) {
+      content = await stateManager.exportData(EXPORT_FORMATS.JSON, { ...options, encrypt: true });
+    } else {
+      content = await stateManager.exportData(format, { ...options, encrypt: false });
+    }
+
+    if (!content) return null;
+    return { content, filename: this.getFilename(format), type: details.type };
+  }
+
+  /**
+   * Build an export and save it through the browser
+   * @returns {Promise<Object|null>} What build() returned
+   */
+  async download(format, options = {}) {
+    const file = await this.build(format, options);
+    if (file) {
+      downloadFile(file.content, file.filename, file.type);
+    }
+    return file;
+  }
+
+  /**
+   * Check the export password and its confirmation
+   * @returns {string|null} Problem to show, or null when they're fine
+   */
+  validatePassword(password, confirmation) {
+    if (!password || password.length < MIN_EXPORT_PASSWORD_LENGTH) {
+      return `Use a password of at least ${MIN_EXPORT_PASSWORD_LENGTH} characters`;
+    }
+    if (password !== confirmation) {
+      return 'The passwords do not match';
+    }
+    return null;
+  }
+
+  /**
+   * Dated file name, e.g. dashorg-history-2024-05-01.csv
+   */
+  getFilename(format, date = new Date()) {
+    const { name, extension } = FORMAT_DETAILS[format];
+    return `${name}-${formatDate(date, 'YYYY-MM-DD')}${extension}`;
+  }
+}
+
+// Export singleton instance
+export const exportService = new ExportService();
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * CSV Import Service
+ * Maps CSV columns to site and credential fields and groups rows into sites
+ */
+
+import { CSV } from '../../utils/csv.js';
+import { sitesService } from '../sites/sites.service.js';
+import { credentialsService } from '../credentials/credentials.service.js';
+import { generateUUID, extractDomain, isWebURL } from '../../shared/constants.js';
+
+// Fields a column can be mapped to, with the header names they are guessed from
+export const IMPORT_FIELDS = [
+  { key: 'siteName', label: 'Site name', aliases: ['site name', 'site', 'name', 'title', 'account', 'service'] },
+  { key: 'url', label: 'URL', aliases: ['url', 'website', 'web site', 'login uri', 'uri', 'address', 'link', 'domain'] },
+  { key: 'category', label: 'Category', aliases: ['category', 'folder', 'group', 'grouping'] },
+  { key: 'label', label: 'Label', aliases: ['label', 'description', 'account name'] },
+  { key: 'email', label: 'Email / username', aliases: ['email', 'e-mail', 'username', 'user name', 'login', 'user', 'login username'] },
+  { key: 'password', label: 'Password', aliases: ['password', 'pass', 'pwd', 'login password'] },
+  { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comments', 'comment', 'extra'] },
+  { key: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'keywords'] }
+];
+
+export const GROUP_BY = {
+  DOMAIN: 'domain',
+  URL: 'url'
+};
+
+class CsvImportService {
+  /**
+   * Parse CSV text, treating the first row as headers
+   * @returns {{headers: string[], rows: string[][]}}
+   */
+  parse(text) {
+    const [headers = [], ...rows] = CSV.parse(text);
+    return { headers: headers.map(header => header.trim()), rows };
+  }
+
+  /**
+   * Check whether a file looks like CSV rather than JSON
+   */
+  isCsv(fileName, text) {
+    if (/\.csv$/i.test(fileName || '')) return true;
+    if (/\.(json|dashorg)$/i.test(fileName || '')) return false;
+    return !/^\s*[[{]/.test(text || '');
+  }
+
+  /**
+   * Guess which column holds each field from the header names
+   * @returns {Object} { siteName: 0, url: 1, email: null, ... }
+   */
+  guessMapping(headers) {
+    const normalized = headers.map(header => this.normalizeHeader(header));
+    const used = new Set();
+    const mapping = {};
+
+    IMPORT_FIELDS.forEach(field => {
+      const index = field.aliases
+        .map(alias => normalized.findIndex((header, i) => header === alias && !used.has(i)))
+        .find(i => i !== -1);
+
+      mapping[field.key] = index === undefined ? null : index;
+      if (index !== undefined) used.add(index);
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Lower-case a header and collapse separators, so "Login_URI" matches "login uri"
+   */
+  normalizeHeader(header) {
+    return String(header).trim().toLowerCase().replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Turn CSV rows into field records using a column mapping
+   * @returns {Array<Object>} [{ siteName, url, category, label, email, password, notes, tags }]
+   */
+  mapRows(rows, mapping) {
+    return rows.map(row => {
+      const record = {};
+      IMPORT_FIELDS.forEach(({ key }) => {
+        const index = mapping[key];
+        const value = index === null || index === undefined ? '' : String(row[index] ?? '').trim();
+        // Passwords are exported as they are, so a leading apostrophe is part of the password
+        record[key] = key === 'password' ? value : CSV.restoreFormula(value);
+      });
+      return record;
+    });
+  }
+
+  /**
+   * Group field records into sites, one credential per record
+   * Records without a URL are skipped, since every site needs one
+   * @param {Array<Object>} records - From mapRows(), or from externalImportService.read(),
+   *   which may add customFields: [{ label, value, type }]
+   * @param {Object} options - { groupBy: 'domain'|'url' }
+   * @returns {{data: {sites: Array, categories: Array}, skipped: number}}
+   */
+  buildImport(records, { groupBy = GROUP_BY.DOMAIN } = {}) {
+    const groups = new Map();
+    const categories = new Map();
+    let skipped = 0;
+
+    records.forEach(record => {
+      const url = this.normalizeUrl(record.url);
+      if (!url) {
+        skipped++;
+        return;
+      }
+
+      const key = this.groupKey(url, groupBy);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ ...record, url });
+
+      const category = record.category?.trim();
+      if (category && !categories.has(category.toLowerCase())) {
+        categories.set(category.toLowerCase(), { id: generateUUID(), name: category });
+      }
+    });
+
+    const sites = [...groups.values()].map(group => {
+      const first = group[0];
+      const category = group.map(record => record.category?.trim()).find(Boolean);
+      const tags = [...new Set(group.flatMap(record => this.splitTags(record.tags)))];
+
+      return sitesService.buildSite({
+        name: group.map(record => record.siteName).find(Boolean) || this.domainOf(first.url),
+        url: first.url,
+        category: category ? categories.get(category.toLowerCase()).id : null,
+        tags,
+        credentials: group.map((record, index) => credentialsService.buildCredential({
+          label: record.label || record.email || record.siteName || `Account ${index + 1}`,
+          email: record.email,
+          password: record.password,
+          notes: record.notes,
+          customFields: (record.customFields || []).map(field => ({ id: generateUUID(), ...field }))
+        }))
+      });
+    });
+
+    return { data: { sites, categories: [...categories.values()] }, skipped };
+  }
+
+  /**
+   * Add https:// to bare domains; null for an empty value or one that isn't a web address
+   * (the same check externalImportService.webUrl() applies)
+   */
+  normalizeUrl(url) {
+    const value = String(url || '').trim();
+    if (!value || !isWebURL(value)) return null;
+    return /^https?:\/\//i.test(value) ? value : `https://${value}`;
+  }
+
+  /**
+   * Key rows are grouped under: the domain without "www.", or the whole URL
+   */
+  groupKey(url, groupBy) {
+    if (groupBy === GROUP_BY.URL) {
+      return url.toLowerCase().replace(/\/+$/, '');
+    }
+    return this.domainOf(url);
+  }
+
+  /**
+   * Host name without "www.", or the URL itself if it can't be parsed
+   */
+  domainOf(url) {
+    return extractDomain(url).toLowerCase().replace(/^www\./, '');
+  }
+
+  /**
+   * Split a tag cell on semicolons or commas (the export joins with ";")
+   */
+  splitTags(value) {
+    return String(value || '').split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+  }
+}
+
+// Export singleton instance
+export const csvImportService = new CsvImportService();
\ No newline at end of file
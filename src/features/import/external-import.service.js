@@ -0,0 +1,334 @@
+/**
+ * External Import Service
+ * Reads exports from other password managers into field records for csvImportService.buildImport()
+ */
+
+import { CSV } from '../../utils/csv.js';
+import { totpService, TOTP_FIELD_TYPE } from '../credentials/totp.service.js';
+import { isWebURL } from '../../shared/constants.js';
+
+export const IMPORT_FORMATS = {
+  BITWARDEN: 'bitwarden',
+  KEEPASS: 'keepass',
+  ONEPASSWORD: '1password',
+  LASTPASS: 'lastpass',
+  BROWSER: 'browser'
+};
+
+export const FORMAT_LABELS = {
+  [IMPORT_FORMATS.BITWARDEN]: 'Bitwarden JSON',
+  [IMPORT_FORMATS.KEEPASS]: 'KeePass XML',
+  [IMPORT_FORMATS.ONEPASSWORD]: '1Password CSV',
+  [IMPORT_FORMATS.LASTPASS]: 'LastPass CSV',
+  [IMPORT_FORMATS.BROWSER]: 'Chrome / Firefox passwords CSV'
+};
+
+// Header sets that identify each CSV export (normalized: lower-case, no separators)
+const CSV_SIGNATURES = [
+  { format: IMPORT_FORMATS.LASTPASS, headers: ['url', 'username', 'password', 'extra', 'name', 'grouping'] },
+  { format: IMPORT_FORMATS.ONEPASSWORD, headers: ['title', 'url', 'username', 'password', 'otpauth'] },
+  { format: IMPORT_FORMATS.ONEPASSWORD, headers: ['title', 'website', 'username', 'password'] },
+  { format: IMPORT_FORMATS.BROWSER, headers: ['url', 'username', 'password', 'httprealm', 'guid'] },
+  { format: IMPORT_FORMATS.BROWSER, headers: ['name', 'url', 'username', 'password'] }
+];
+
+// Bitwarden item and custom field types
+const BITWARDEN_LOGIN = 1;
+const BITWARDEN_HIDDEN_FIELD = 1;
+
+// KeePass strings that map to credential fields; the rest become custom fields
+const KEEPASS_FIELDS = ['Title', 'UserName', 'Password', 'URL', 'Notes'];
+const KEEPASS_TOTP_KEYS = ['otp', 'TOTP Seed', 'TimeOtp-Secret-Base32'];
+const KEEPASS_RECYCLE_BIN = 'Recycle Bin';
+
+// LastPass stores secure notes as entries with this URL
+const LASTPASS_NOTE_URL = 'http://sn';
+
+class ExternalImportService {
+  /**
+   * Recognise an export from its contents
+   * @returns {string|null} One of IMPORT_FORMATS, or null for DashOrg files and generic CSV
+   */
+  detect(text) {
+    const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+
+    if (trimmed.startsWith('<')) {
+      return /<KeePassFile[\s>]/.test(trimmed) ? IMPORT_FORMATS.KEEPASS : null;
+    }
+
+    if (trimmed.startsWith('{')) {
+      try {
+        const data = JSON.parse(trimmed);
+        return Array.isArray(data.items) && !Array.isArray(data.sites) ? IMPORT_FORMATS.BITWARDEN : null;
+      } catch {
+        return null;
+      }
+    }
+
+    const [headers = []] = CSV.parse(trimmed.split(/\r?\n/)[0]);
+    const normalized = new Set(headers.map(header => this.normalizeHeader(header)));
+    const match = CSV_SIGNATURES.find(signature => signature.headers.every(header => normalized.has(header)));
+    return match ? match.format : null;
+  }
+
+  /**
+   * Read an export into field records
+   * @returns {{records: Array<Object>, skipped: number}} Records as in csvImportService.mapRows(),
+   *   plus customFields; skipped counts entries that aren't logins
+   * @throws {Error} With a message for the user when the file can't be read
+   */
+  read(format, text) {
+    const readers = {
+      [IMPORT_FORMATS.BITWARDEN]: () => this.readBitwarden(text),
+      [IMPORT_FORMATS.KEEPASS]: () => this.readKeePass(text),
+      [IMPORT_FORMATS.ONEPASSWORD]: () => this.readOnePassword(text),
+      [IMPORT_FORMATS.LASTPASS]: () => this.readLastPass(text),
+      [IMPORT_FORMATS.BROWSER]: () => this.readBrowser(text)
+    };
+
+    if (!readers[format]) {
+      throw new Error(`Unknown import format: ${format}`);
+    }
+    return readers[format]();
+  }
+
+  /**
+   * Bitwarden JSON: login items, folders as categories, custom fields and TOTP
+   */
+  readBitwarden(text) {
+    const data = JSON.parse(text);
+    if (data.encrypted) {
+      throw new Error('This Bitwarden export is encrypted. Export it again as unencrypted JSON.');
+    }
+
+    const folders = new Map((data.folders || []).map(folder => [folder.id, folder.name]));
+    const records = [];
+    let skipped = 0;
+
+    (data.items || []).forEach(item => {
+      if (item.type !== BITWARDEN_LOGIN || !item.login) {
+        skipped++;
+        return;
+      }
+
+      const customFields = (item.fields || [])
+        .filter(field => field.value !== null && field.value !== undefined && field.value !== '')
+        .map(field => this.customField(field.name, field.value, field.type === BITWARDEN_HIDDEN_FIELD ? 'hidden' : 'text'));
+
+      records.push(this.record({
+        siteName: item.name,
+        url: (item.login.uris || []).map(entry => this.webUrl(String(entry?.uri ?? '').trim())).find(Boolean),
+        category: folders.get(item.folderId),
+        email: item.login.username,
+        password: item.login.password,
+        notes: item.notes,
+        totp: item.login.totp,
+        customFields
+      }));
+    });
+
+    return { records, skipped };
+  }
+
+  /**
+   * KeePass 2 XML (unencrypted export): groups as categories, extra strings as custom fields
+   */
+  readKeePass(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('The KeePass file is not valid XML');
+    }
+
+    const root = doc.querySelector('KeePassFile > Root > Group');
+    if (!root) {
+      throw new Error('No password groups were found in the KeePass file');
+    }
+
+    // Entries directly in the root group have no category
+    const records = [];
+    let skipped = 0;
+    this.walkKeePassGroup(root, null, records, () => skipped++);
+
+    return { records, skipped };
+  }
+
+  /**
+   * Read the entries in a KeePass group, and its subgroups under their own names
+   */
+  walkKeePassGroup(group, category, records, onSkip) {
+    [...group.children].forEach(child => {
+      if (child.tagName === 'Group') {
+        const name = this.childText(child, 'Name');
+        if (name !== KEEPASS_RECYCLE_BIN) {
+          this.walkKeePassGroup(child, name, records, onSkip);
+        }
+      } else if (child.tagName === 'Entry') {
+        const record = this.readKeePassEntry(child, category);
+        if (record.url) {
+          records.push(record);
+        } else {
+          onSkip();
+        }
+      }
+    });
+  }
+
+  /**
+   * Read one KeePass entry; its <History> copies are ignored
+   */
+  readKeePassEntry(entry, category) {
+    const strings = new Map();
+    const protectedKeys = new Set();
+    [...entry.children]
+      .filter(child => child.tagName === 'String')
+      .forEach(string => {
+        const key = this.childText(string, 'Key');
+        const value = [...string.children].find(node => node.tagName === 'Value');
+        strings.set(key, value ? value.textContent : '');
+        if (value?.getAttribute('Protected') === 'True') protectedKeys.add(key);
+      });
+
+    const totpKey = KEEPASS_TOTP_KEYS.find(key => strings.get(key));
+    const customFields = [...strings.entries()]
+      .filter(([key, value]) => value && !KEEPASS_FIELDS.includes(key) && key !== totpKey)
+      .map(([key, value]) => this.customField(key, value, protectedKeys.has(key) ? 'hidden' : 'text'));
+
+    const tags = this.childText(entry, 'Tags');
+
+    return this.record({
+      siteName: strings.get('Title'),
+      url: strings.get('URL'),
+      category,
+      email: strings.get('UserName'),
+      password: strings.get('Password'),
+      notes: strings.get('Notes'),
+      tags,
+      totp: totpKey ? strings.get(totpKey) : '',
+      customFields
+    });
+  }
+
+  /**
+   * 1Password CSV (1Password 8 and the older title/website layout)
+   */
+  readOnePassword(text) {
+    const rows = this.readCsvObjects(text);
+    const records = rows.map(row => this.record({
+      siteName: row.title,
+      url: row.url || row.website,
+      category: row.vault,
+      email: row.username,
+      password: row.password,
+      notes: row.notes,
+      tags: row.tags,
+      totp: row.otpauth
+    }));
+
+    return this.withoutUrlless(records);
+  }
+
+  /**
+   * LastPass CSV: groupings as categories, secure notes skipped
+   */
+  readLastPass(text) {
+    const rows = this.readCsvObjects(text);
+    const logins = rows.filter(row => row.url !== LASTPASS_NOTE_URL);
+
+    const result = this.withoutUrlless(logins.map(row => this.record({
+      siteName: row.name,
+      url: row.url,
+      category: row.grouping,
+      email: row.username,
+      password: row.password,
+      notes: row.extra,
+      totp: row.totp
+    })));
+
+    return { ...result, skipped: result.skipped + rows.length - logins.length };
+  }
+
+  /**
+   * Chrome (name,url,username,password[,note]) and Firefox (url,username,password,...) CSV
+   */
+  readBrowser(text) {
+    const rows = this.readCsvObjects(text);
+    return this.withoutUrlless(rows.map(row => this.record({
+      siteName: row.name,
+      url: row.url,
+      email: row.username,
+      password: row.password,
+      notes: row.note
+    })));
+  }
+
+  /**
+   * Parse CSV into objects keyed by normalized header
+   */
+  readCsvObjects(text) {
+    const [headers = [], ...rows] = CSV.parse(text);
+    const keys = headers.map(header => this.normalizeHeader(header));
+
+    return rows.map(row => Object.fromEntries(keys.map((key, index) => [key, row[index] ?? ''])));
+  }
+
+  /**
+   * Drop records without a URL, counting them
+   */
+  withoutUrlless(records) {
+    const kept = records.filter(record => record.url);
+    return { records: kept, skipped: records.length - kept.length };
+  }
+
+  /**
+   * Build a field record, turning a TOTP secret into an authenticator custom field
+   * (or a hidden one if it can't generate codes, e.g. a Steam secret)
+   */
+  record({ totp, customFields = [], ...fields }) {
+    const record = {
+      siteName: '', url: '', category: '', label: '', email: '', password: '', notes: '', tags: '',
+      ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, String(value ?? '').trim()])),
+      customFields: [...customFields]
+    };
+
+    record.url = this.webUrl(record.url);
+
+    if (totp && String(totp).trim()) {
+      const secret = String(totp).trim();
+      record.customFields.push(this.customField('TOTP', secret, totpService.isValid(secret) ? TOTP_FIELD_TYPE : 'hidden'));
+    }
+    return record;
+  }
+
+  /**
+   * The URL if it is a web address (http(s) or a bare domain), otherwise ''
+   * so app links (androidapp://) and script URLs from a foreign file are skipped
+   */
+  webUrl(url) {
+    return isWebURL(url) ? url : '';
+  }
+
+  /**
+   * A custom field as stored on credentials (without its ID)
+   */
+  customField(label, value, type) {
+    return { label: String(label || 'Field'), value: String(value), type };
+  }
+
+  /**
+   * Text of the first direct child element with a tag name
+   */
+  childText(element, tagName) {
+    const child = [...element.children].find(node => node.tagName === tagName);
+    return child ? child.textContent : '';
+  }
+
+  /**
+   * Lower-case a header and drop separators, so "OTPAuth" and "otp_auth" compare equal
+   */
+  normalizeHeader(header) {
+    return String(header).trim().toLowerCase().replace(/[\s_\-.]+/g, '');
+  }
+}
+
+// Export singleton instance
+export const externalImportService = new ExternalImportService();
\ No newline at end of file
@@ -0,0 +1,608 @@
+/**
+ * Import Wizard
+ * Reads an import file (mapping CSV columns first), shows what it would add or
+ * change, and lets each site be resolved
+ */
+
+import { Modal } from '../../shared/components/modal.js';
+import { toast } from '../../shared/components/toast.js';
+import { stateManager } from '../../core/state.js';
+import { IMPORT_MODES, MATCH_STATUS, MERGE_ACTIONS } from '../../core/import-merge.js';
+import { CONTAINER_ERRORS, CONTAINER_EXTENSION } from '../../core/container.js';
+import { csvImportService, IMPORT_FIELDS, GROUP_BY } from './csv-import.service.js';
+import { externalImportService, FORMAT_LABELS } from './external-import.service.js';
+import { readFile, sanitizeHTML, formatDate, formatTime } from '../../shared/constants.js';
+
+const MODAL_ID = 'import-modal';
+
+const STATUS_LABELS = {
+  [MATCH_STATUS.NEW]: 'New',
+  [MATCH_STATUS.CHANGED]: 'Changed',
+  [MATCH_STATUS.DUPLICATE]: 'Duplicate'
+};
+
+// CSV rows shown under the column mapping
+const PREVIEW_ROWS = 5;
+
+const ACTION_LABELS = {
+  [MERGE_ACTIONS.KEEP_MINE]: 'Keep mine',
+  [MERGE_ACTIONS.TAKE_THEIRS]: 'Take theirs',
+  [MERGE_ACTIONS.KEEP_BOTH]: 'Keep both'
+};
+
+class ImportWizard {
+  constructor() {
+    this.modal = new Modal(MODAL_ID);
+    this.reset();
+  }
+
+  /**
+   * Forget the file and choices from the last run
+   */
+  reset() {
+    this.step = 'file';
+    this.fileText = null;
+    this.fileName = '';
+    this.data = null;
+    this.csv = null;
+    this.format = null;
+    this.mapping = {};
+    this.groupBy = GROUP_BY.DOMAIN;
+    this.skippedRows = 0;
+    this.plan = null;
+    this.mode = IMPORT_MODES.MERGE;
+    this.actions = {};
+    this.errors = [];
+    this.needsPassword = false;
+    this.fileHeader = null;
+    this.busy = false;
+  }
+
+  /**
+   * Build the modal the first time it is needed
+   */
+  ensureCreated() {
+    if (this.modal.element) return;
+
+    this.modal.create('📥 Import', '<div data-import-body></div>', `
+      <button type="button" class="btn btn--ghost" data-action="import-back">Back</button>
+      <button type="button" class="btn btn--ghost" data-close-modal>Cancel</button>
+      <button type="button" class="btn btn--primary" data-action="import-next">Next</button>
+    `);
+
+    this.body = this.modal.element.querySelector('[data-import-body]');
+    this.attachListeners();
+    this.modal.onClose(() => this.reset());
+  }
+
+  /**
+   * Wire up the step buttons and the review controls
+   */
+  attachListeners() {
+    const element = this.modal.element;
+
+    element.querySelector('[data-action="import-next"]').addEventListener('click', () => this.next());
+    element.querySelector('[data-action="import-back"]').addEventListener('click', () => this.back());
+
+    this.body.addEventListener('change', (e) => {
+      if (e.target.name === 'import-file') {
+        this.selectFile(e.target.files[0]);
+      } else if (e.target.name === 'import-mode') {
+        this.setMode(e.target.value);
+      } else if (e.target.dataset.mapField) {
+        this.mapping[e.target.dataset.mapField] = e.target.value === '' ? null : Number(e.target.value);
+        this.render();
+      } else if (e.target.name === 'import-group-by') {
+        this.groupBy = e.target.value;
+        this.render();
+      } else if (e.target.dataset.entryIndex !== undefined) {
+        this.actions[e.target.dataset.entryIndex] = e.target.value;
+      }
+    });
+
+    this.body.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-bulk-action]');
+      if (button) this.setAllActions(button.dataset.bulkAction);
+    });
+  }
+
+  /**
+   * Open the wizard, optionally with a file already chosen (e.g. dropped on the page)
+   */
+  async open(file = null) {
+    this.ensureCreated();
+    this.reset();
+    this.render();
+    this.modal.open();
+
+    if (file) {
+      await this.selectFile(file);
+    }
+  }
+
+  /**
+   * Close the wizard
+   */
+  close() {
+    if (this.modal.isOpen) {
+      this.modal.close();
+    }
+  }
+
+  /**
+   * Read the chosen file and try it without a password
+   */
+  async selectFile(file) {
+    if (!file) return;
+
+    try {
+      this.fileText = await readFile(file);
+      this.fileName = file.name;
+    } catch (error) {
+      console.error('Could not read import file:', error);
+      this.errors = ['The file could not be read'];
+      this.render();
+      return;
+    }
+
+    this.needsPassword = false;
+    this.fileHeader = null;
+    this.csv = null;
+
+    this.format = externalImportService.detect(this.fileText);
+    if (this.format) {
+      this.loadExternal();
+      return;
+    }
+
+    if (csvImportService.isCsv(this.fileName, this.fileText)) {
+      this.showMapping();
+      return;
+    }
+
+    await this.load();
+  }
+
+  /**
+   * Parse a CSV file and guess the column mapping from its headers
+   */
+  showMapping() {
+    const { headers, rows } = csvImportService.parse(this.fileText);
+    if (rows.length === 0) {
+      this.errors = ['The CSV file has a header row but no data'];
+      this.render();
+      return;
+    }
+
+    this.csv = { headers, rows };
+    this.mapping = csvImportService.guessMapping(headers);
+    this.groupBy = GROUP_BY.DOMAIN;
+    this.errors = [];
+    this.step = 'mapping';
+    this.render();
+  }
+
+  /**
+   * Read another password manager's export, grouping its entries into sites by domain
+   */
+  loadExternal() {
+    let result;
+    try {
+      result = externalImportService.read(this.format, this.fileText);
+    } catch (error) {
+      console.error('Could not read import file:', error);
+      this.errors = [error.message || `This ${FORMAT_LABELS[this.format]} file could not be read`];
+      this.render();
+      return;
+    }
+
+    const { data: built, skipped } = csvImportService.buildImport(result.records);
+    this.finishBuiltImport(built, result.skipped + skipped);
+  }
+
+  /**
+   * Build sites from the mapped CSV rows and validate them like any other import
+   */
+  loadCsv() {
+    if (this.mapping.url === null) {
+      this.errors = ['Choose the column that holds the URL'];
+      this.render();
+      return;
+    }
+
+    const records = csvImportService.mapRows(this.csv.rows, this.mapping);
+    const { data: built, skipped } = csvImportService.buildImport(records, { groupBy: this.groupBy });
+    this.finishBuiltImport(built, skipped);
+  }
+
+  /**
+   * Validate sites built from rows like any other import, then show the review
+   */
+  finishBuiltImport(built, skipped) {
+    const { data, errors } = stateManager.validateImport(built);
+
+    if (!data) {
+      this.errors = errors;
+      this.render();
+      return;
+    }
+
+    this.data = data;
+    this.skippedRows = skipped;
+    this.errors = [];
+    this.actions = {};
+    this.showReview();
+  }
+
+  /**
+   * Parse and validate the file, moving on to the review once it passes
+   */
+  async load(password = null) {
+    const { data, errors, reason, header } = await stateManager.readImport(this.fileText, password);
+    this.fileHeader = header;
+
+    if (!data) {
+      // A damaged or too-new file won't open with any password
+      this.needsPassword = reason === CONTAINER_ERRORS.PASSWORD_REQUIRED || reason === CONTAINER_ERRORS.WRONG_PASSWORD;
+      this.errors = errors;
+      this.render();
+      this.body.querySelector('[name="import-password"]')?.focus();
+      return;
+    }
+
+    this.data = data;
+    this.errors = [];
+    this.actions = {};
+    this.showReview();
+  }
+
+  /**
+   * Plan the import against the current data and show it
+   */
+  showReview() {
+    this.plan = stateManager.previewImport(this.data, this.mode);
+    this.step = 'review';
+    this.render();
+  }
+
+  /**
+   * Switch between merging and replacing everything
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.showReview();
+  }
+
+  /**
+   * Apply one choice to every matched site
+   */
+  setAllActions(action) {
+    this.plan.entries
+      .filter(entry => entry.status !== MATCH_STATUS.NEW)
+      .forEach(entry => { this.actions[entry.index] = action; });
+    this.render();
+  }
+
+  /**
+   * Advance: unlock an encrypted file, or run the import
+   */
+  async next() {
+    if (this.busy) return;
+
+    if (this.step === 'file') {
+      if (!this.fileText) {
+        this.errors = ['Choose a file to import'];
+        this.render();
+        return;
+      }
+      const password = this.body.querySelector('[name="import-password"]')?.value || null;
+      this.setBusy(true, password ? 'Unlocking…' : 'Reading…');
+      try {
+        await this.load(password);
+      } finally {
+        this.setBusy(false);
+      }
+      return;
+    }
+
+    if (this.step === 'mapping') {
+      this.loadCsv();
+      return;
+    }
+
+    await this.apply();
+  }
+
+  /**
+   * Go back a step: from the review to the CSV mapping, otherwise to choosing a file
+   */
+  back() {
+    if (this.busy || this.step === 'file') return;
+
+    this.step = this.step === 'review' && this.csv ? 'mapping' : 'file';
+    this.errors = [];
+    this.render();
+  }
+
+  /**
+   * Import with the chosen mode and per-site actions
+   */
+  async apply() {
+    if (this.mode === IMPORT_MODES.REPLACE && this.plan.removed.length > 0) {
+      const count = this.plan.removed.length;
+      if (!confirm(`Replace everything? ${count} site${count === 1 ? '' : 's'} not in the file will be deleted. A backup is taken first.`)) return;
+    }
+
+    this.setBusy(true, 'Importing…');
+
+    try {
+      const summary = await stateManager.applyImport(this.data, { mode: this.mode, actions: this.actions });
+      if (summary) {
+        toast.success(this.describeSummary(summary), 4000);
+        this.setBusy(false);
+        this.close();
+        return;
+      }
+    } catch (error) {
+      console.error('Import failed:', error);
+      toast.error('Import failed. Your data was not changed.');
+    }
+
+    this.setBusy(false);
+  }
+
+  /**
+   * Disable the buttons while a step runs, showing progress on the Next button
+   */
+  setBusy(busy, label = '') {
+    this.busy = busy;
+    this.modal.element.querySelectorAll('button').forEach(button => { button.disabled = busy; });
+    if (busy) {
+      this.modal.element.querySelector('[data-action="import-next"]').textContent = label;
+    } else {
+      this.renderFooter();
+    }
+  }
+
+  /**
+   * One-line result for the toast
+   */
+  describeSummary({ added, updated, skipped, removed }) {
+    const parts = [`${added} added`, `${updated} updated`];
+    if (skipped) parts.push(`${skipped} skipped`);
+    if (removed) parts.push(`${removed} removed`);
+    return `Import complete: ${parts.join(', ')}`;
+  }
+
+  /**
+   * Render the current step and footer buttons
+   */
+  render() {
+    const steps = {
+      file: () => this.renderFileStep(),
+      mapping: () => this.renderMappingStep(),
+      review: () => this.renderReviewStep()
+    };
+    this.body.innerHTML = steps[this.step]();
+    this.renderFooter();
+  }
+
+  /**
+   * Show Back and label Next for the current step
+   */
+  renderFooter() {
+    const element = this.modal.element;
+    element.querySelector('[data-action="import-back"]').hidden = this.step === 'file';
+    element.querySelector('[data-action="import-next"]').textContent = this.step === 'review'
+      ? 'Import'
+      : (this.needsPassword ? 'Unlock' : 'Next');
+  }
+
+  /**
+   * File picker, password prompt and any read or validation errors
+   */
+  renderFileStep() {
+    return `
+      <div class="field">
+        <label class="field__label" for="import-file">File</label>
+        <input type="file" id="import-file" name="import-file" accept=".json,${CONTAINER_EXTENSION},.csv,.xml,application/json,text/csv,text/xml" />
+        <span class="field__hint">${this.fileName
+          ? `Selected: ${sanitizeHTML(this.fileName)}`
+          : 'A DashOrg export (JSON, or an encrypted .dashorg file), a Bitwarden, KeePass, 1Password, LastPass, Chrome or Firefox export, or any CSV with a URL column.'}</span>
+      </div>
+      ${this.fileHeader ? this.renderFileHeader() : ''}
+      ${this.needsPassword ? `
+        <div class="field">
+          <label class="field__label" for="import-password">File password</label>
+          <input type="password" id="import-password" name="import-password" autocomplete="off" />
+          ${this.fileHeader?.hint ? `<span class="field__hint">Hint: ${sanitizeHTML(this.fileHeader.hint)}</span>` : ''}
+        </div>
+      ` : ''}
+      ${this.renderErrors()}
+    `;
+  }
+
+  /**
+   * When and with which version an encrypted .dashorg file was made
+   */
+  renderFileHeader() {
+    const { createdAt, appVersion } = this.fileHeader;
+    const created = createdAt && !isNaN(new Date(createdAt))
+      ? ` on ${formatDate(createdAt)} at ${formatTime(createdAt)}`
+      : '';
+    const version = appVersion ? ` with version ${sanitizeHTML(appVersion)}` : '';
+
+    return `<p class="import-summary">🔒 Encrypted export made${created}${version}</p>`;
+  }
+
+  /**
+   * Column pickers, grouping choice and a preview of the first mapped rows
+   */
+  renderMappingStep() {
+    const { headers, rows } = this.csv;
+    const columnOptions = (selected) => [
+      `<option value="">— none —</option>`,
+      ...headers.map((header, index) =>
+        `<option value="${index}" ${selected === index ? 'selected' : ''}>${sanitizeHTML(header || `Column ${index + 1}`)}</option>`)
+    ].join('');
+
+    const mapped = IMPORT_FIELDS.filter(field => this.mapping[field.key] !== null);
+    const preview = csvImportService.mapRows(rows.slice(0, PREVIEW_ROWS), this.mapping);
+
+    return `
+      <p class="import-summary">${sanitizeHTML(this.fileName)} · ${rows.length} row${rows.length === 1 ? '' : 's'}</p>
+
+      <div class="import-mapping">
+        ${IMPORT_FIELDS.map(field => `
+          <label class="field">
+            <span class="field__label">${field.label}</span>
+            <select data-map-field="${field.key}">${columnOptions(this.mapping[field.key])}</select>
+          </label>
+        `).join('')}
+      </div>
+
+      <fieldset class="import-mode">
+        <span class="field__hint">Group rows into sites by</span>
+        <label class="field field--checkbox">
+          <input type="radio" name="import-group-by" value="${GROUP_BY.DOMAIN}" ${this.groupBy === GROUP_BY.DOMAIN ? 'checked' : ''} />
+          <span>Domain</span>
+        </label>
+        <label class="field field--checkbox">
+          <input type="radio" name="import-group-by" value="${GROUP_BY.URL}" ${this.groupBy === GROUP_BY.URL ? 'checked' : ''} />
+          <span>Full URL</span>
+        </label>
+      </fieldset>
+
+      ${mapped.length > 0 ? `
+        <div class="import-preview">
+          <table>
+            <thead><tr>${mapped.map(field => `<th>${field.label}</th>`).join('')}</tr></thead>
+            <tbody>
+              ${preview.map(record => `
+                <tr>${mapped.map(field => `<td>${field.key === 'password' && record.password ? '••••••' : sanitizeHTML(record[field.key])}</td>`).join('')}</tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      ` : ''}
+      ${this.renderErrors()}
+    `;
+  }
+
+  /**
+   * Render read or validation errors
+   */
+  renderErrors() {
+    if (this.errors.length === 0) return '';
+
+    const shown = this.errors.slice(0, 5).map(error => `<li>${sanitizeHTML(error)}</li>`).join('');
+    const more = this.errors.length > 5 ? `<li>and ${this.errors.length - 5} more</li>` : '';
+    return `<ul class="recovery-screen__errors">${shown}${more}</ul>`;
+  }
+
+  /**
+   * Mode choice, counts and the per-site list
+   */
+  renderReviewStep() {
+    const { counts, entries, removed, categories } = this.plan;
+    const replacing = this.mode === IMPORT_MODES.REPLACE;
+
+    return `
+      <fieldset class="import-mode">
+        <label class="field field--checkbox">
+          <input type="radio" name="import-mode" value="${IMPORT_MODES.MERGE}" ${replacing ? '' : 'checked'} />
+          <span>Merge with my sites</span>
+        </label>
+        <label class="field field--checkbox">
+          <input type="radio" name="import-mode" value="${IMPORT_MODES.REPLACE}" ${replacing ? 'checked' : ''} />
+          <span>Replace everything</span>
+        </label>
+      </fieldset>
+
+      <p class="import-summary">
+        ${counts.new} new · ${counts.changed} changed · ${counts.duplicate} duplicate
+        ${categories.length ? ` · ${categories.length} new categor${categories.length === 1 ? 'y' : 'ies'}` : ''}
+        ${this.csv && this.skippedRows ? ` · ${this.skippedRows} row${this.skippedRows === 1 ? '' : 's'} without a URL skipped` : ''}
+        ${this.format && this.skippedRows ? ` · ${this.skippedRows} entr${this.skippedRows === 1 ? 'y' : 'ies'} without a login or URL skipped` : ''}
+      </p>
+      ${this.format ? `<p class="field__hint">Read as ${FORMAT_LABELS[this.format]}</p>` : ''}
+
+      ${replacing ? this.renderRemoved(removed) : `
+        <div class="inline-stack import-bulk">
+          <span class="field__hint">For all matches:</span>
+          ${Object.entries(ACTION_LABELS).map(([action, label]) =>
+            `<button type="button" class="btn btn--ghost btn--sm" data-bulk-action="${action}">${label}</button>`).join('')}
+        </div>
+      `}
+
+      <ul class="archive-list">
+        ${entries.map(entry => this.renderEntry(entry, replacing)).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Warn about the sites a replace would delete
+   */
+  renderRemoved(removed) {
+    if (removed.length === 0) {
+      return '<p class="field__hint">Every current site is in the file; nothing will be deleted.</p>';
+    }
+
+    const names = removed.slice(0, 5).map(site => sanitizeHTML(site.name)).join(', ');
+    const more = removed.length > 5 ? ` and ${removed.length - 5} more` : '';
+    return `<p class="import-warning">Deletes ${removed.length} site${removed.length === 1 ? '' : 's'} not in the file: ${names}${more}</p>`;
+  }
+
+  /**
+   * One imported site with its status and, when merging, the action picker
+   */
+  renderEntry(entry, replacing) {
+    const action = this.actions[entry.index] || entry.action;
+    const options = entry.status === MATCH_STATUS.NEW
+      ? [[MERGE_ACTIONS.TAKE_THEIRS, 'Add'], [MERGE_ACTIONS.KEEP_MINE, 'Skip']]
+      : Object.entries(ACTION_LABELS);
+
+    return `
+      <li class="archive-item">
+        <div class="archive-item__info">
+          <strong class="archive-item__name">
+            ${sanitizeHTML(entry.name)}
+            <span class="import-status import-status--${entry.status}">${STATUS_LABELS[entry.status]}</span>
+          </strong>
+          <span class="archive-item__meta">${this.describeEntry(entry)}</span>
+        </div>
+        ${replacing ? '' : `
+          <select data-entry-index="${entry.index}" aria-label="What to do with ${sanitizeHTML(entry.name)}">
+            ${options.map(([value, label]) =>
+              `<option value="${value}" ${value === action ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+        `}
+      </li>
+    `;
+  }
+
+  /**
+   * Explain what matched and what differs
+   */
+  describeEntry(entry) {
+    const url = sanitizeHTML(entry.url);
+    if (entry.status === MATCH_STATUS.NEW) {
+      return `${url} · ${entry.credentials.added} credential${entry.credentials.added === 1 ? '' : 's'}`;
+    }
+
+    const match = `Matches "${sanitizeHTML(entry.existingName)}" by ${entry.matchedBy === 'id' ? 'ID' : 'URL'}`;
+    if (entry.status === MATCH_STATUS.DUPLICATE) {
+      return `${match} · nothing new`;
+    }
+
+    const changes = [];
+    if (entry.fields.length) changes.push(`changed ${sanitizeHTML(entry.fields.join(', '))}`);
+    if (entry.credentials.added) changes.push(`${entry.credentials.added} new credential${entry.credentials.added === 1 ? '' : 's'}`);
+    if (entry.credentials.changed) changes.push(`${entry.credentials.changed} changed credential${entry.credentials.changed === 1 ? '' : 's'}`);
+    return `${match} · ${changes.join(', ')}`;
+  }
+}
+
+// Export singleton instance
+export const importWizard = new ImportWizard();
\ No newline at end of file
@@ -0,0 +1,229 @@
+/**
+ * Recovery Screen
+ * Shown instead of the dashboard when stored data can't be loaded at startup
+ */
+
+import { stateManager } from '../../core/state.js';
+import { toast } from '../../shared/components/toast.js';
+import { formatDate, sanitizeHTML } from '../../shared/constants.js';
+
+// Longer error lists are cut short with an "and N more" line
+const MAX_ERRORS_SHOWN = 8;
+
+const MESSAGES = {
+  unreadable: {
+    title: 'Your data could not be loaded',
+    text: 'The browser database returned an error while reading your sites.'
+  },
+  migrationFailed: {
+    title: 'Your data could not be upgraded',
+    text: 'Your data is from an older version and the upgrade did not finish. Nothing was changed.'
+  },
+  invalid: {
+    title: 'Your data looks damaged',
+    text: 'Some records are missing required fields. Nothing was changed yet.'
+  }
+};
+
+class RecoveryScreen {
+  constructor() {
+    this.element = null;
+    this.issue = null;
+    this.backups = [];
+    this.busy = false;
+  }
+
+  /**
+   * Build the overlay the first time it is needed
+   */
+  ensureCreated() {
+    if (this.element) return;
+
+    this.element = document.createElement('div');
+    this.element.className = 'lock-screen recovery-screen';
+    this.element.id = 'recovery-screen';
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-modal', 'true');
+    this.element.setAttribute('aria-labelledby', 'recovery-screen-title');
+    this.element.hidden = true;
+    document.body.appendChild(this.element);
+
+    this.element.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button || this.busy) return;
+
+      if (button.dataset.action === 'repair-data') {
+        this.repair();
+      } else if (button.dataset.action === 'restore-backup') {
+        this.restore(button.dataset.id);
+      } else if (button.dataset.action === 'start-over') {
+        this.startOver();
+      }
+    });
+  }
+
+  /**
+   * Cover the app and list the ways out
+   * @param {Object} issue - From stateManager.getStartupIssue()
+   */
+  async show(issue) {
+    this.issue = issue;
+    this.ensureCreated();
+    this.backups = await this.loadBackups();
+    this.render();
+
+    this.element.hidden = false;
+    document.body.dataset.locked = 'true';
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * Render the panel for the current issue
+   */
+  render() {
+    const message = MESSAGES[this.issue.reason] || MESSAGES.unreadable;
+    const canRepair = this.issue.reason !== 'unreadable';
+
+    this.element.innerHTML = `
+      <div class="lock-screen__panel recovery-screen__panel">
+        <span class="lock-screen__icon" aria-hidden="true">🩹</span>
+        <h2 id="recovery-screen-title">${message.title}</h2>
+        <p class="lock-screen__reason">${message.text}</p>
+        ${this.renderErrors()}
+
+        ${canRepair ? `
+          <button type="button" class="btn btn--primary" data-action="repair-data">Repair Data</button>
+          <span class="field__hint">A backup is taken first. Sites and credentials missing required fields are removed.</span>
+        ` : ''}
+
+        <h3 class="recovery-screen__heading">Backups</h3>
+        ${this.renderBackups()}
+
+        <button type="button" class="btn btn--danger" data-action="start-over">Start Over</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the validation or load errors
+   */
+  renderErrors() {
+    const errors = this.issue.errors || [];
+    if (errors.length === 0) return '';
+
+    const shown = errors.slice(0, MAX_ERRORS_SHOWN).map(error => `<li>${sanitizeHTML(error)}</li>`).join('');
+    const more = errors.length > MAX_ERRORS_SHOWN
+      ? `<li>and ${errors.length - MAX_ERRORS_SHOWN} more</li>`
+      : '';
+
+    return `<ul class="recovery-screen__errors">${shown}${more}</ul>`;
+  }
+
+  /**
+   * Read the backup list, treating an unreadable store as empty
+   */
+  async loadBackups() {
+    try {
+      return await stateManager.getBackups();
+    } catch (error) {
+      console.error('Could not list backups:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Render the stored backups
+   */
+  renderBackups() {
+    const backups = this.backups;
+    if (backups.length === 0) {
+      return '<p class="lock-screen__reason">No backups have been taken yet.</p>';
+    }
+
+    return `
+      <ul class="archive-list recovery-screen__backups">
+        ${backups.map(backup => `
+          <li class="archive-item">
+            <div class="archive-item__info">
+              <strong class="archive-item__name">${sanitizeHTML(this.formatTimestamp(backup.createdAt))}</strong>
+              <span class="archive-item__meta">
+                Version ${sanitizeHTML(String(backup.version))} · ${backup.sites} site${backup.sites === 1 ? '' : 's'}
+              </span>
+            </div>
+            <button type="button" class="btn btn--ghost btn--sm" data-action="restore-backup" data-id="${sanitizeHTML(backup.id)}">Restore</button>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Show a backup time as date and time of day
+   */
+  formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return 'Unknown date';
+
+    return `${formatDate(date)} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  }
+
+  /**
+   * Repair the loaded data and start the app
+   */
+  async repair() {
+    await this.run(() => stateManager.repairData(), 'Repair did not fix every problem.');
+  }
+
+  /**
+   * Replace the stored data with a backup and start the app
+   */
+  async restore(id) {
+    const backup = this.backups.find(entry => entry.id === id);
+    if (!backup) return;
+
+    if (!confirm(`Replace your stored data with the backup from ${this.formatTimestamp(backup.createdAt)}?`)) return;
+
+    await this.run(() => stateManager.restoreBackup(id), 'That backup is damaged too.');
+  }
+
+  /**
+   * Delete everything and start with an empty dashboard
+   * Backups are kept, so one can still be restored later
+   */
+  async startOver() {
+    if (!confirm('Delete all stored data, including your master password, and start with an empty dashboard?')) return;
+
+    await this.run(async () => {
+      await stateManager.clearAllData();
+      return { valid: true, errors: [] };
+    }, 'Could not clear your data.');
+  }
+
+  /**
+   * Run a recovery action, reloading the app once it succeeds
+   */
+  async run(action, failureMessage) {
+    this.busy = true;
+    this.element.querySelectorAll('button').forEach(button => { button.disabled = true; });
+
+    try {
+      const result = await action();
+      if (result.valid) {
+        window.location.reload();
+        return;
+      }
+
+      this.issue = { ...this.issue, errors: result.errors };
+      toast.error(failureMessage);
+    } catch (error) {
+      console.error('Recovery action failed:', error);
+      toast.error(failureMessage);
+    }
+
+    this.busy = false;
+    this.render();
+  }
+}
+
+// Export singleton instance
+export const recoveryScreen = new RecoveryScreen();
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * Auto-Lock Service
+ * Locks the vault after a period of inactivity or while the tab stays hidden
+ */
+
+import { stateManager } from '../../core/state.js';
+import { CONFIG, EVENTS } from '../../config.js';
+import { throttle } from '../../shared/constants.js';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart', 'scroll'];
+
+class AutoLockService {
+  constructor() {
+    this.idleTimer = null;
+    this.hiddenTimer = null;
+    this.hiddenAt = null;
+    this.running = false;
+    this.lockReason = null;
+
+    this.handleActivity = throttle(() => this.resetIdleTimer(), 1000);
+    this.handleVisibilityChange = () => this.onVisibilityChange();
+  }
+
+  /**
+   * Start watching while the vault is unlocked
+   */
+  init() {
+    stateManager.on(EVENTS.VAULT_UNLOCKED, () => this.start());
+    stateManager.on(EVENTS.VAULT_LOCKED, () => this.stop());
+
+    if (stateManager.isVaultEnabled() && !stateManager.isVaultLocked()) {
+      this.start();
+    }
+  }
+
+  /**
+   * Attach activity listeners and arm the idle timer
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.lockReason = null;
+
+    ACTIVITY_EVENTS.forEach(type => {
+      document.addEventListener(type, this.handleActivity, { passive: true, capture: true });
+    });
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+    this.resetIdleTimer();
+  }
+
+  /**
+   * Detach listeners and clear timers
+   */
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+
+    ACTIVITY_EVENTS.forEach(type => {
+      document.removeEventListener(type, this.handleActivity, { capture: true });
+    });
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+    clearTimeout(this.idleTimer);
+    clearTimeout(this.hiddenTimer);
+    this.idleTimer = null;
+    this.hiddenTimer = null;
+    this.hiddenAt = null;
+  }
+
+  /**
+   * Restart the inactivity countdown
+   */
+  resetIdleTimer() {
+    if (!this.running) return;
+
+    clearTimeout(this.idleTimer);
+    const minutes = this.getSetting('autoLockMinutes');
+    if (minutes > 0) {
+      this.idleTimer = setTimeout(() => this.lock('inactivity'), minutes * 60 * 1000);
+    }
+  }
+
+  /**
+   * Track how long the tab has been hidden
+   */
+  onVisibilityChange() {
+    const minutes = this.getSetting('lockWhenHiddenMinutes');
+
+    if (document.hidden) {
+      this.hiddenAt = Date.now();
+      if (minutes > 0) {
+        this.hiddenTimer = setTimeout(() => this.lock('hidden'), minutes * 60 * 1000);
+      }
+      return;
+    }
+
+    clearTimeout(this.hiddenTimer);
+    this.hiddenTimer = null;
+
+    // Background timers can be throttled, so check elapsed time on return too
+    if (this.hiddenAt && minutes > 0 && Date.now() - this.hiddenAt >= minutes * 60 * 1000) {
+      this.lock('hidden');
+    } else {
+      this.resetIdleTimer();
+    }
+    this.hiddenAt = null;
+  }
+
+  /**
+   * Lock the vault
+   */
+  async lock(reason) {
+    if (!this.running) return;
+
+    this.lockReason = reason;
+    await stateManager.lockVault();
+  }
+
+  /**
+   * Read a security setting, falling back to the config default
+   */
+  getSetting(key) {
+    const security = stateManager.getSettings().security || {};
+    return Number(security[key] ?? CONFIG.security[key]) || 0;
+  }
+}
+
+// Export singleton instance
+export const autoLockService = new AutoLockService();
\ No newline at end of file
@@ -0,0 +1,61 @@
+/**
+ * Recovery Kit Service
+ * Builds the printable recovery sheet that holds the vault recovery key
+ */
+
+import { CONFIG } from '../../config.js';
+import { downloadFile, formatDate, sanitizeHTML } from '../../shared/constants.js';
+
+class RecoveryKitService {
+  /**
+   * Build a self-contained HTML sheet for printing or safe keeping
+   */
+  buildSheet(recoveryKey, createdAt = new Date()) {
+    const key = sanitizeHTML(recoveryKey);
+    const created = sanitizeHTML(formatDate(createdAt));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>DashOrg Recovery Kit</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 640px; margin: 40px auto; padding: 0 24px; color: #0f172a; }
+    h1 { font-size: 1.5rem; margin-bottom: 4px; }
+    .meta { color: #475569; font-size: 0.875rem; }
+    .key { font-family: monospace; font-size: 1.5rem; letter-spacing: 0.05em; padding: 20px; margin: 24px 0; border: 2px dashed #0f172a; border-radius: 8px; text-align: center; word-break: break-all; }
+    li { margin-bottom: 8px; }
+    .notes { height: 120px; border: 1px solid #cbd5e1; border-radius: 8px; margin-top: 8px; }
+    @media print { body { margin: 0 auto; } }
+  </style>
+</head>
+<body>
+  <h1>DashOrg Recovery Kit</h1>
+  <p class="meta">${sanitizeHTML(CONFIG.app.name)} &middot; Created ${created}</p>
+
+  <div class="key">${key}</div>
+
+  <ol>
+    <li>If you forget your master password, choose <strong>Use recovery key</strong> on the lock screen and enter this key.</li>
+    <li>You will be asked to set a new master password. This recovery key then stops working &mdash; create a new kit afterwards.</li>
+    <li>Changing your master password also replaces the vault key, so create a new kit after every change.</li>
+    <li>Anyone with this key can read your credentials. Print it, store it offline and delete the downloaded file.</li>
+  </ol>
+
+  <p><strong>Where I keep this sheet:</strong></p>
+  <div class="notes"></div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Download the recovery sheet through the browser
+   */
+  download(recoveryKey, createdAt = new Date()) {
+    const date = new Date(createdAt).toISOString().split('T')[0];
+    downloadFile(this.buildSheet(recoveryKey, createdAt), `dashorg-recovery-kit-${date}.html`, 'text/html');
+  }
+}
+
+// Export singleton instance
+export const recoveryKitService = new RecoveryKitService();
\ No newline at end of file
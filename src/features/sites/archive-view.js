@@ -0,0 +1,185 @@
+/**
+ * Archive View
+ * Lists archived sites with restore, permanent delete and the retention setting
+ */
+
+import { Modal } from '../../shared/components/modal.js';
+import { toast } from '../../shared/components/toast.js';
+import { sitesService } from './sites.service.js';
+import { stateManager } from '../../core/state.js';
+import { EVENTS } from '../../config.js';
+import { formatDate, getRelativeTime, sanitizeHTML } from '../../shared/constants.js';
+
+const MODAL_ID = 'archive-modal';
+
+class ArchiveView {
+  constructor() {
+    this.modal = new Modal(MODAL_ID);
+  }
+
+  /**
+   * Build the modal the first time it is needed
+   */
+  ensureCreated() {
+    if (this.modal.element) return;
+
+    this.modal.create('🗄️ Archive', `
+      <form class="archive-settings" data-archive-settings>
+        <label class="field__label" for="archive-retention-days">Delete archived sites after</label>
+        <div class="archive-settings__row">
+          <input type="number" id="archive-retention-days" name="retention-days" min="0" max="3650" step="1" />
+          <span>days</span>
+          <button type="submit" class="btn btn--ghost btn--sm">Save</button>
+        </div>
+        <span class="field__hint">Use 0 to keep archived sites until you delete them.</span>
+      </form>
+      <ul class="archive-list" data-archive-list></ul>
+    `, `
+      <button type="button" class="btn btn--danger" data-action="empty-archive">Empty Archive</button>
+      <button type="button" class="btn btn--ghost" data-close-modal>Close</button>
+    `);
+
+    this.attachListeners();
+
+    // Keep the list current while it is open (restores, purges, other edits)
+    stateManager.on(EVENTS.STATE_CHANGED, () => {
+      if (this.modal.isOpen) this.render();
+    });
+  }
+
+  /**
+   * Wire up the list actions and the retention form
+   */
+  attachListeners() {
+    const element = this.modal.element;
+
+    element.querySelector('[data-archive-list]').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      const siteId = button.closest('[data-site-id]').dataset.siteId;
+      if (button.dataset.action === 'restore-site') {
+        this.restore(siteId);
+      } else if (button.dataset.action === 'purge-site') {
+        this.purge(siteId);
+      }
+    });
+
+    element.querySelector('[data-action="empty-archive"]').addEventListener('click', () => this.emptyArchive());
+
+    element.querySelector('[data-archive-settings]').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const days = e.target.querySelector('[name="retention-days"]').value;
+      const purged = sitesService.setArchiveRetentionDays(days);
+
+      toast.success(purged > 0
+        ? `Retention saved, ${purged} expired site${purged === 1 ? '' : 's'} deleted`
+        : 'Retention saved', 2000);
+    });
+  }
+
+  /**
+   * Open the archive
+   */
+  open() {
+    this.ensureCreated();
+    this.modal.element.querySelector('[name="retention-days"]').value = sitesService.getArchiveRetentionDays();
+    this.render();
+    this.modal.open();
+  }
+
+  /**
+   * Close the archive
+   */
+  close() {
+    if (this.modal.isOpen) {
+      this.modal.close();
+    }
+  }
+
+  /**
+   * Render the archived sites
+   */
+  render() {
+    const list = this.modal.element.querySelector('[data-archive-list]');
+    const sites = sitesService.getArchivedSites();
+
+    this.modal.element.querySelector('[data-action="empty-archive"]').disabled = sites.length === 0;
+
+    if (sites.length === 0) {
+      list.innerHTML = `
+        <li class="empty-state">
+          <span class="empty-state__icon">🗄️</span>
+          <h3>Archive is empty</h3>
+          <p>Deleted sites are kept here so they can be restored</p>
+        </li>
+      `;
+      return;
+    }
+
+    list.innerHTML = sites.map(site => this.renderItem(site)).join('');
+  }
+
+  /**
+   * Render one archived site
+   */
+  renderItem(site) {
+    const purgeDate = sitesService.getPurgeDate(site);
+    const count = site.credentials.length;
+
+    return `
+      <li class="archive-item" data-site-id="${sanitizeHTML(site.id)}">
+        <div class="archive-item__info">
+          <strong class="archive-item__name">${sanitizeHTML(site.name)}</strong>
+          <span class="archive-item__meta">
+            ${count} credential${count === 1 ? '' : 's'} · archived ${sanitizeHTML(getRelativeTime(site.archivedAt))}
+            ${purgeDate ? ` · deleted on ${sanitizeHTML(formatDate(purgeDate))}` : ''}
+          </span>
+        </div>
+        <div class="inline-stack">
+          <button type="button" class="btn btn--ghost btn--sm" data-action="restore-site">Restore</button>
+          <button type="button" class="btn-icon" data-action="purge-site" title="Delete permanently">🗑</button>
+        </div>
+      </li>
+    `;
+  }
+
+  /**
+   * Put an archived site back on the dashboard
+   */
+  restore(siteId) {
+    const site = sitesService.getSite(siteId);
+    if (!site || !sitesService.restoreSite(siteId)) return;
+
+    toast.success(`Restored "${sanitizeHTML(site.name)}"`);
+  }
+
+  /**
+   * Delete an archived site for good
+   */
+  purge(siteId) {
+    const site = sitesService.getSite(siteId);
+    if (!site) return;
+
+    if (confirm(`Permanently delete "${site.name}" and all its credentials?`)) {
+      sitesService.deleteSite(siteId);
+      toast.success('Site deleted permanently');
+    }
+  }
+
+  /**
+   * Delete every archived site for good
+   */
+  emptyArchive() {
+    const count = sitesService.getArchivedSites().length;
+    if (count === 0) return;
+
+    if (confirm(`Permanently delete ${count} archived site${count === 1 ? '' : 's'}?`)) {
+      sitesService.emptyArchive();
+      toast.success('Archive emptied');
+    }
+  }
+}
+
+// Export singleton instance
+export const archiveView = new ArchiveView();
\ No newline at end of file
@@ -0,0 +1,497 @@
+/**
+ * Site Editor
+ * Modal form for editing a site's settings and moving its credentials
+ */
+
+import { Modal } from '../../shared/components/modal.js';
+import { toast } from '../../shared/components/toast.js';
+import { sitesService, SITE_COLORS } from './sites.service.js';
+import { stateManager } from '../../core/state.js';
+import { cadence, CADENCE_TYPES } from '../../core/cadence.js';
+import { getFaviconURL, isValidURL } from '../../shared/constants.js';
+import { CONFIG } from '../../config.js';
+
+const MODAL_ID = 'site-editor-modal';
+
+const PRIORITY_LEVELS = [
+  { value: 0, label: 'Normal' },
+  { value: 1, label: 'High' },
+  { value: 2, label: 'Critical' }
+];
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const createOption = (label, value) => {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  return option;
+};
+
+class SiteEditor {
+  constructor() {
+    this.modal = new Modal(MODAL_ID);
+    this.siteId = null;
+  }
+
+  /**
+   * Build the modal the first time it is needed
+   */
+  ensureCreated() {
+    if (this.modal.element) return;
+
+    this.modal.create('Site Settings', this.renderForm(), `
+      <button type="button" class="btn btn--ghost" data-close-modal>Cancel</button>
+      <button type="submit" class="btn btn--primary" form="site-editor-form">
+        <span>✓</span> Save Changes
+      </button>
+    `);
+
+    this.form = this.modal.element.querySelector('#site-editor-form');
+    this.attachListeners();
+    this.modal.onClose(() => this.reset());
+  }
+
+  /**
+   * Form markup (values are filled in through the DOM, never interpolated)
+   */
+  renderForm() {
+    const cadenceOptions = Object.values(CADENCE_TYPES)
+      .map(type => `<option value="${type}">${type === CADENCE_TYPES.CUSTOM ? 'Custom interval' : cadence.describe(type)}</option>`)
+      .join('');
+
+    const priorityOptions = PRIORITY_LEVELS
+      .map(level => `<option value="${level.value}">${level.label}</option>`)
+      .join('');
+
+    const swatches = SITE_COLORS
+      .map(color => `<button type="button" class="color-swatch" data-color="${color}" style="background: ${color}" title="${color}"></button>`)
+      .join('');
+
+    return `
+      <form id="site-editor-form" novalidate>
+        <div class="form-section">
+          <h3 class="form-section__title">Site</h3>
+
+          <div class="form-row">
+            <div class="field" data-field="name">
+              <label class="field__label" for="site-editor-name">
+                Site Name <span class="required">*</span>
+              </label>
+              <input type="text" id="site-editor-name" name="name" maxlength="80" autocomplete="off" />
+              <span class="field__error"></span>
+            </div>
+          </div>
+
+          <div class="form-row">
+            <div class="field" data-field="url">
+              <label class="field__label" for="site-editor-url">
+                Login URL <span class="required">*</span>
+              </label>
+              <div class="site-editor__url">
+                <img class="site-editor__favicon" alt="" width="20" height="20" hidden />
+                <input type="url" id="site-editor-url" name="url" autocomplete="off" />
+              </div>
+              <span class="field__error"></span>
+            </div>
+          </div>
+
+          <div class="form-row form-row--split">
+            <div class="field">
+              <label class="field__label" for="site-editor-category">Category</label>
+              <select id="site-editor-category" name="category"></select>
+            </div>
+
+            <div class="field">
+              <label class="field__label" for="site-editor-priority">Priority</label>
+              <select id="site-editor-priority" name="priority">
+                ${priorityOptions}
+              </select>
+            </div>
+          </div>
+
+          <div class="form-row">
+            <div class="field" data-field="tags">
+              <label class="field__label" for="site-editor-tags">Tags</label>
+              <input type="text" id="site-editor-tags" name="tags" placeholder="important, 2fa, work" autocomplete="off" />
+              <span class="field__hint">Comma-separated, up to ${CONFIG.limits.maxTagsPerSite}</span>
+              <span class="field__error"></span>
+            </div>
+          </div>
+
+          <div class="form-row">
+            <div class="field">
+              <label class="field__label" for="site-editor-color">Color</label>
+              <div class="color-picker">
+                ${swatches}
+                <input type="color" id="site-editor-color" name="color" title="Custom color" />
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div class="form-section">
+          <h3 class="form-section__title">Check-ins</h3>
+
+          <div class="form-row form-row--split">
+            <div class="field">
+              <label class="field__label" for="site-editor-cadence">Check-in Cadence</label>
+              <select id="site-editor-cadence" name="cadence">
+                ${cadenceOptions}
+              </select>
+            </div>
+
+            <div class="field" data-field="cadenceDays" data-cadence-days hidden>
+              <label class="field__label" for="site-editor-cadence-days">Every (days)</label>
+              <input type="number" id="site-editor-cadence-days" name="cadenceDays" min="1" max="365" step="1" value="3" />
+              <span class="field__error"></span>
+            </div>
+          </div>
+
+          <div class="form-row">
+            <div class="field">
+              <label class="field__label" for="site-editor-notes">Notes</label>
+              <textarea id="site-editor-notes" name="notes" rows="2"></textarea>
+            </div>
+          </div>
+        </div>
+
+        <div class="form-section">
+          <h3 class="form-section__title">Credentials</h3>
+          <div class="site-editor__credentials" data-credentials></div>
+          <p class="field__hint" data-credentials-empty>This site has no credentials.</p>
+        </div>
+      </form>
+    `;
+  }
+
+  /**
+   * Wire up form controls
+   */
+  attachListeners() {
+    const form = this.form;
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+
+    form.querySelector('[name="url"]').addEventListener('input', () => this.updateFavicon());
+
+    form.querySelector('[name="cadence"]').addEventListener('change', (e) => {
+      form.querySelector('[data-cadence-days]').hidden = e.target.value !== CADENCE_TYPES.CUSTOM;
+    });
+
+    form.querySelectorAll('.color-swatch').forEach(swatch => {
+      swatch.addEventListener('click', () => this.setColor(swatch.dataset.color));
+    });
+
+    form.querySelector('[name="color"]').addEventListener('input', (e) => this.setColor(e.target.value));
+
+    // Clear a field's error as soon as it is edited
+    form.addEventListener('input', (e) => {
+      const field = e.target.closest('[data-field]');
+      if (field) this.setError(field, '');
+    });
+
+    form.addEventListener('change', (e) => {
+      const field = e.target.closest('[data-field]');
+      if (field) this.setError(field, '');
+    });
+  }
+
+  /**
+   * Open the editor for a site
+   */
+  open(siteId) {
+    const site = sitesService.getSite(siteId);
+    if (!site) return false;
+
+    this.ensureCreated();
+    this.siteId = siteId;
+
+    this.modal.updateTitle(`Settings · ${site.name}`);
+    this.fill(site);
+    this.modal.open();
+    return true;
+  }
+
+  /**
+   * Close the editor
+   */
+  close() {
+    if (this.modal.isOpen) {
+      this.modal.close();
+    }
+  }
+
+  /**
+   * Populate the form from a site
+   */
+  fill(site) {
+    const form = this.form;
+
+    form.querySelector('[name="name"]').value = site.name || '';
+    form.querySelector('[name="url"]').value = site.url || '';
+    form.querySelector('[name="tags"]').value = (site.tags || []).join(', ');
+    form.querySelector('[name="notes"]').value = site.notes || '';
+    form.querySelector('[name="priority"]').value = String(this.normalizePriority(site.priority));
+
+    this.fillCategories(site.category);
+    this.setColor(HEX_COLOR.test(site.color) ? site.color : SITE_COLORS[0]);
+
+    const frequency = sitesService.getSiteCadence(site);
+    form.querySelector('[name="cadence"]').value = frequency.type;
+    form.querySelector('[name="cadenceDays"]').value = frequency.everyDays || 3;
+    form.querySelector('[data-cadence-days]').hidden = frequency.type !== CADENCE_TYPES.CUSTOM;
+
+    this.fillCredentials(site);
+    form.querySelectorAll('[data-field]').forEach(field => this.setError(field, ''));
+    this.updateFavicon();
+  }
+
+  /**
+   * Fill the category select, keeping values that predate category ids
+   */
+  fillCategories(current) {
+    const select = this.form.querySelector('[name="category"]');
+    const categories = stateManager.getCategories();
+
+    const options = [createOption('No category', '')];
+    categories.forEach(category => {
+      options.push(createOption(`${category.icon || ''} ${category.name}`.trim(), category.id));
+    });
+
+    // Sites added with a category slug ('finance') map onto the matching category
+    const match = categories.find(c => c.id === current)
+      || categories.find(c => c.name.toLowerCase() === String(current || '').toLowerCase());
+
+    if (current && !match) {
+      options.push(createOption(current, current));
+    }
+
+    select.replaceChildren(...options);
+    select.value = match ? match.id : (current || '');
+  }
+
+  /**
+   * List the site's credentials with a destination picker for each
+   */
+  fillCredentials(site) {
+    const container = this.form.querySelector('[data-credentials]');
+    const targets = sitesService.getAllSites()
+      .filter(other => other.id !== site.id)
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const rows = site.credentials.map(credential => {
+      const row = document.createElement('div');
+      row.className = 'site-editor__credential';
+      row.dataset.field = 'move';
+      row.dataset.credentialId = credential.id;
+      row.innerHTML = `
+        <span class="site-editor__credential-label"></span>
+        <select name="move-to" aria-label="Move credential"></select>
+        <span class="field__error"></span>
+      `;
+
+      row.querySelector('.site-editor__credential-label').textContent = credential.label;
+
+      const select = row.querySelector('[name="move-to"]');
+      select.append(createOption('Keep on this site', ''));
+      targets.forEach(target => select.append(createOption(`Move to ${target.name}`, target.id)));
+      select.disabled = targets.length === 0;
+
+      return row;
+    });
+
+    container.replaceChildren(...rows);
+    this.form.querySelector('[data-credentials-empty]').hidden = rows.length > 0;
+  }
+
+  /**
+   * Select a color swatch (or the custom color input)
+   */
+  setColor(color) {
+    const input = this.form.querySelector('[name="color"]');
+    input.value = color.toLowerCase();
+
+    this.form.querySelectorAll('.color-swatch').forEach(swatch => {
+      swatch.classList.toggle('color-swatch--active', swatch.dataset.color.toLowerCase() === input.value);
+    });
+  }
+
+  /**
+   * Preview the favicon the current URL will use
+   */
+  updateFavicon() {
+    const url = this.form.querySelector('[name="url"]').value.trim();
+    const img = this.form.querySelector('.site-editor__favicon');
+    const favicon = isValidURL(url) ? getFaviconURL(url) : null;
+
+    img.hidden = !favicon;
+    img.onerror = () => { img.hidden = true; };
+    if (favicon) {
+      img.src = favicon;
+    } else {
+      img.removeAttribute('src');
+    }
+  }
+
+  /**
+   * Clamp stored priorities to the levels the editor offers
+   */
+  normalizePriority(priority) {
+    const value = Number(priority) || 0;
+    return Math.min(Math.max(value, 0), PRIORITY_LEVELS.length - 1);
+  }
+
+  /**
+   * Show or clear a validation message on a field
+   */
+  setError(field, message) {
+    field.classList.toggle('field--invalid', Boolean(message));
+    const error = field.querySelector('.field__error');
+    if (error) error.textContent = message;
+  }
+
+  /**
+   * Read and validate the form
+   * @returns {Object|null} { updates, moves } or null if invalid
+   */
+  collect() {
+    const form = this.form;
+    const value = (name) => form.querySelector(`[name="${name}"]`).value;
+    const fieldFor = (name) => form.querySelector(`[data-field="${name}"]`);
+    const site = sitesService.getSite(this.siteId);
+    let valid = true;
+
+    const fail = (field, message) => {
+      this.setError(field, message);
+      valid = false;
+    };
+
+    const name = value('name').trim();
+    const url = value('url').trim();
+    const cadenceType = value('cadence');
+    const cadenceDays = parseInt(value('cadenceDays'), 10);
+
+    if (!name) fail(fieldFor('name'), 'Site name is required');
+
+    if (!url) {
+      fail(fieldFor('url'), 'Login URL is required');
+    } else if (!isValidURL(url) || !/^https?:\/\//i.test(url)) {
+      fail(fieldFor('url'), 'Enter a full URL starting with http:// or https://');
+    }
+
+    const tags = [...new Set(value('tags').split(',').map(t => t.trim()).filter(t => t))];
+    if (tags.length > CONFIG.limits.maxTagsPerSite) {
+      fail(fieldFor('tags'), `Use at most ${CONFIG.limits.maxTagsPerSite} tags`);
+    }
+
+    if (cadenceType === CADENCE_TYPES.CUSTOM && !(cadenceDays >= 1 && cadenceDays <= 365)) {
+      fail(fieldFor('cadenceDays'), 'Choose between 1 and 365 days');
+    }
+
+    // Check moves against each destination as it fills up
+    const moves = [];
+    const incoming = new Map();
+    form.querySelectorAll('.site-editor__credential').forEach(row => {
+      const toSiteId = row.querySelector('[name="move-to"]').value;
+      if (!toSiteId) return;
+
+      const credential = site.credentials.find(c => c.id === row.dataset.credentialId);
+      if (!credential) return;
+
+      const pending = incoming.get(toSiteId) || [];
+      const error = sitesService.getMoveError(credential, toSiteId);
+      const target = sitesService.getSite(toSiteId);
+
+      if (error) {
+        fail(row, error);
+      } else if (target.credentials.length + pending.length >= CONFIG.limits.maxCredentialsPerSite) {
+        fail(row, `${target.name} can't take more than ${CONFIG.limits.maxCredentialsPerSite} credentials`);
+      } else if (pending.some(label => label === (credential.label || '').toLowerCase())) {
+        fail(row, `Another credential labelled "${credential.label}" is moving to ${target.name}`);
+      }
+
+      incoming.set(toSiteId, [...pending, (credential.label || '').toLowerCase()]);
+      moves.push({ credentialId: credential.id, toSiteId });
+    });
+
+    if (!valid) return null;
+
+    return {
+      updates: {
+        name,
+        url,
+        category: value('category') || null,
+        tags,
+        color: value('color'),
+        priority: Number(value('priority')),
+        notes: value('notes').trim(),
+        metadata: {
+          ...site.metadata,
+          loginFrequency: cadence.normalize({ type: cadenceType, everyDays: cadenceDays })
+        }
+      },
+      moves
+    };
+  }
+
+  /**
+   * Validate and save through the sites service
+   */
+  save() {
+    if (!sitesService.getSite(this.siteId)) {
+      toast.error('This site no longer exists');
+      this.close();
+      return;
+    }
+
+    const result = this.collect();
+    if (!result) {
+      const firstError = this.form.querySelector('.field--invalid input, .field--invalid select');
+      if (firstError) firstError.focus();
+      return;
+    }
+
+    // Field changes and moves undo together
+    const moved = stateManager.recordChange('Edit site settings', () => {
+      if (!sitesService.updateSite(this.siteId, result.updates)) return null;
+
+      return result.moves.filter(move =>
+        sitesService.moveCredential(this.siteId, move.credentialId, move.toSiteId)
+      ).length;
+    });
+
+    if (moved === null) {
+      toast.error('Could not save the site');
+      return;
+    }
+
+    this.close();
+
+    if (moved < result.moves.length) {
+      toast.warning(`Site saved, but ${result.moves.length - moved} credential(s) could not be moved`);
+    } else if (moved > 0) {
+      toast.success(`Site saved and ${moved} credential${moved === 1 ? '' : 's'} moved`);
+    } else {
+      toast.success('Site updated successfully!');
+    }
+  }
+
+  /**
+   * Forget the edited site
+   */
+  reset() {
+    this.siteId = null;
+
+    if (this.form) {
+      this.form.reset();
+      this.form.querySelector('[data-credentials]').replaceChildren();
+    }
+  }
+}
+
+// Export singleton instance
+export const siteEditor = new SiteEditor();
\ No newline at end of file
@@ -4,14 +4,29 @@
  */
 
 import { stateManager } from '../../core/state.js';
+import { checkInDay } from '../../core/check-in-day.js';
+import { cadence } from '../../core/cadence.js';
 import { generateUUID, getFaviconURL } from '../../shared/constants.js';
+import { CONFIG } from '../../config.js';
+
+export const SITE_COLORS = [
+  '#3b82f6', '#8b5cf6', '#ec4899', '#f59e0b',
+  '#10b981', '#06b6d4', '#6366f1', '#ef4444'
+];
 
 class SitesService {
   /**
    * Create new site
    */
   createSite(siteData) {
-    const site = {
+    return stateManager.addSite(this.buildSite(siteData));
+  }
+
+  /**
+   * Build a site record with defaults, without saving it
+   */
+  buildSite(siteData) {
+    return {
       id: generateUUID(),
       name: siteData.name,
       url: siteData.url,
@@ -23,7 +38,7 @@ class SitesService {
       notes: siteData.notes || '',
       credentials: siteData.credentials || [],
       metadata: {
-        loginFrequency: 'daily',
+        loginFrequency: cadence.normalize(siteData.loginFrequency),
         importance: 'normal',
         lastIssue: null,
         averageCheckInTime: '09:00'
@@ -31,19 +46,53 @@ class SitesService {
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
-
-    return stateManager.addSite(site);
   }
 
   /**
-   * Update existing site
+   * Update existing site (a new URL also refreshes the favicon)
    */
   updateSite(id, updates) {
+    const site = this.getSite(id);
+    if (updates.url && site && updates.url !== site.url) {
+      updates = { ...updates, favicon: getFaviconURL(updates.url) };
+    }
+
     return stateManager.updateSite(id, updates);
   }
 
   /**
-   * Delete site
+   * Check whether a credential can move to another site
+   * @returns {string|null} Reason the move is not allowed, or null
+   */
+  getMoveError(credential, toSiteId) {
+    const target = this.getSite(toSiteId);
+    if (!target) return 'Site not found';
+
+    if (target.credentials.length >= CONFIG.limits.maxCredentialsPerSite) {
+      return `${target.name} already has ${CONFIG.limits.maxCredentialsPerSite} credentials`;
+    }
+
+    const label = (credential.label || '').toLowerCase();
+    if (target.credentials.some(c => (c.label || '').toLowerCase() === label)) {
+      return `${target.name} already has a credential labelled "${credential.label}"`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Move a credential between sites, keeping its check-in history
+   */
+  moveCredential(fromSiteId, credentialId, toSiteId) {
+    const site = this.getSite(fromSiteId);
+    const credential = site?.credentials.find(c => c.id === credentialId);
+    if (!credential || this.getMoveError(credential, toSiteId)) return false;
+
+    return stateManager.moveCredential(fromSiteId, credentialId, toSiteId);
+  }
+
+  /**
+   * Permanently delete site (use archiveSite for the recoverable delete)
    */
   deleteSite(id) {
     return stateManager.deleteSite(id);
@@ -102,7 +151,7 @@ class SitesService {
   }
 
   /**
-   * Get pending sites (not checked in today)
+   * Get pending sites (a credential is due)
    */
   getPendingSites() {
     const sites = this.getAllSites();
@@ -112,7 +161,7 @@ class SitesService {
   }
 
   /**
-   * Get completed sites (all credentials checked in today)
+   * Get completed sites (every credential checked in for its cadence)
    */
   getCompletedSites() {
     const sites = this.getAllSites();
@@ -122,16 +171,14 @@ class SitesService {
   }
 
   /**
-   * Check if site is complete today
+   * Check if no credential on the site is due today
    */
   isSiteCompleteToday(site) {
     if (!site.credentials || site.credentials.length === 0) {
       return false;
     }
 
-    return site.credentials.every(cred => 
-      cred.checkedInOn && this.isToday(cred.checkedInOn)
-    );
+    return site.credentials.every(cred => cadence.isSatisfied(site, cred));
   }
 
   /**
@@ -142,9 +189,7 @@ class SitesService {
       return 'empty';
     }
 
-    const checkedCount = site.credentials.filter(cred => 
-      cred.checkedInOn && this.isToday(cred.checkedInOn)
-    ).length;
+    const checkedCount = site.credentials.filter(cred => cadence.isSatisfied(site, cred)).length;
 
     if (checkedCount === 0) return 'pending';
     if (checkedCount === site.credentials.length) return 'done';
@@ -159,13 +204,37 @@ class SitesService {
       return 0;
     }
 
-    const checkedCount = site.credentials.filter(cred => 
-      cred.checkedInOn && this.isToday(cred.checkedInOn)
-    ).length;
+    const checkedCount = site.credentials.filter(cred => cadence.isSatisfied(site, cred)).length;
 
     return Math.round((checkedCount / site.credentials.length) * 100);
   }
 
+  /**
+   * Get the site's check-in cadence
+   */
+  getSiteCadence(site) {
+    return cadence.resolve(site);
+  }
+
+  /**
+   * Set the site's check-in cadence ('weekly' or { type: 'custom', everyDays })
+   */
+  setSiteCadence(id, frequency) {
+    const site = this.getSite(id);
+    if (!site) return null;
+
+    return this.updateSite(id, {
+      metadata: { ...site.metadata, loginFrequency: cadence.normalize(frequency) }
+    });
+  }
+
+  /**
+   * Get the earliest day any credential on the site is due
+   */
+  getNextDue(site) {
+    return cadence.getSiteNextDue(site);
+  }
+
   /**
    * Duplicate site
    */
@@ -194,20 +263,64 @@ class SitesService {
    * Archive site (soft delete)
    */
   archiveSite(id) {
-    return this.updateSite(id, {
+    return stateManager.recordChange('Delete site', () => this.updateSite(id, {
       archived: true,
       archivedAt: new Date().toISOString()
-    });
+    }));
   }
 
   /**
    * Restore archived site
    */
   restoreSite(id) {
-    return this.updateSite(id, {
+    return stateManager.recordChange('Restore site', () => this.updateSite(id, {
       archived: false,
       archivedAt: null
+    }));
+  }
+
+  /**
+   * Get archived sites, most recently archived first
+   */
+  getArchivedSites() {
+    return stateManager.getArchivedSites();
+  }
+
+  /**
+   * Days archived sites are kept before being purged (0 keeps them forever)
+   */
+  getArchiveRetentionDays() {
+    return stateManager.getSettings().archiveRetentionDays ?? CONFIG.archive.retentionDays;
+  }
+
+  /**
+   * Change the archive retention period and purge anything now past it
+   */
+  setArchiveRetentionDays(days) {
+    stateManager.updateSettings({ archiveRetentionDays: Math.max(0, Math.round(Number(days)) || 0) });
+    return stateManager.purgeArchivedSites();
+  }
+
+  /**
+   * Get when an archived site will be purged
+   * @returns {Date|null} Null if the site isn't archived or the archive is kept forever
+   */
+  getPurgeDate(site) {
+    const days = this.getArchiveRetentionDays();
+    if (!site?.archived || !site.archivedAt || !days) return null;
+
+    return new Date(Date.parse(site.archivedAt) + days * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Permanently delete every archived site
+   */
+  emptyArchive() {
+    const archived = this.getArchivedSites();
+    stateManager.recordChange('Empty archive', () => {
+      archived.forEach(site => this.deleteSite(site.id));
     });
+    return archived.length;
   }
 
   /**
@@ -271,20 +384,14 @@ class SitesService {
    * Get random color for site
    */
   getRandomColor() {
-    const colors = [
-      '#3b82f6', '#8b5cf6', '#ec4899', '#f59e0b',
-      '#10b981', '#06b6d4', '#6366f1', '#ef4444'
-    ];
-    return colors[Math.floor(Math.random() * colors.length)];
+    return SITE_COLORS[Math.floor(Math.random() * SITE_COLORS.length)];
   }
 
   /**
-   * Check if date is today
+   * Check if a timestamp falls in the current check-in day
    */
   isToday(dateString) {
-    const today = new Date().toISOString().split('T')[0];
-    const checkDate = new Date(dateString).toISOString().split('T')[0];
-    return today === checkDate;
+    return checkInDay.isToday(dateString);
   }
 
   /**
@@ -321,6 +428,7 @@ class SitesService {
     return {
       totalCredentials: credentials.length,
       checkedToday: checkIns.length,
+      nextDue: this.getNextDue(site),
       progress: this.getSiteProgress(site),
       status: this.getSiteStatus(site),
       lastUpdate: site.updatedAt,
@@ -6,16 +6,33 @@
 import { CONFIG, EVENTS } from './config.js';
 import { stateManager } from './core/state.js';
 import { storageService } from './core/storage.js';
+import { checkInDay } from './core/check-in-day.js';
+import { cadence, CADENCE_TYPES } from './core/cadence.js';
 import { sitesService } from './features/sites/sites.service.js';
 import { credentialsService } from './features/credentials/credentials.service.js';
+import { credentialEditor } from './features/credentials/credential-editor.js';
+import { totpService } from './features/credentials/totp.service.js';
+import { qrService } from './features/credentials/qr.service.js';
+import { qrView } from './features/credentials/qr-view.js';
+import { siteEditor } from './features/sites/site-editor.js';
+import { archiveView } from './features/sites/archive-view.js';
 import { analyticsService } from './features/analytics/analytics.service.js';
+import { autoLockService } from './features/security/auto-lock.service.js';
+import { recoveryKitService } from './features/security/recovery-kit.service.js';
+import { recoveryScreen } from './features/recovery/recovery-screen.js';
+import { backupService } from './features/backup/backup.service.js';
+import { backupView } from './features/backup/backup-view.js';
+import { importWizard } from './features/import/import-wizard.js';
+import { dataPanel } from './features/data/data-panel.js';
 import { toast } from './shared/components/toast.js';
-import { formatDate, debounce } from './shared/constants.js';
+import { formatDate, debounce, calculatePasswordStrength, sanitizeHTML } from './shared/constants.js';
 import { ComponentLoader } from './utils/component-loader.js';
 
 class App {
   constructor() {
     this.initialized = false;
+    this.pendingRecoveryKey = null;
+    this.totpTimer = null;
   }
 
   /**
@@ -28,9 +45,19 @@ class App {
       // Load modal components
       await ComponentLoader.loadComponent('src/components/add-site-modal.html', '#modal-container');
       await ComponentLoader.loadComponent('src/components/history-modal.html', '#modal-container');
+      await ComponentLoader.loadComponent('src/components/security-modal.html', '#modal-container');
+      await ComponentLoader.loadComponent('src/components/lock-screen.html', '#modal-container');
       
       // Initialize state
       await stateManager.init();
+
+      // Stored data failed to load, migrate or validate - offer repair or a backup instead
+      const startupIssue = stateManager.getStartupIssue();
+      if (startupIssue) {
+        console.warn('Stored data needs recovery:', startupIssue.errors);
+        recoveryScreen.show(startupIssue);
+        return;
+      }
       
       // Setup theme
       this.initTheme();
@@ -43,12 +70,27 @@ class App {
       
       // Setup modal listeners
       this.setupModalListeners();
+      this.setupSecurityModalListeners();
+      this.setupLockScreen();
       
       // Subscribe to state changes
       this.subscribeToEvents();
       
       // Update date display
       this.updateDate();
+      this.updateVaultIndicator();
+
+      // Start auto-lock and ask for the master password up front if required
+      autoLockService.init();
+      backupService.init();
+      this.startTotpTimer();
+      if (stateManager.isVaultLocked() && stateManager.getSettings().security?.requireAuthOnStart) {
+        this.showLockScreen('startup');
+      }
+
+      if (storageService.recoveredPasswordChange) {
+        toast.warning('A master password change was interrupted. Your previous master password is still active.', 0);
+      }
       
       this.initialized = true;
       console.log('✅ Application initialized successfully');
@@ -81,9 +123,22 @@ class App {
   render() {
     this.renderProgress();
     this.renderSites();
+    this.renderArchiveCount();
     this.updateAnalytics();
   }
 
+  /**
+   * Show how many sites are in the archive on the topbar button
+   */
+  renderArchiveCount() {
+    const badge = document.getElementById('archive-count');
+    if (!badge) return;
+
+    const count = stateManager.getArchivedSites().length;
+    badge.textContent = count;
+    badge.hidden = count === 0;
+  }
+
   /**
    * Render progress indicator
    */
@@ -134,6 +189,7 @@ class App {
     
     // Attach site-specific event listeners
     this.attachSiteEventListeners();
+    this.updateTotpCodes();
   }
 
   /**
@@ -142,27 +198,32 @@ class App {
   renderSiteCard(site) {
     const status = sitesService.getSiteStatus(site);
     const progress = sitesService.getSiteProgress(site);
+    const nextDue = sitesService.getNextDue(site);
     
     return `
-      <article class="site-card" data-site-id="${site.id}">
+      <article class="site-card" data-site-id="${sanitizeHTML(site.id)}"${this.getSiteColorStyle(site)}>
         <header class="site-card__header">
           <div class="site-card__title">
             <span class="site-card__icon">${this.getSiteIcon(site)}</span>
             <div>
-              <h3 class="site-card__name">${site.name}</h3>
-              <a class="site-card__url" href="${site.url}" target="_blank" rel="noopener noreferrer">Visit</a>
+              <h3 class="site-card__name">${sanitizeHTML(site.name)}</h3>
+              <a class="site-card__url" href="${sanitizeHTML(this.getSiteHref(site))}" target="_blank" rel="noopener noreferrer">Visit</a>
+              <span class="site-card__cadence">
+                ${cadence.describe(sitesService.getSiteCadence(site))}${nextDue ? ` · due ${cadence.describeDue(nextDue)}` : ''}
+              </span>
             </div>
           </div>
           <div class="inline-stack">
             <span class="status-pill" data-status="${status}">${this.getStatusLabel(status)}</span>
+            <button class="btn-icon" data-action="edit-site" title="Site settings">⚙️</button>
             <button class="btn-icon" data-action="reset-site" title="Reset site for today">↻</button>
-            <button class="btn-icon" data-action="delete-site" title="Delete site">🗑</button>
+            <button class="btn-icon" data-action="delete-site" title="Move to archive">🗑</button>
           </div>
         </header>
         
         ${site.tags && site.tags.length > 0 ? `
           <div class="site-card__tags">
-            ${site.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+            ${site.tags.map(tag => `<span class="tag">${sanitizeHTML(tag)}</span>`).join('')}
           </div>
         ` : ''}
         
@@ -174,7 +235,7 @@ class App {
         </div>
         
         <ul class="credentials-list">
-          ${site.credentials.map(cred => this.renderCredentialCard(site.id, cred)).join('')}
+          ${site.credentials.map(cred => this.renderCredentialCard(site, cred)).join('')}
         </ul>
       </article>
     `;
@@ -183,26 +244,39 @@ class App {
   /**
    * Render credential card
    */
-  renderCredentialCard(siteId, credential) {
-    const isChecked = credentialsService.isCheckedInToday(credential);
+  renderCredentialCard(site, credential) {
+    const siteId = sanitizeHTML(site.id);
+    const credentialId = sanitizeHTML(credential.id);
+    const isChecked = credentialsService.isUpToDate(site, credential);
     const buttonText = isChecked ? 'Checked ✓' : 'Check In';
     const buttonClass = isChecked ? 'btn--success' : 'btn--primary';
+    const isReadable = credentialsService.isReadable(credential);
+    const sealedText = credential.decryptionFailed ? '[Decryption Failed]' : '🔒 Locked';
 
     return `
       <li class="credential-card ${isChecked ? 'credential-card--checked' : ''}">
         <div class="credential-card__header">
-          <span class="credential-card__label">${credential.label}</span>
+          <span class="credential-card__label">${sanitizeHTML(credential.label)}</span>
           <div class="inline-stack">
             <button class="btn btn--tiny ${buttonClass}"
                     data-action="toggle-check"
                     data-site-id="${siteId}"
-                    data-credential-id="${credential.id}">
+                    data-credential-id="${credentialId}">
               ${buttonText}
             </button>
+            ${isReadable && qrService.isEnabled() ? `
+              <button class="btn-icon btn-icon--sm"
+                      data-action="share-credential-qr"
+                      data-site-id="${siteId}"
+                      data-credential-id="${credentialId}"
+                      title="Share as QR code">
+                📤
+              </button>
+            ` : ''}
             <button class="btn-icon btn-icon--sm"
                     data-action="edit-credential"
                     data-site-id="${siteId}"
-                    data-credential-id="${credential.id}"
+                    data-credential-id="${credentialId}"
                     title="Edit credential">
               ✏️
             </button>
@@ -211,11 +285,11 @@ class App {
         <div class="credential-card__body">
           <div class="credential-field">
             <span class="credential-field__label">Email</span>
-            <span class="credential-field__value">${credential.email}</span>
+            <span class="credential-field__value">${isReadable ? sanitizeHTML(credential.email) : sealedText}</span>
             <button class="btn--plain" 
                     data-action="copy-email"
                     data-site-id="${siteId}"
-                    data-credential-id="${credential.id}">Copy</button>
+                    data-credential-id="${credentialId}">Copy</button>
           </div>
           <div class="credential-field">
             <span class="credential-field__label">Password</span>
@@ -224,22 +298,49 @@ class App {
               <button class="btn--plain" 
                       data-action="toggle-password"
                       data-site-id="${siteId}"
-                      data-credential-id="${credential.id}">Show</button>
+                      data-credential-id="${credentialId}">Show</button>
               <button class="btn--plain" 
                       data-action="copy-password"
                       data-site-id="${siteId}"
-                      data-credential-id="${credential.id}">Copy</button>
+                      data-credential-id="${credentialId}">Copy</button>
             </div>
           </div>
-          ${credential.notes ? `
+          ${isReadable && totpService.getField(credential) ? `
+            <div class="credential-field credential-totp"
+                 data-totp
+                 data-site-id="${siteId}"
+                 data-credential-id="${credentialId}">
+              <span class="credential-field__label">Code</span>
+              <span class="credential-field__value">
+                <span class="credential-totp__code" data-totp-code>••• •••</span>
+                <span class="credential-totp__remaining" data-totp-remaining></span>
+              </span>
+              <div class="inline-stack">
+                ${qrService.isEnabled() ? `
+                  <button class="btn--plain"
+                          data-action="show-totp-qr"
+                          data-site-id="${siteId}"
+                          data-credential-id="${credentialId}">QR</button>
+                ` : ''}
+                <button class="btn--plain"
+                        data-action="copy-totp"
+                        data-site-id="${siteId}"
+                        data-credential-id="${credentialId}">Copy</button>
+              </div>
+            </div>
+          ` : ''}
+          ${isReadable && credential.notes ? `
             <div class="credential-notes">
-              <strong>Notes:</strong> ${credential.notes}
+              <strong>Notes:</strong> ${sanitizeHTML(credential.notes)}
             </div>
           ` : ''}
         </div>
         <div class="credential-card__footer">
           <span class="credential-last-check">
-            ${isChecked ? `Checked in ${formatDate(credential.checkedInOn)}` : 'Not checked in today'}
+            ${isChecked
+              ? `Checked in ${formatDate(credential.checkedInOn)} · next due ${cadence.describeDue(cadence.getNextDue(site, credential))}`
+              : 'Not checked in today'}
+            ${credential.loginFrequency ? ` · ${cadence.describe(credential.loginFrequency)}` : ''}
           </span>
         </div>
       </li>
@@ -256,6 +357,65 @@ class App {
       addSiteBtn.addEventListener('click', () => this.openAddSiteModal());
     }
 
+    // Security button
+    const securityBtn = document.querySelector('[data-action="open-security"]');
+    if (securityBtn) {
+      securityBtn.addEventListener('click', () => this.openSecurityModal());
+    }
+
+    // Archive button
+    const archiveBtn = document.querySelector('[data-action="open-archive"]');
+    if (archiveBtn) {
+      archiveBtn.addEventListener('click', () => archiveView.open());
+    }
+
+    // Backups button
+    const backupsBtn = document.querySelector('[data-action="open-backups"]');
+    if (backupsBtn) {
+      backupsBtn.addEventListener('click', () => backupView.open());
+    }
+
+    // Data button and export link
+    const dataBtn = document.querySelector('[data-action="open-data"]');
+    if (dataBtn) {
+      dataBtn.addEventListener('click', () => dataPanel.open());
+    }
+
+    const exportLink = document.querySelector('[data-action="export-data"]');
+    if (exportLink) {
+      exportLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        dataPanel.open();
+      });
+    }
+
+    // Import link
+    const importLink = document.querySelector('[data-action="import-data"]');
+    if (importLink) {
+      importLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        importWizard.open();
+      });
+    }
+
+    // Files dropped anywhere else on the page go to the import wizard
+    document.addEventListener('dragover', (e) => {
+      if (e.dataTransfer?.types?.includes('Files')) e.preventDefault();
+    });
+
+    document.addEventListener('drop', (e) => {
+      const file = e.dataTransfer?.files?.[0];
+      if (!file || e.defaultPrevented) return;
+
+      e.preventDefault();
+      if (stateManager.isVaultLocked()) {
+        toast.info('Unlock the vault before importing');
+        return;
+      }
+      dataPanel.close();
+      importWizard.open(file);
+    });
+
     // History button
     const historyBtn = document.querySelector('[data-action="view-history"]');
     if (historyBtn) {
@@ -330,6 +490,12 @@ class App {
       btn.addEventListener('click', () => this.closeHistoryModal());
     });
 
+    // Reset time and timezone from settings
+    const resetNote = document.getElementById('history-reset-time');
+    if (resetNote) {
+      resetNote.textContent = checkInDay.describeReset();
+    }
+
     // Show modal and render history
     modal.classList.add('modal--open');
     document.body.style.overflow = 'hidden';
@@ -344,17 +510,16 @@ class App {
     if (!content) return;
 
     const sites = stateManager.getSites();
-    let filterDate = new Date();
+    const today = checkInDay.today();
 
-    // Calculate filter date
+    // Calculate filter day
+    let filterDateStr = today;
     if (filter === 'yesterday') {
-      filterDate.setDate(filterDate.getDate() - 1);
+      filterDateStr = checkInDay.shiftDay(today, -1);
     } else if (filter === 'custom' && customDate) {
-      filterDate = new Date(customDate);
+      filterDateStr = customDate;
     }
 
-    const filterDateStr = filterDate.toISOString().split('T')[0];
-
     // Build history HTML
     let hasHistory = false;
     let historyHTML = '';
@@ -364,13 +529,11 @@ class App {
       const uncheckedCreds = [];
 
       site.credentials.forEach(cred => {
-        const credDate = cred.checkedInOn ? new Date(cred.checkedInOn).toISOString().split('T')[0] : null;
+        const credDate = cred.checkedInOn ? checkInDay.getDayKey(cred.checkedInOn) : null;
         
         if (filter === 'week' || filter === 'month') {
           const daysAgo = filter === 'week' ? 7 : 30;
-          const cutoffDate = new Date();
-          cutoffDate.setDate(cutoffDate.getDate() - daysAgo);
-          const cutoffStr = cutoffDate.toISOString().split('T')[0];
+          const cutoffStr = checkInDay.shiftDay(today, -daysAgo);
           
           if (credDate && credDate >= cutoffStr) {
             checkedCreds.push(cred);
@@ -397,20 +560,20 @@ class App {
             <div class="history-site-card__header">
               <div class="history-site-card__title">
                 <span>${isComplete ? '✅' : '⚠️'}</span>
-                ${site.name}
+                ${sanitizeHTML(site.name)}
               </div>
               <span class="history-site-card__status ${statusClass}">${statusText}</span>
             </div>
             <ul class="history-credential-list">
               ${checkedCreds.map(cred => `
                 <li class="history-credential-item history-credential-item--checked">
-                  <span class="history-credential-label">✓ ${cred.label}</span>
+                  <span class="history-credential-label">✓ ${sanitizeHTML(cred.label)}</span>
                   <span class="history-credential-time">${new Date(cred.checkedInOn).toLocaleTimeString()}</span>
                 </li>
               `).join('')}
               ${(filter !== 'week' && filter !== 'month') ? uncheckedCreds.map(cred => `
                 <li class="history-credential-item history-credential-item--unchecked">
-                  <span class="history-credential-label">✗ ${cred.label}</span>
+                  <span class="history-credential-label">✗ ${sanitizeHTML(cred.label)}</span>
                   <span class="history-credential-time">Not checked in</span>
                 </li>
               `).join('') : ''}
@@ -475,6 +638,32 @@ class App {
       });
     });
 
+    // Copy authenticator code
+    document.querySelectorAll('[data-action="copy-totp"]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const siteId = e.target.dataset.siteId;
+        const credentialId = e.target.dataset.credentialId;
+        this.copyTotpCode(siteId, credentialId);
+      });
+    });
+
+    // Authenticator and sharing QR codes
+    document.querySelectorAll('[data-action="show-totp-qr"]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const siteId = e.target.dataset.siteId;
+        const credentialId = e.target.dataset.credentialId;
+        this.showTotpQr(siteId, credentialId);
+      });
+    });
+
+    document.querySelectorAll('[data-action="share-credential-qr"]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const siteId = e.target.dataset.siteId;
+        const credentialId = e.target.dataset.credentialId;
+        this.shareCredentialQr(siteId, credentialId);
+      });
+    });
+
     // Toggle password visibility
     document.querySelectorAll('[data-action="toggle-password"]').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -484,6 +673,14 @@ class App {
       });
     });
 
+    // Edit site
+    document.querySelectorAll('[data-action="edit-site"]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const siteId = e.target.closest('[data-site-id]').dataset.siteId;
+        this.editSite(siteId);
+      });
+    });
+
     // Reset site
     document.querySelectorAll('[data-action="reset-site"]').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -511,35 +708,21 @@ class App {
   }
 
   /**
-   * Edit credential
+   * Edit site settings
    */
-  editCredential(siteId, credentialId) {
-    const site = sitesService.getSite(siteId);
-    if (!site) return;
+  editSite(siteId) {
+    if (!this.requireUnlocked()) return;
 
-    const credential = site.credentials.find(c => c.id === credentialId);
-    if (!credential) return;
-
-    const newEmail = prompt('Edit Email/Username:', credential.email);
-    if (newEmail === null) return;
-
-    const newPassword = prompt('Edit Password:', credential.password);
-    if (newPassword === null) return;
-
-    const newLabel = prompt('Edit Label:', credential.label);
-    if (newLabel === null) return;
-
-    const newNotes = prompt('Edit Notes (optional):', credential.notes || '');
-    if (newNotes === null) return;
+    siteEditor.open(siteId);
+  }
 
-    credential.email = newEmail.trim() || credential.email;
-    credential.password = newPassword.trim() || credential.password;
-    credential.label = newLabel.trim() || credential.label;
-    credential.notes = newNotes.trim();
+  /**
+   * Edit credential
+   */
+  editCredential(siteId, credentialId) {
+    if (!this.requireUnlocked()) return;
 
-    stateManager.updateSite(siteId, { credentials: site.credentials });
-    this.render();
-    toast.success('Credential updated successfully!');
+    credentialEditor.open(siteId, credentialId);
   }
 
   /**
@@ -553,6 +736,61 @@ class App {
     stateManager.on(EVENTS.CREDENTIAL_CHECKED, () => {
       toast.success('Checked in!', 1500);
     });
+
+    stateManager.on(EVENTS.DAILY_RESET, () => {
+      this.updateDate();
+      toast.info('A new check-in day has started');
+    });
+
+    stateManager.on(EVENTS.VAULT_LOCKED, (reason) => {
+      this.updateVaultIndicator();
+      this.closeAddSiteModal();
+      this.closeSecurityModal();
+      credentialEditor.close();
+      siteEditor.close();
+      archiveView.close();
+      backupView.close();
+      importWizard.close();
+      dataPanel.close();
+      qrView.close();
+      this.showLockScreen(reason || autoLockService.lockReason);
+    });
+
+    stateManager.on(EVENTS.VAULT_UNLOCKED, () => {
+      this.updateVaultIndicator();
+
+      // A recovery key unlock keeps the lock screen up until a new password is set
+      if (stateManager.needsNewMasterPassword()) {
+        this.showLockScreenStep('reset');
+      } else {
+        this.hideLockScreen();
+      }
+    });
+
+    stateManager.on(EVENTS.SYNC_CONFLICT, (conflicts) => {
+      const names = [...new Set(conflicts.map(conflict => conflict.name))];
+      const shown = names.slice(0, 3).map(name => `"${sanitizeHTML(name)}"`).join(', ');
+      const more = names.length > 3 ? ` and ${names.length - 3} more` : '';
+      toast.warning(`${shown}${more} also changed in another tab. Kept the other tab's version.`, 6000);
+    });
+
+    window.addEventListener('storage:importFailed', (e) => {
+      const [first, ...rest] = e.detail.errors;
+      const more = rest.length > 0 ? ` (and ${rest.length} more problem${rest.length === 1 ? '' : 's'})` : '';
+      toast.error(`Import failed: ${sanitizeHTML(first)}${more}`, 8000);
+    });
+
+    window.addEventListener('storage:exportFailed', (e) => {
+      toast.error(sanitizeHTML(e.detail.errors[0]));
+    });
+
+    window.addEventListener('storage:backupFailed', () => {
+      toast.error('Could not save a backup. Check browser storage settings.');
+    });
+
+    window.addEventListener('storage:writeFailed', () => {
+      toast.error('Could not save your last change. Check browser storage settings.');
+    });
   }
 
   /**
@@ -569,6 +807,8 @@ class App {
    * Copy email
    */
   async copyEmail(siteId, credentialId) {
+    if (!this.requireUnlocked()) return;
+
     const success = await credentialsService.copyEmail(siteId, credentialId);
     if (success) {
       toast.success('Email copied to clipboard!', 2000);
@@ -581,6 +821,8 @@ class App {
    * Copy password
    */
   async copyPassword(siteId, credentialId) {
+    if (!this.requireUnlocked()) return;
+
     const success = await credentialsService.copyPassword(siteId, credentialId);
     if (success) {
       toast.success('Password copied! Will clear in 30 seconds.', 2000);
@@ -589,12 +831,76 @@ class App {
     }
   }
 
+  /**
+   * Copy authenticator code
+   */
+  async copyTotpCode(siteId, credentialId) {
+    if (!this.requireUnlocked()) return;
+
+    const success = await credentialsService.copyTotpCode(siteId, credentialId);
+    if (success) {
+      toast.success(`Code copied! Will clear in ${CONFIG.security.clipboardClearSeconds} seconds.`, 2000);
+    } else {
+      toast.error('Failed to copy code');
+    }
+  }
+
+  /**
+   * Show a credential's authenticator key as a QR code
+   */
+  showTotpQr(siteId, credentialId) {
+    if (!this.requireUnlocked()) return;
+
+    const credential = credentialsService.getCredential(siteId, credentialId);
+    if (credential) {
+      qrView.openTotp(stateManager.getSite(siteId), credential);
+    }
+  }
+
+  /**
+   * Show a credential's login as a QR code
+   */
+  shareCredentialQr(siteId, credentialId) {
+    if (!this.requireUnlocked()) return;
+
+    const credential = credentialsService.getCredential(siteId, credentialId);
+    if (credential) {
+      qrView.openShare(stateManager.getSite(siteId), credential);
+    }
+  }
+
+  /**
+   * Refresh authenticator codes every second
+   */
+  startTotpTimer() {
+    if (this.totpTimer) return;
+    this.totpTimer = setInterval(() => this.updateTotpCodes(), 1000);
+  }
+
+  /**
+   * Show the current code and seconds left on each authenticator field
+   */
+  async updateTotpCodes() {
+    for (const element of document.querySelectorAll('[data-totp]')) {
+      const credential = credentialsService.getCredential(element.dataset.siteId, element.dataset.credentialId);
+      const field = credentialsService.isReadable(credential) ? totpService.getField(credential) : null;
+      const totp = field ? await totpService.generate(field.value) : null;
+      if (!totp) continue;
+
+      element.querySelector('[data-totp-code]').textContent = totpService.formatCode(totp.code);
+      element.querySelector('[data-totp-remaining]').textContent = `${totp.remaining}s`;
+      element.classList.toggle('credential-totp--expiring', totp.remaining <= 5);
+    }
+  }
+
   /**
    * Toggle password visibility
    */
   togglePassword(btn, siteId, credentialId) {
+    if (!this.requireUnlocked()) return;
+
     const credential = credentialsService.getCredential(siteId, credentialId);
-    if (!credential) return;
+    if (!credentialsService.isReadable(credential)) return;
 
     const passwordField = btn.closest('.credential-field').querySelector('.credential-field__value');
     const isHidden = passwordField.classList.contains('credential-password--masked');
@@ -617,25 +923,25 @@ class App {
     const site = sitesService.getSite(siteId);
     if (!site) return;
 
-    site.credentials.forEach(cred => {
-      credentialsService.resetCheckIn(siteId, cred.id);
+    stateManager.recordChange('Reset site', () => {
+      site.credentials.forEach(cred => {
+        credentialsService.resetCheckIn(siteId, cred.id);
+      });
     });
 
     this.render();
-    toast.info('Site reset for today');
+    this.showUndoToast('Site reset for today', 'info');
   }
 
   /**
-   * Delete site
+   * Delete site (moves it to the archive)
    */
   deleteSite(siteId) {
     const site = sitesService.getSite(siteId);
     if (!site) return;
 
-    if (confirm(`Delete "${site.name}" and all its credentials?`)) {
-      sitesService.deleteSite(siteId);
-      this.render();
-      toast.success('Site deleted');
+    if (sitesService.archiveSite(siteId)) {
+      this.showUndoToast(`Moved "${sanitizeHTML(site.name)}" to the archive`);
     }
   }
 
@@ -645,7 +951,7 @@ class App {
   resetDay() {
     if (confirm('Reset all credentials for today?')) {
       stateManager.resetAllCredentials();
-      toast.info('All credentials reset for today');
+      this.showUndoToast('All credentials reset for today', 'info');
     }
   }
 
@@ -654,13 +960,52 @@ class App {
    */
   markAllDone() {
     stateManager.markAllDone();
-    toast.success('All credentials marked as done!');
+    this.showUndoToast('All credentials marked as done!');
+  }
+
+  /**
+   * Toast with an Undo button for the change just made
+   */
+  showUndoToast(message, type = 'success') {
+    toast.show(message, type, 6000, { label: 'Undo', onClick: () => this.undo() });
+  }
+
+  /**
+   * Undo the latest change
+   */
+  undo() {
+    if (!this.requireUnlocked()) return;
+
+    const entry = stateManager.undo();
+    if (!entry) {
+      toast.info('Nothing to undo', 1500);
+      return;
+    }
+
+    toast.info(`Undone: ${entry.label}`, 4000, { label: 'Redo', onClick: () => this.redo() });
+  }
+
+  /**
+   * Redo the latest undone change
+   */
+  redo() {
+    if (!this.requireUnlocked()) return;
+
+    const entry = stateManager.redo();
+    if (!entry) {
+      toast.info('Nothing to redo', 1500);
+      return;
+    }
+
+    toast.info(`Redone: ${entry.label}`, 4000, { label: 'Undo', onClick: () => this.undo() });
   }
 
   /**
    * Open add site modal
    */
   openAddSiteModal() {
+    if (!this.requireUnlocked()) return;
+
     const modal = document.getElementById('add-site-modal');
     if (!modal) {
       console.error('Modal not found!');
@@ -711,6 +1056,9 @@ class App {
     // Clear form
     const form = document.getElementById('add-site-form');
     if (form) form.reset();
+
+    const cadenceDays = document.getElementById('site-cadence-days-field');
+    if (cadenceDays) cadenceDays.hidden = true;
   }
 
   /**
@@ -762,7 +1110,7 @@ class App {
         stateManager.updateSite(selectedSiteId, { credentials: site.credentials });
         this.closeAddSiteModal();
         this.render();
-        toast.success(`Credentials added to ${site.name}!`);
+        toast.success(`Credentials added to ${sanitizeHTML(site.name)}!`);
       }
     } else {
       // Create new site
@@ -782,12 +1130,16 @@ class App {
         url: siteUrl,
         tags: siteTags ? siteTags.split(',').map(t => t.trim()).filter(t => t) : [],
         category: siteCategory || null,
+        loginFrequency: {
+          type: formData.get('site-cadence') || CADENCE_TYPES.DAILY,
+          everyDays: formData.get('site-cadence-days')
+        },
         credentials
       };
 
       sitesService.createSite(newSite);
       this.closeAddSiteModal();
-      toast.success(`${siteName} added successfully!`);
+      toast.success(`${sanitizeHTML(siteName)} added successfully!`);
     }
   }
 
@@ -849,18 +1201,7 @@ class App {
    * Get existing labels for suggestions
    */
   getExistingLabels() {
-    const sites = stateManager.getSites();
-    const labels = new Set();
-    
-    sites.forEach(site => {
-      site.credentials.forEach(cred => {
-        if (cred.label) {
-          labels.add(cred.label);
-        }
-      });
-    });
-    
-    return Array.from(labels);
+    return credentialsService.getExistingLabels();
   }
 
   /**
@@ -874,7 +1215,7 @@ class App {
     const existingLabels = this.getExistingLabels();
     
     const labelsOptions = existingLabels.length > 0
-      ? existingLabels.map(label => `<option value="${label}">${label}</option>`).join('')
+      ? existingLabels.map(label => `<option value="${sanitizeHTML(label)}">${sanitizeHTML(label)}</option>`).join('')
       : '';
 
     const credentialHtml = `
@@ -1090,6 +1431,21 @@ class App {
       }
     });
 
+    // Undo / redo shortcuts (text fields keep their own undo)
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || stateManager.isVaultLocked()) return;
+      if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        this.redo();
+      }
+    });
+
     // Submit form button (outside form)
     const submitBtn = document.querySelector('[data-action="submit-form"]');
     if (submitBtn) {
@@ -1119,6 +1475,558 @@ class App {
     if (addCredBtn) {
       addCredBtn.addEventListener('click', () => this.addCredentialField());
     }
+
+    // Interval field only applies to a custom cadence
+    const cadenceSelect = document.getElementById('site-cadence-input');
+    const cadenceDays = document.getElementById('site-cadence-days-field');
+    if (cadenceSelect && cadenceDays) {
+      cadenceSelect.addEventListener('change', () => {
+        cadenceDays.hidden = cadenceSelect.value !== CADENCE_TYPES.CUSTOM;
+      });
+    }
+  }
+
+  /**
+   * Ask for the master password if the vault is locked
+   */
+  requireUnlocked() {
+    if (!stateManager.isVaultLocked()) return true;
+
+    toast.warning('Unlock the vault to access credentials');
+    this.openSecurityModal();
+    return false;
+  }
+
+  /**
+   * Reflect vault lock state in the top bar
+   */
+  updateVaultIndicator() {
+    const securityBtn = document.querySelector('[data-action="open-security"]');
+    const locked = stateManager.isVaultLocked();
+
+    document.body.dataset.vault = !stateManager.isVaultEnabled() ? 'disabled' : locked ? 'locked' : 'unlocked';
+
+    if (securityBtn) {
+      securityBtn.textContent = locked ? '🔒 Unlock' : stateManager.isVaultEnabled() ? '🔓 Security' : '🛡️ Security';
+    }
+  }
+
+  /**
+   * Open security modal
+   */
+  openSecurityModal() {
+    const modal = document.getElementById('security-modal');
+    if (!modal) {
+      console.error('Security modal not found!');
+      return;
+    }
+
+    this.updateSecurityModal();
+    modal.classList.add('modal--open');
+    document.body.style.overflow = 'hidden';
+
+    setTimeout(() => {
+      const input = modal.querySelector('[data-vault-state]:not([hidden]) input');
+      if (input) input.focus();
+    }, 200);
+  }
+
+  /**
+   * Close security modal
+   */
+  closeSecurityModal() {
+    const modal = document.getElementById('security-modal');
+    if (!modal) return;
+
+    modal.classList.remove('modal--open');
+    document.body.style.overflow = '';
+    modal.querySelectorAll('form').forEach(form => form.reset());
+
+    // The recovery key is only ever shown once
+    this.pendingRecoveryKey = null;
+    this.hideRecoveryKey();
+  }
+
+  /**
+   * Show the section matching the current vault state
+   */
+  updateSecurityModal() {
+    const modal = document.getElementById('security-modal');
+    if (!modal) return;
+
+    const state = !stateManager.isVaultEnabled()
+      ? 'disabled'
+      : stateManager.isVaultLocked() ? 'locked' : 'unlocked';
+
+    modal.querySelectorAll('[data-vault-state]').forEach(section => {
+      section.hidden = section.dataset.vaultState !== state;
+    });
+
+    const status = document.getElementById('security-status');
+    if (status) {
+      const messages = {
+        disabled: '<strong>Not encrypted:</strong> Credentials are stored in plaintext in this browser.',
+        locked: '<strong>Locked:</strong> Credentials are encrypted. Enter your master password to use them.',
+        unlocked: '<strong>Unlocked:</strong> Credentials are encrypted at rest and decrypted in memory for this session.'
+      };
+      status.innerHTML = messages[state];
+    }
+
+    this.updateRecoverySection();
+
+    // Populate auto-lock settings
+    const security = { ...CONFIG.security, ...stateManager.getSettings().security };
+    const settingsForm = document.getElementById('security-settings-form');
+    if (settingsForm) {
+      settingsForm.querySelector('[name="auto-lock-minutes"]').value = security.autoLockMinutes;
+      settingsForm.querySelector('[name="lock-when-hidden-minutes"]').value = security.lockWhenHiddenMinutes;
+      settingsForm.querySelector('[name="require-auth-on-start"]').checked = Boolean(security.requireAuthOnStart);
+    }
+  }
+
+  /**
+   * Setup security modal listeners
+   */
+  setupSecurityModalListeners() {
+    document.querySelectorAll('[data-action="close-security-modal"]').forEach(btn => {
+      btn.addEventListener('click', () => this.closeSecurityModal());
+    });
+
+    const enableForm = document.getElementById('security-enable-form');
+    if (enableForm) {
+      enableForm.addEventListener('submit', (e) => this.handleEnableMasterPassword(e));
+      enableForm.querySelector('[name="master-password"]').addEventListener('input', (e) => {
+        this.updatePasswordStrength(enableForm, e.target.value);
+      });
+    }
+
+    const unlockForm = document.getElementById('security-unlock-form');
+    if (unlockForm) {
+      unlockForm.addEventListener('submit', (e) => this.handleUnlockVault(e));
+    }
+
+    const changeForm = document.getElementById('security-change-form');
+    if (changeForm) {
+      changeForm.addEventListener('submit', (e) => this.handleChangeMasterPassword(e));
+      changeForm.querySelector('[name="master-password"]').addEventListener('input', (e) => {
+        this.updatePasswordStrength(changeForm, e.target.value);
+      });
+    }
+
+    const disableForm = document.getElementById('security-disable-form');
+    if (disableForm) {
+      disableForm.addEventListener('submit', (e) => this.handleDisableMasterPassword(e));
+    }
+
+    const settingsForm = document.getElementById('security-settings-form');
+    if (settingsForm) {
+      settingsForm.addEventListener('submit', (e) => this.handleSaveSecuritySettings(e));
+    }
+
+    const recoveryForm = document.getElementById('security-recovery-form');
+    if (recoveryForm) {
+      recoveryForm.addEventListener('submit', (e) => this.handleCreateRecoveryKey(e));
+      recoveryForm.querySelector('[data-action="remove-recovery-key"]').addEventListener('click', () => {
+        this.handleRemoveRecoveryKey(recoveryForm);
+      });
+      recoveryForm.querySelector('[data-action="download-recovery-kit"]').addEventListener('click', () => {
+        if (this.pendingRecoveryKey) {
+          recoveryKitService.download(this.pendingRecoveryKey);
+        }
+      });
+    }
+
+    const lockBtn = document.querySelector('[data-action="lock-vault"]');
+    if (lockBtn) {
+      lockBtn.addEventListener('click', () => this.lockVault());
+    }
+  }
+
+  /**
+   * Handle enabling the master password
+   */
+  async handleEnableMasterPassword(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const password = form.querySelector('[name="master-password"]').value;
+    const confirmation = form.querySelector('[name="master-password-confirm"]').value;
+
+    if (password !== confirmation) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    try {
+      await stateManager.enableMasterPassword(password);
+      this.closeSecurityModal();
+      this.updateVaultIndicator();
+      toast.success('Master password set. Credentials are now encrypted.');
+    } catch (error) {
+      console.error('Failed to enable encryption:', error);
+      toast.error('Failed to enable encryption');
+    }
+  }
+
+  /**
+   * Handle unlocking the vault
+   */
+  async handleUnlockVault(e) {
+    e.preventDefault();
+
+    const input = e.target.querySelector('[name="master-password"]');
+    const success = await stateManager.unlockVault(input.value);
+
+    if (success) {
+      this.closeSecurityModal();
+      toast.success('Vault unlocked', 2000);
+    } else {
+      input.value = '';
+      input.focus();
+      toast.error('Incorrect master password');
+    }
+  }
+
+  /**
+   * Handle changing the master password
+   */
+  async handleChangeMasterPassword(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const currentPassword = form.querySelector('[name="current-password"]').value;
+    const newPassword = form.querySelector('[name="master-password"]').value;
+    const confirmation = form.querySelector('[name="master-password-confirm"]').value;
+
+    if (newPassword !== confirmation) {
+      toast.error('New passwords do not match');
+      return;
+    }
+
+    const submitBtn = form.querySelector('[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      const hadRecoveryKey = stateManager.hasRecoveryKey();
+      const success = await stateManager.changeMasterPassword(currentPassword, newPassword);
+      if (!success) {
+        form.querySelector('[name="current-password"]').value = '';
+        toast.error('Incorrect master password');
+        return;
+      }
+
+      this.closeSecurityModal();
+      toast.success('Master password changed. All credentials were re-encrypted.');
+      if (hadRecoveryKey) {
+        toast.warning('Your old recovery key no longer works. Create a new recovery kit.');
+      }
+    } catch (error) {
+      console.error('Failed to change master password:', error);
+      toast.error('Failed to change master password. Your old password still works.');
+    } finally {
+      submitBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Handle disabling the master password
+   */
+  async handleDisableMasterPassword(e) {
+    e.preventDefault();
+
+    const input = e.target.querySelector('[name="master-password"]');
+
+    try {
+      const success = await stateManager.disableMasterPassword(input.value);
+      if (!success) {
+        input.value = '';
+        toast.error('Incorrect master password');
+        return;
+      }
+
+      this.closeSecurityModal();
+      this.updateVaultIndicator();
+      toast.info('Encryption disabled');
+    } catch (error) {
+      console.error('Failed to disable encryption:', error);
+      toast.error('Failed to disable encryption');
+    }
+  }
+
+  /**
+   * Show whether a recovery key exists and label the create button
+   */
+  updateRecoverySection() {
+    const form = document.getElementById('security-recovery-form');
+    if (!form) return;
+
+    const hasKey = stateManager.hasRecoveryKey();
+    document.getElementById('security-recovery-status').textContent = hasKey
+      ? 'A recovery key can unlock this vault. Replacing it makes the old key stop working.'
+      : 'Create a recovery key to regain access if you forget your master password.';
+
+    form.querySelector('[data-recovery-submit]').textContent = hasKey ? 'Replace Recovery Kit' : 'Create Recovery Kit';
+    form.querySelector('[data-action="remove-recovery-key"]').hidden = !hasKey;
+  }
+
+  /**
+   * Handle creating a recovery key and showing it once
+   */
+  async handleCreateRecoveryKey(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const input = form.querySelector('[name="master-password"]');
+
+    try {
+      const recoveryKey = await stateManager.createRecoveryKey(input.value);
+      input.value = '';
+
+      if (!recoveryKey) {
+        toast.error('Incorrect master password');
+        return;
+      }
+
+      this.pendingRecoveryKey = recoveryKey;
+      document.getElementById('security-recovery-key').textContent = recoveryKey;
+      document.getElementById('security-recovery-result').hidden = false;
+      this.updateRecoverySection();
+
+      recoveryKitService.download(recoveryKey);
+      toast.success('Recovery kit created. Print it and keep it somewhere safe.');
+    } catch (error) {
+      console.error('Failed to create recovery key:', error);
+      toast.error('Failed to create recovery key');
+    }
+  }
+
+  /**
+   * Handle removing the recovery key
+   */
+  async handleRemoveRecoveryKey(form) {
+    const input = form.querySelector('[name="master-password"]');
+    if (!input.value) {
+      input.focus();
+      toast.info('Enter your master password to remove the recovery key');
+      return;
+    }
+
+    if (!confirm('Remove the recovery key? Only your master password will unlock the vault.')) {
+      return;
+    }
+
+    const success = await stateManager.removeRecoveryKey(input.value);
+    input.value = '';
+
+    if (!success) {
+      toast.error('Incorrect master password');
+      return;
+    }
+
+    this.pendingRecoveryKey = null;
+    this.hideRecoveryKey();
+    this.updateRecoverySection();
+    toast.info('Recovery key removed');
+  }
+
+  /**
+   * Hide and wipe the one-time recovery key display
+   */
+  hideRecoveryKey() {
+    const result = document.getElementById('security-recovery-result');
+    if (!result) return;
+
+    result.hidden = true;
+    document.getElementById('security-recovery-key').textContent = '';
+  }
+
+  /**
+   * Handle saving auto-lock settings
+   */
+  handleSaveSecuritySettings(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    stateManager.updateSettings({
+      security: {
+        ...stateManager.getSettings().security,
+        autoLockMinutes: Math.max(0, parseInt(form.querySelector('[name="auto-lock-minutes"]').value, 10) || 0),
+        lockWhenHiddenMinutes: Math.max(0, parseInt(form.querySelector('[name="lock-when-hidden-minutes"]').value, 10) || 0),
+        requireAuthOnStart: form.querySelector('[name="require-auth-on-start"]').checked
+      }
+    });
+
+    autoLockService.resetIdleTimer();
+    toast.success('Auto-lock settings saved', 2000);
+  }
+
+  /**
+   * Lock the vault
+   */
+  async lockVault() {
+    await stateManager.lockVault();
+    toast.info('Vault locked');
+  }
+
+  /**
+   * Setup lock screen listeners
+   */
+  setupLockScreen() {
+    const form = document.getElementById('lock-screen-form');
+    if (!form) return;
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const input = form.querySelector('[name="master-password"]');
+      const success = await stateManager.unlockVault(input.value);
+      input.value = '';
+
+      if (success) {
+        toast.success('Vault unlocked', 2000);
+      } else {
+        input.focus();
+        toast.error('Incorrect master password');
+      }
+    });
+
+    const recoveryForm = document.getElementById('lock-screen-recovery-form');
+    recoveryForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const input = recoveryForm.querySelector('[name="recovery-key"]');
+      const success = await stateManager.unlockWithRecoveryKey(input.value);
+      input.value = '';
+
+      if (!success) {
+        input.focus();
+        toast.error('Recovery key not recognised');
+      }
+    });
+
+    const resetForm = document.getElementById('lock-screen-reset-form');
+    resetForm.querySelector('[name="master-password"]').addEventListener('input', (e) => {
+      this.updatePasswordStrength(resetForm, e.target.value);
+    });
+    resetForm.addEventListener('submit', (e) => this.handleResetMasterPassword(e));
+
+    document.querySelector('[data-action="use-recovery-key"]').addEventListener('click', () => {
+      this.showLockScreenStep('recovery');
+    });
+    document.querySelector('[data-action="use-master-password"]').addEventListener('click', () => {
+      this.showLockScreenStep('password');
+    });
+  }
+
+  /**
+   * Handle setting a new master password after a recovery key unlock
+   */
+  async handleResetMasterPassword(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const password = form.querySelector('[name="master-password"]').value;
+    const confirmation = form.querySelector('[name="master-password-confirm"]').value;
+
+    if (password !== confirmation) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    const submitBtn = form.querySelector('[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      await stateManager.resetMasterPassword(password);
+      form.reset();
+      this.hideLockScreen();
+      this.updateVaultIndicator();
+      toast.success('New master password set. Create a new recovery kit from Security.');
+    } catch (error) {
+      console.error('Failed to set new master password:', error);
+      toast.error('Failed to set new master password');
+    } finally {
+      submitBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Show the lock screen over the app
+   */
+  showLockScreen(reason = null) {
+    const lockScreen = document.getElementById('lock-screen');
+    if (!lockScreen) return;
+
+    const minutes = stateManager.getSettings().security?.autoLockMinutes ?? CONFIG.security.autoLockMinutes;
+    const messages = {
+      inactivity: `Locked after ${minutes} minute${minutes === 1 ? '' : 's'} of inactivity.`,
+      hidden: 'Locked while DashOrg was in the background.',
+      remote: 'Vault settings were changed in another tab.',
+      restored: 'The restored backup uses the master password it was made with.'
+    };
+
+    const reasonElement = document.getElementById('lock-screen-reason');
+    if (reasonElement) {
+      reasonElement.textContent = messages[reason] || 'Enter your master password to continue.';
+    }
+
+    lockScreen.hidden = false;
+    document.body.dataset.locked = 'true';
+    document.body.style.overflow = 'hidden';
+
+    this.showLockScreenStep('password');
+  }
+
+  /**
+   * Switch the lock screen between password, recovery key and new password forms
+   */
+  showLockScreenStep(step) {
+    const lockScreen = document.getElementById('lock-screen');
+    if (!lockScreen) return;
+
+    if (lockScreen.hidden) {
+      lockScreen.hidden = false;
+      document.body.dataset.locked = 'true';
+      document.body.style.overflow = 'hidden';
+    }
+
+    lockScreen.querySelectorAll('[data-lock-step]').forEach(form => {
+      form.hidden = form.dataset.lockStep !== step;
+    });
+
+    const recoveryLink = lockScreen.querySelector('[data-action="use-recovery-key"]');
+    if (recoveryLink) {
+      recoveryLink.hidden = !stateManager.hasRecoveryKey();
+    }
+
+    const title = document.getElementById('lock-screen-title');
+    if (title) {
+      title.textContent = step === 'reset' ? 'Set a new master password' : 'DashOrg is locked';
+    }
+
+    const reasonElement = document.getElementById('lock-screen-reason');
+    if (reasonElement && step !== 'password') {
+      reasonElement.textContent = step === 'reset'
+        ? 'Recovery key accepted. Choose a new master password to finish unlocking.'
+        : 'Enter the recovery key from your recovery kit.';
+    }
+
+    setTimeout(() => {
+      const input = lockScreen.querySelector(`[data-lock-step="${step}"] input`);
+      if (input) input.focus();
+    }, 100);
+  }
+
+  /**
+   * Hide the lock screen
+   */
+  hideLockScreen() {
+    const lockScreen = document.getElementById('lock-screen');
+    if (!lockScreen || lockScreen.hidden) return;
+
+    lockScreen.hidden = true;
+    delete document.body.dataset.locked;
+    document.body.style.overflow = '';
   }
 
   /**
@@ -1145,11 +2053,25 @@ class App {
    */
   getSiteIcon(site) {
     if (site.favicon) {
-      return `<img src="${site.favicon}" alt="" width="24" height="24" onerror="this.style.display='none'">`;
+      return `<img src="${sanitizeHTML(site.favicon)}" alt="" width="24" height="24" onerror="this.style.display='none'">`;
     }
     return '🌐';
   }
 
+  /**
+   * Link target for a site's Visit button; only web addresses are linked
+   */
+  getSiteHref(site) {
+    return /^https?:\/\//i.test(site.url || '') ? site.url : '#';
+  }
+
+  /**
+   * Inline style exposing the site's accent color to CSS
+   */
+  getSiteColorStyle(site) {
+    return /^#[0-9a-f]{6}$/i.test(site.color || '') ? ` style="--site-color: ${site.color}"` : '';
+  }
+
   /**
    * Get status label
    */
@@ -57,7 +57,12 @@ export class Modal {
     // Escape key
     if (this.options.closeOnEscape) {
       this.escapeHandler = (e) => {
-        if (e.key === 'Escape' && this.isOpen) {
+        if (e.key !== 'Escape' || !this.isOpen || e.defaultPrevented) return;
+
+        // Only the top-most of stacked modals closes
+        const open = document.querySelectorAll('.modal.modal--open');
+        if (open[open.length - 1] === this.element) {
+          e.preventDefault();
           this.close();
         }
       };
@@ -71,6 +76,8 @@ export class Modal {
   open() {
     if (!this.element) return;
 
+    // Move to the end of the body so it stacks above modals already open
+    document.body.appendChild(this.element);
     this.isOpen = true;
     this.element.setAttribute('aria-hidden', 'false');
     this.element.classList.add('modal--open');
@@ -92,7 +99,9 @@ export class Modal {
     this.isOpen = false;
     this.element.setAttribute('aria-hidden', 'true');
     this.element.classList.remove('modal--open');
-    document.body.style.overflow = '';
+    if (!document.querySelector('.modal.modal--open')) {
+      document.body.style.overflow = '';
+    }
 
     if (this.onCloseCallback) {
       this.onCloseCallback();
@@ -26,8 +26,9 @@ export class Toast {
 
   /**
    * Show toast notification
+   * @param {Object} [action] - Optional button ({ label, onClick }) that also dismisses the toast
    */
-  show(message, type = 'info', duration = 3000) {
+  show(message, type = 'info', duration = 3000, action = null) {
     const toast = document.createElement('div');
     toast.className = `toast toast--${type}`;
     toast.setAttribute('role', 'alert');
@@ -36,11 +37,21 @@ export class Toast {
     toast.innerHTML = `
       <span class="toast__icon">${icon}</span>
       <span class="toast__message">${message}</span>
+      ${action ? '<button class="toast__action" type="button"></button>' : ''}
       <button class="toast__close" aria-label="Close">×</button>
     `;
 
     this.container.appendChild(toast);
 
+    if (action) {
+      const actionBtn = toast.querySelector('.toast__action');
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', () => {
+        this.remove(toast);
+        action.onClick();
+      });
+    }
+
     // Close button
     const closeBtn = toast.querySelector('.toast__close');
     closeBtn.addEventListener('click', () => this.remove(toast));
@@ -59,29 +70,29 @@ export class Toast {
   /**
    * Show success toast
    */
-  success(message, duration) {
-    return this.show(message, 'success', duration);
+  success(message, duration, action) {
+    return this.show(message, 'success', duration, action);
   }
 
   /**
    * Show error toast
    */
-  error(message, duration) {
-    return this.show(message, 'error', duration);
+  error(message, duration, action) {
+    return this.show(message, 'error', duration, action);
   }
 
   /**
    * Show warning toast
    */
-  warning(message, duration) {
-    return this.show(message, 'warning', duration);
+  warning(message, duration, action) {
+    return this.show(message, 'warning', duration, action);
   }
 
   /**
    * Show info toast
    */
-  info(message, duration) {
-    return this.show(message, 'info', duration);
+  info(message, duration, action) {
+    return this.show(message, 'info', duration, action);
   }
 
   /**
@@ -89,11 +89,11 @@ export const calculatePasswordStrength = (password) => {
   return { score, ...strengths[score] };
 };
 
-// Sanitize HTML
+// Sanitize HTML (quotes too, so the result is also safe inside attribute values)
 export const sanitizeHTML = (str) => {
   const temp = document.createElement('div');
   temp.textContent = str;
-  return temp.innerHTML;
+  return temp.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 };
 
 // Debounce function
@@ -285,6 +285,9 @@ export const isValidURL = (url) => {
   }
 };
 
+// Check that a URL is a web address: http(s), or a bare domain with no other scheme
+export const isWebURL = (url) => /^https?:\/\//i.test(url) || !/^[a-z][a-z0-9+.-]*:(?!\d)/i.test(url);
+
 // Get favicon URL
 export const getFaviconURL = (url) => {
   try {
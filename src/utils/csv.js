@@ -0,0 +1,121 @@
+/**
+ * CSV Utility
+ * RFC 4180 parsing and writing: quoted fields, doubled quotes, and line breaks inside quotes
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export class CSV {
+  /**
+   * Parse CSV text into rows of strings
+   * @param {string} text - CSV text; a leading BOM is ignored
+   * @param {Object} options - { delimiter } (detected from the first line when omitted)
+   * @returns {string[][]} Rows, without blank lines
+   */
+  static parse(text, options = {}) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || CSV.detectDelimiter(input);
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  /**
+   * Write rows as CSV with CRLF line endings
+   * Fields with a delimiter, quote or line break are quoted, and quotes doubled
+   * @param {Array<Array>} rows - Cells; null and undefined become empty fields
+   * @param {Object} options - { delimiter: ',', neutralizeFormulas: true, verbatimColumns: [] }
+   *   verbatimColumns are column indexes never neutralized, e.g. passwords that must survive as typed
+   */
+  static stringify(rows, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const neutralize = options.neutralizeFormulas !== false;
+    const verbatim = new Set(options.verbatimColumns || []);
+
+    return rows.map(row => row.map((cell, index) => {
+      let value = cell === null || cell === undefined ? '' : String(cell);
+      if (neutralize && !verbatim.has(index)) value = CSV.neutralizeFormula(value);
+
+      return value.includes(delimiter) || /["\r\n]/.test(value)
+        ? `"${value.replace(/"/g, '""')}"`
+        : value;
+    }).join(delimiter)).join('\r\n');
+  }
+
+  /**
+   * Prefix a cell that a spreadsheet would evaluate with an apostrophe
+   */
+  static neutralizeFormula(value) {
+    return FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  }
+
+  /**
+   * Undo neutralizeFormula() when reading our own export back in
+   */
+  static restoreFormula(value) {
+    return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+  }
+
+  /**
+   * Pick the delimiter that appears most often in the first line, outside quotes
+   */
+  static detectDelimiter(text) {
+    const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+    let quoted = false;
+
+    for (const char of text) {
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (!quoted && (char === '\n' || char === '\r')) {
+        break;
+      } else if (!quoted && counts.has(char)) {
+        counts.set(char, counts.get(char) + 1);
+      }
+    }
+
+    return [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+  }
+}
\ No newline at end of file
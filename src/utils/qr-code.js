@@ -0,0 +1,542 @@
+/**
+ * QR Code Utility
+ * Byte-mode QR code generation (versions 1-40) and SVG output, plus the layout
+ * tables and Reed-Solomon arithmetic that QRDecoder reads codes back with
+ */
+
+export const QR_ECC_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Two-bit error correction level as written in the format information
+const ECC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Per version (index 1-40): error correction codewords in each block
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+// Per version (index 1-40): number of error correction blocks
+const ECC_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+const MODE_BYTE = 0b0100;
+const PAD_BYTES = [0xec, 0x11];
+
+// Penalty weights used to pick the mask (ISO 18004 section 7.8.3)
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER_LIKE = 40;
+const PENALTY_BALANCE = 10;
+
+// GF(256) over x^8 + x^4 + x^3 + x^2 + 1, as exponent and logarithm tables
+const GF_EXP = new Uint8Array(510);
+const GF_LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  GF_EXP[i] = x;
+  GF_EXP[i + 255] = x;
+  GF_LOG[x] = i;
+  x = (x << 1) ^ (x & 0x80 ? 0x11d : 0);
+}
+
+export class QRCode {
+  /**
+   * Encode text (as UTF-8 bytes) in the smallest version that fits
+   * @param {string} text - Text to encode
+   * @param {Object} options - { ecc: 'L'|'M'|'Q'|'H' (default 'M') }
+   * @returns {{version: number, size: number, ecc: string, mask: number, modules: boolean[][]}}
+   *   modules[y][x] is true for a dark module
+   * @throws {Error} If the text is too long for a QR code
+   */
+  static encode(text, options = {}) {
+    const ecc = QR_ECC_LEVELS.includes(options.ecc) ? options.ecc : 'M';
+    const bytes = new TextEncoder().encode(String(text));
+
+    let version = MIN_VERSION;
+    while (4 + QRCode.countBits(version) + bytes.length * 8 > QRCode.getDataCodewords(version, ecc) * 8) {
+      if (++version > MAX_VERSION) {
+        throw new Error('Too much data for a QR code');
+      }
+    }
+
+    const data = QRCode.buildDataCodewords(bytes, version, ecc);
+    const codewords = QRCode.addErrorCorrection(data, version, ecc);
+    const size = QRCode.getSize(version);
+
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    QRCode.drawFunctionPatterns(modules, version);
+    QRCode.getCodewordPositions(version).forEach(([x, y], i) => {
+      modules[y][x] = i < codewords.length * 8 && ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+    });
+
+    // Try every mask and keep the one a scanner finds easiest to read
+    const isFunction = QRCode.getFunctionModules(version);
+    let best = null;
+    for (let mask = 0; mask < 8; mask++) {
+      const candidate = QRCode.applyMask(modules, isFunction, mask);
+      QRCode.drawFormatBits(candidate, ecc, mask);
+      const penalty = QRCode.getPenalty(candidate);
+      if (!best || penalty < best.penalty) {
+        best = { mask, modules: candidate, penalty };
+      }
+    }
+
+    return { version, size, ecc, mask: best.mask, modules: best.modules };
+  }
+
+  /**
+   * Render an encoded QR code as an SVG string, dark modules on white
+   * @param {Object} code - From encode()
+   * @param {Object} options - { margin: quiet zone in modules (default 4), title }
+   */
+  static toSvg(code, options = {}) {
+    const margin = options.margin ?? 4;
+    const dimension = code.size + margin * 2;
+
+    const path = [];
+    code.modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+      });
+    });
+
+    const title = options.title ? `<title>${QRCode.escapeXml(options.title)}</title>` : '';
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges" role="img">` +
+      `${title}<rect width="${dimension}" height="${dimension}" fill="#fff"/>` +
+      `<path d="${path.join('')}" fill="#000"/></svg>`;
+  }
+
+  /**
+   * Modules per side for a version
+   */
+  static getSize(version) {
+    return version * 4 + 17;
+  }
+
+  /**
+   * Bits in the byte-mode character count for a version
+   */
+  static countBits(version) {
+    return version <= 9 ? 8 : 16;
+  }
+
+  /**
+   * Centre coordinates of the alignment patterns along each axis
+   */
+  static getAlignmentPositions(version) {
+    if (version === 1) return [];
+
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = QRCode.getSize(version) - 7; positions.length < count; position -= step) {
+      positions.splice(1, 0, position);
+    }
+    return positions;
+  }
+
+  /**
+   * Centres of every alignment pattern, leaving out the three that would overlap the finders
+   * @returns {Array<[number, number]>} [x, y] pairs
+   */
+  static getAlignmentCentres(version) {
+    const positions = QRCode.getAlignmentPositions(version);
+    const last = positions.length - 1;
+    const centres = [];
+    positions.forEach((y, i) => positions.forEach((x, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      centres.push([x, y]);
+    }));
+    return centres;
+  }
+
+  /**
+   * Modules left for data and error correction once function patterns are placed
+   */
+  static getRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const count = Math.floor(version / 7) + 2;
+      result -= (25 * count - 10) * count - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  /**
+   * Data codewords (excluding error correction) a version holds at a level
+   */
+  static getDataCodewords(version, ecc) {
+    return Math.floor(QRCode.getRawDataModules(version) / 8) -
+      ECC_CODEWORDS_PER_BLOCK[ecc][version] * ECC_BLOCKS[ecc][version];
+  }
+
+  /**
+   * How codewords are split into blocks
+   * @returns {{eccLength: number, dataLengths: number[]}} Data codewords in each block, shorter blocks first
+   */
+  static getBlockLayout(version, ecc) {
+    const blockCount = ECC_BLOCKS[ecc][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[ecc][version];
+    const rawCodewords = Math.floor(QRCode.getRawDataModules(version) / 8);
+    const shortBlocks = blockCount - (rawCodewords % blockCount);
+    const shortLength = Math.floor(rawCodewords / blockCount) - eccLength;
+
+    return {
+      eccLength,
+      dataLengths: Array.from({ length: blockCount }, (_, i) => shortLength + (i < shortBlocks ? 0 : 1))
+    };
+  }
+
+  /**
+   * Mode, count, data, terminator and padding as codewords
+   */
+  static buildDataCodewords(bytes, version, ecc) {
+    const capacity = QRCode.getDataCodewords(version, ecc) * 8;
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(MODE_BYTE, 4);
+    push(bytes.length, QRCode.countBits(version));
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let i = 0; codewords.length < capacity / 8; i++) {
+      codewords.push(PAD_BYTES[i % 2]);
+    }
+    return codewords;
+  }
+
+  /**
+   * Split data into blocks, append each block's error correction and interleave
+   */
+  static addErrorCorrection(data, version, ecc) {
+    const { eccLength, dataLengths } = QRCode.getBlockLayout(version, ecc);
+
+    let offset = 0;
+    const blocks = dataLengths.map(length => {
+      const block = data.slice(offset, offset += length);
+      return { data: block, ecc: QRCode.reedSolomonRemainder(block, eccLength) };
+    });
+
+    const result = [];
+    const longest = Math.max(...dataLengths);
+    for (let i = 0; i < longest; i++) {
+      blocks.forEach(block => {
+        if (i < block.data.length) result.push(block.data[i]);
+      });
+    }
+    for (let i = 0; i < eccLength; i++) {
+      blocks.forEach(block => result.push(block.ecc[i]));
+    }
+    return result;
+  }
+
+  /**
+   * Error correction codewords: the remainder of data divided by the generator polynomial
+   */
+  static reedSolomonRemainder(data, degree) {
+    // Generator (x - a^0)(x - a^1)...(x - a^(degree-1)), highest power first, leading 1 dropped
+    const generator = new Array(degree).fill(0);
+    generator[degree - 1] = 1;
+    for (let i = 0, root = 1; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        generator[j] = QRCode.gfMultiply(generator[j], root) ^ (j + 1 < degree ? generator[j + 1] : 0);
+      }
+      root = QRCode.gfMultiply(root, 2);
+    }
+
+    const remainder = new Array(degree).fill(0);
+    data.forEach(byte => {
+      const factor = byte ^ remainder.shift();
+      remainder.push(0);
+      generator.forEach((coefficient, i) => {
+        remainder[i] ^= QRCode.gfMultiply(coefficient, factor);
+      });
+    });
+    return remainder;
+  }
+
+  /**
+   * Multiply in GF(256)
+   */
+  static gfMultiply(a, b) {
+    return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+  }
+
+  /**
+   * Divide in GF(256); b must not be 0
+   */
+  static gfDivide(a, b) {
+    return a === 0 ? 0 : GF_EXP[(GF_LOG[a] + 255 - GF_LOG[b]) % 255];
+  }
+
+  /**
+   * The generator element 2 raised to a power (any integer)
+   */
+  static gfPow(exponent) {
+    return GF_EXP[((exponent % 255) + 255) % 255];
+  }
+
+  /**
+   * Mark finder, separator, timing, alignment, format and version modules
+   * @returns {boolean[][]} [y][x] true for modules that don't carry data
+   */
+  static getFunctionModules(version) {
+    const size = QRCode.getSize(version);
+    const grid = Array.from({ length: size }, () => new Array(size).fill(false));
+    const mark = (x, y, width, height) => {
+      for (let dy = 0; dy < height; dy++) {
+        for (let dx = 0; dx < width; dx++) grid[y + dy][x + dx] = true;
+      }
+    };
+
+    // Finders with separators and format information
+    mark(0, 0, 9, 9);
+    mark(size - 8, 0, 8, 9);
+    mark(0, size - 8, 9, 8);
+
+    // Timing patterns
+    mark(6, 0, 1, size);
+    mark(0, 6, size, 1);
+
+    QRCode.getAlignmentCentres(version).forEach(([x, y]) => mark(x - 2, y - 2, 5, 5));
+
+    if (version >= 7) {
+      mark(size - 11, 0, 3, 6);
+      mark(0, size - 11, 6, 3);
+    }
+    return grid;
+  }
+
+  /**
+   * Data module coordinates in the order codeword bits are placed: two-column
+   * zigzag from the bottom right, skipping the vertical timing pattern
+   * @returns {Array<[number, number]>} [x, y] pairs
+   */
+  static getCodewordPositions(version) {
+    const size = QRCode.getSize(version);
+    const isFunction = QRCode.getFunctionModules(version);
+    const positions = [];
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let i = 0; i < size; i++) {
+        const y = upward ? size - 1 - i : i;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (!isFunction[y][x]) positions.push([x, y]);
+        }
+      }
+    }
+    return positions;
+  }
+
+  /**
+   * Check whether a mask pattern flips the module at (x, y)
+   */
+  static maskBit(mask, x, y) {
+    switch (mask) {
+      case 0: return (x + y) % 2 === 0;
+      case 1: return y % 2 === 0;
+      case 2: return x % 3 === 0;
+      case 3: return (x + y) % 3 === 0;
+      case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+      case 5: return ((x * y) % 2) + ((x * y) % 3) === 0;
+      case 6: return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+      case 7: return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+      default: throw new Error(`Unknown mask ${mask}`);
+    }
+  }
+
+  /**
+   * 15-bit format information (level and mask with BCH check bits, masked)
+   */
+  static getFormatBits(ecc, mask) {
+    const data = (ECC_FORMAT_BITS[ecc] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    return ((data << 10) | remainder) ^ 0x5412;
+  }
+
+  /**
+   * 18-bit version information (version with BCH check bits), for version 7 and up
+   */
+  static getVersionBits(version) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    return (version << 12) | remainder;
+  }
+
+  /**
+   * Where the two copies of the format bits go, bit 0 first
+   * @returns {Array<Array<[number, number]>>} Two lists of [x, y]
+   */
+  static getFormatPositions(size) {
+    const first = [];
+    const second = [];
+    for (let i = 0; i < 15; i++) {
+      if (i < 6) first.push([8, i]);
+      else if (i < 8) first.push([8, i + 1]);
+      else if (i === 8) first.push([7, 8]);
+      else first.push([14 - i, 8]);
+
+      second.push(i < 8 ? [size - 1 - i, 8] : [8, size - 15 + i]);
+    }
+    return [first, second];
+  }
+
+  /**
+   * Where the two copies of the version bits go, bit 0 first
+   * @returns {Array<Array<[number, number]>>} Two lists of [x, y]
+   */
+  static getVersionPositions(size) {
+    const topRight = [];
+    const bottomLeft = [];
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      topRight.push([a, b]);
+      bottomLeft.push([b, a]);
+    }
+    return [topRight, bottomLeft];
+  }
+
+  /**
+   * Draw finders, timing, alignment and version patterns and the dark module
+   */
+  static drawFunctionPatterns(modules, version) {
+    const size = modules.length;
+
+    for (let i = 0; i < size; i++) {
+      modules[6][i] = i % 2 === 0;
+      modules[i][6] = i % 2 === 0;
+    }
+
+    // Finder patterns with their light separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || y < 0 || x >= size || y >= size) continue;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          modules[y][x] = distance !== 2 && distance !== 4;
+        }
+      }
+    });
+
+    QRCode.getAlignmentCentres(version).forEach(([cx, cy]) => {
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          modules[cy + dy][cx + dx] = Math.max(Math.abs(dx), Math.abs(dy)) !== 1;
+        }
+      }
+    });
+
+    if (version >= 7) {
+      const bits = QRCode.getVersionBits(version);
+      QRCode.getVersionPositions(size).forEach(copy => copy.forEach(([x, y], i) => {
+        modules[y][x] = ((bits >>> i) & 1) === 1;
+      }));
+    }
+
+    modules[size - 8][8] = true;
+  }
+
+  /**
+   * Write both copies of the format bits
+   */
+  static drawFormatBits(modules, ecc, mask) {
+    const bits = QRCode.getFormatBits(ecc, mask);
+    QRCode.getFormatPositions(modules.length).forEach(copy => copy.forEach(([x, y], i) => {
+      modules[y][x] = ((bits >>> i) & 1) === 1;
+    }));
+    modules[modules.length - 8][8] = true;
+  }
+
+  /**
+   * Copy of the modules with a mask applied to the data modules
+   */
+  static applyMask(modules, isFunction, mask) {
+    return modules.map((row, y) => row.map((dark, x) =>
+      isFunction[y][x] ? dark : dark !== QRCode.maskBit(mask, x, y)
+    ));
+  }
+
+  /**
+   * Score how hard the modules are to scan: long runs, 2x2 blocks, finder-like
+   * patterns and an uneven dark/light balance
+   */
+  static getPenalty(modules) {
+    const size = modules.length;
+    const lines = [
+      ...modules,
+      ...modules.map((_, x) => modules.map(row => row[x]))
+    ];
+    let penalty = 0;
+
+    lines.forEach(line => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+          continue;
+        }
+        if (run >= 5) penalty += PENALTY_RUN + run - 5;
+        run = 1;
+      }
+
+      // 1:1:3:1:1 with four light modules on either side
+      const text = line.map(dark => (dark ? '1' : '0')).join('');
+      for (let i = text.indexOf('1011101'); i !== -1; i = text.indexOf('1011101', i + 1)) {
+        if (text.slice(Math.max(0, i - 4), i) === '0000' || text.slice(i + 7, i + 11) === '0000') {
+          penalty += PENALTY_FINDER_LIKE;
+        }
+      }
+    });
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+            penalty += PENALTY_BLOCK;
+          }
+        }
+      }
+    }
+
+    const total = size * size;
+    penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * PENALTY_BALANCE;
+    return penalty;
+  }
+
+  /**
+   * Escape text for an SVG title
+   */
+  static escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,803 @@
+/**
+ * QR Decoder Utility
+ * Reads a QR code from image pixels: binarize, find the three finder patterns,
+ * sample the module grid through a perspective transform, then undo the mask
+ * and Reed-Solomon-correct the codewords. Layout tables come from QRCode
+ */
+
+import { QRCode, QR_ECC_LEVELS } from './qr-code.js';
+
+const MODE_TERMINATOR = 0b0000;
+const MODE_NUMERIC = 0b0001;
+const MODE_ALPHANUMERIC = 0b0010;
+const MODE_BYTE = 0b0100;
+const MODE_ECI = 0b0111;
+
+const ALPHANUMERIC_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// Character count bits for versions 1-9, 10-26 and 27-40
+const COUNT_BITS = {
+  [MODE_NUMERIC]: [10, 12, 14],
+  [MODE_ALPHANUMERIC]: [9, 11, 13],
+  [MODE_BYTE]: [8, 16, 16]
+};
+
+// Local thresholding works on 8x8 pixel blocks averaged over a 5x5 neighbourhood
+const BLOCK_SIZE = 8;
+const MIN_DYNAMIC_RANGE = 24;
+
+// Most bit errors tolerated when matching format and version information
+const MAX_INFO_ERRORS = 3;
+
+// Alignment pattern samples allowed to disagree
+const MAX_ALIGNMENT_MISMATCHES = 2;
+
+// Finder candidates and triples tried before giving up on an image
+const MAX_FINDER_CANDIDATES = 12;
+const MAX_FINDER_TRIPLES = 3;
+
+export class QRDecoder {
+  /**
+   * Find and read a QR code in an image
+   * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels, e.g. from canvas getImageData()
+   * @returns {string|null} Decoded text, or null if no readable code was found
+   */
+  static decode(imageData) {
+    const { width, height } = imageData;
+    const luminance = QRDecoder.getLuminance(imageData);
+
+    for (const binarize of [QRDecoder.localThreshold, QRDecoder.globalThreshold]) {
+      const bits = binarize(luminance, width, height);
+      // Light-on-dark codes are read from the inverted image
+      for (const image of [bits, bits.map(bit => 1 - bit)]) {
+        const text = QRDecoder.decodeBits(image, width, height);
+        if (text !== null) return text;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Locate and read a code in a binarized image (1 = dark)
+   */
+  static decodeBits(bits, width, height) {
+    const finders = QRDecoder.findFinderPatterns(bits, width, height);
+
+    for (const triple of QRDecoder.chooseFinderTriples(finders)) {
+      const corners = QRDecoder.orientFinders(triple);
+      const estimate = QRDecoder.estimateVersion(bits, width, height, corners);
+
+      for (const version of [estimate, estimate - 1, estimate + 1]) {
+        if (version < 1 || version > 40) continue;
+
+        let grid = QRDecoder.sampleGrid(bits, width, height, corners, version);
+        let actual = version;
+        // From version 7 the code states its own version, which beats the estimate
+        if (version >= 7) {
+          actual = QRDecoder.readVersion(grid) ?? version;
+          if (actual !== version) {
+            grid = QRDecoder.sampleGrid(bits, width, height, corners, actual);
+          }
+        }
+
+        const text = QRDecoder.decodeGrid(grid, actual);
+        if (text !== null) return text;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Luminance per pixel, with transparent pixels composited on white
+   */
+  static getLuminance({ data, width, height }) {
+    const luminance = new Uint8ClampedArray(width * height);
+    for (let i = 0; i < luminance.length; i++) {
+      const offset = i * 4;
+      const value = 0.2126 * data[offset] + 0.7152 * data[offset + 1] + 0.0722 * data[offset + 2];
+      const alpha = data[offset + 3] / 255;
+      luminance[i] = value * alpha + 255 * (1 - alpha);
+    }
+    return luminance;
+  }
+
+  /**
+   * Threshold each block against the average of the blocks around it, which
+   * copes with shadows and uneven lighting in photos
+   * @returns {Uint8Array} 1 for dark pixels
+   */
+  static localThreshold(luminance, width, height) {
+    const blocksX = Math.ceil(width / BLOCK_SIZE);
+    const blocksY = Math.ceil(height / BLOCK_SIZE);
+    const blackPoints = new Float32Array(blocksX * blocksY);
+
+    for (let by = 0; by < blocksY; by++) {
+      for (let bx = 0; bx < blocksX; bx++) {
+        let min = 255;
+        let max = 0;
+        let sum = 0;
+        let count = 0;
+        for (let y = by * BLOCK_SIZE; y < Math.min(height, (by + 1) * BLOCK_SIZE); y++) {
+          for (let x = bx * BLOCK_SIZE; x < Math.min(width, (bx + 1) * BLOCK_SIZE); x++) {
+            const value = luminance[y * width + x];
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+            sum += value;
+            count++;
+          }
+        }
+
+        let average = sum / count;
+        if (max - min <= MIN_DYNAMIC_RANGE) {
+          // A flat block is assumed light unless its neighbours say it sits in a dark area
+          average = min / 2;
+          if (bx > 0 && by > 0) {
+            const neighbours = (blackPoints[(by - 1) * blocksX + bx] +
+              2 * blackPoints[by * blocksX + bx - 1] +
+              blackPoints[(by - 1) * blocksX + bx - 1]) / 4;
+            if (min < neighbours) average = neighbours;
+          }
+        }
+        blackPoints[by * blocksX + bx] = average;
+      }
+    }
+
+    const bits = new Uint8Array(width * height);
+    for (let by = 0; by < blocksY; by++) {
+      for (let bx = 0; bx < blocksX; bx++) {
+        let sum = 0;
+        let count = 0;
+        for (let ny = Math.max(0, by - 2); ny <= Math.min(blocksY - 1, by + 2); ny++) {
+          for (let nx = Math.max(0, bx - 2); nx <= Math.min(blocksX - 1, bx + 2); nx++) {
+            sum += blackPoints[ny * blocksX + nx];
+            count++;
+          }
+        }
+        const threshold = sum / count;
+
+        for (let y = by * BLOCK_SIZE; y < Math.min(height, (by + 1) * BLOCK_SIZE); y++) {
+          for (let x = bx * BLOCK_SIZE; x < Math.min(width, (bx + 1) * BLOCK_SIZE); x++) {
+            bits[y * width + x] = luminance[y * width + x] <= threshold ? 1 : 0;
+          }
+        }
+      }
+    }
+    return bits;
+  }
+
+  /**
+   * One Otsu threshold for the whole image; suits clean screenshots with large modules
+   * @returns {Uint8Array} 1 for dark pixels
+   */
+  static globalThreshold(luminance) {
+    const histogram = new Array(256).fill(0);
+    let total = 0;
+    luminance.forEach(value => {
+      histogram[value]++;
+      total += value;
+    });
+
+    let best = 0;
+    let threshold = 127;
+    let weightBelow = 0;
+    let sumBelow = 0;
+    for (let t = 0; t < 256; t++) {
+      weightBelow += histogram[t];
+      const weightAbove = luminance.length - weightBelow;
+      if (weightBelow === 0) continue;
+      if (weightAbove === 0) break;
+
+      sumBelow += t * histogram[t];
+      const meanBelow = sumBelow / weightBelow;
+      const meanAbove = (total - sumBelow) / weightAbove;
+      const between = weightBelow * weightAbove * (meanBelow - meanAbove) ** 2;
+      if (between > best) {
+        best = between;
+        threshold = t;
+      }
+    }
+    return luminance.map(value => (value <= threshold ? 1 : 0));
+  }
+
+  /**
+   * Find the centres of 1:1:3:1:1 dark/light/dark/light/dark squares, checked
+   * across rows and then down and back across through the candidate centre
+   * @returns {Array<{x: number, y: number, moduleSize: number, count: number}>}
+   *   count is how many rows confirmed the pattern
+   */
+  static findFinderPatterns(bits, width, height) {
+    const found = [];
+
+    for (let y = 0; y < height; y++) {
+      const runs = [];
+      let start = 0;
+      for (let x = 1; x <= width; x++) {
+        if (x === width || bits[y * width + x] !== bits[y * width + start]) {
+          runs.push({ dark: bits[y * width + start] === 1, start, length: x - start });
+          start = x;
+        }
+      }
+
+      for (let i = 0; i + 4 < runs.length; i++) {
+        if (!runs[i].dark) continue;
+        const counts = runs.slice(i, i + 5).map(run => run.length);
+        if (!QRDecoder.isFinderRatio(counts)) continue;
+
+        const rowTotal = counts.reduce((sum, count) => sum + count, 0);
+        let cx = runs[i + 2].start + runs[i + 2].length / 2;
+
+        const isClose = (cross) => cross && Math.abs(cross.total - rowTotal) <= rowTotal * 0.4;
+        const vertical = QRDecoder.measureCross(bits, width, height, cx, y + 0.5, 0, 1, rowTotal * 2);
+        if (!isClose(vertical)) continue;
+        const cy = y + 0.5 + vertical.offset;
+
+        const horizontal = QRDecoder.measureCross(bits, width, height, cx, cy, 1, 0, rowTotal * 2);
+        if (!isClose(horizontal)) continue;
+        cx += horizontal.offset;
+
+        QRDecoder.addFinderCandidate(found, cx, cy, (vertical.total + horizontal.total) / 14);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Check five run lengths are close to 1:1:3:1:1
+   */
+  static isFinderRatio(counts) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (total < 7) return false;
+
+    const moduleSize = total / 7;
+    const tolerance = moduleSize * 0.75;
+    return counts.every((count, i) => {
+      const expected = i === 2 ? 3 : 1;
+      return Math.abs(count - moduleSize * expected) < tolerance * expected;
+    });
+  }
+
+  /**
+   * Measure a finder pattern along a line through (x, y), outward both ways
+   * @param {number} maxTotal - Longest pattern worth following, in pixels
+   * @returns {{offset: number, total: number}|null} Where the centre really is along
+   *   the line, and the pattern width; null if the line doesn't cross a finder
+   */
+  static measureCross(bits, width, height, x, y, dx, dy, maxTotal) {
+    const at = (step) => {
+      const px = Math.floor(x + dx * step);
+      const py = Math.floor(y + dy * step);
+      return px < 0 || py < 0 || px >= width || py >= height ? null : bits[py * width + px];
+    };
+
+    // Centre dark, light ring, outer dark ring, counted from the centre out
+    const walk = (sign) => {
+      const runs = [0, 0, 0];
+      let state = 0;
+      for (let step = 0; ; step++) {
+        const value = at(sign * step);
+        if (value === null) break;
+        if (value === (state === 1 ? 0 : 1)) {
+          runs[state]++;
+        } else if (state < 2) {
+          state++;
+          runs[state]++;
+        } else {
+          break;
+        }
+        if (runs[state] > maxTotal) return null;
+      }
+      return runs;
+    };
+
+    if (at(0) !== 1) return null;
+    const forward = walk(1);
+    const backward = walk(-1);
+    if (!forward || !backward) return null;
+
+    const counts = [backward[2], backward[1], forward[0] + backward[0] - 1, forward[1], forward[2]];
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (counts.includes(0) || !QRDecoder.isFinderRatio(counts)) return null;
+    return { offset: (forward[0] - backward[0]) / 2, total };
+  }
+
+  /**
+   * Merge a finder sighting with an earlier one at the same spot, or add it
+   */
+  static addFinderCandidate(found, x, y, moduleSize) {
+    const match = found.find(candidate =>
+      Math.abs(candidate.x - x) <= candidate.moduleSize * 2 &&
+      Math.abs(candidate.y - y) <= candidate.moduleSize * 2 &&
+      Math.abs(candidate.moduleSize - moduleSize) <= candidate.moduleSize
+    );
+
+    if (!match) {
+      found.push({ x, y, moduleSize, count: 1 });
+      return;
+    }
+
+    const weight = match.count;
+    match.x = (match.x * weight + x) / (weight + 1);
+    match.y = (match.y * weight + y) / (weight + 1);
+    match.moduleSize = (match.moduleSize * weight + moduleSize) / (weight + 1);
+    match.count++;
+  }
+
+  /**
+   * Sets of three finders that sit like the corners of a square, best first
+   */
+  static chooseFinderTriples(found) {
+    const confirmed = found.filter(candidate => candidate.count >= 2);
+    const candidates = (confirmed.length >= 3 ? confirmed : found)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_FINDER_CANDIDATES);
+
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const triples = [];
+    for (let i = 0; i < candidates.length; i++) {
+      for (let j = i + 1; j < candidates.length; j++) {
+        for (let k = j + 1; k < candidates.length; k++) {
+          const triple = [candidates[i], candidates[j], candidates[k]];
+          const sizes = triple.map(candidate => candidate.moduleSize);
+          if (Math.max(...sizes) > Math.min(...sizes) * 2) continue;
+
+          // Two equal sides and a hypotenuse, at least a version 1 code apart
+          const [a, b, c] = [distance(triple[0], triple[1]), distance(triple[1], triple[2]), distance(triple[0], triple[2])]
+            .sort((x, y) => x - y);
+          const moduleSize = sizes.reduce((sum, size) => sum + size, 0) / 3;
+          if (a < moduleSize * 10) continue;
+
+          const score = Math.abs(c * c - (a * a + b * b)) / (c * c) + (b - a) / b;
+          if (score < 0.5) triples.push({ triple, score });
+        }
+      }
+    }
+
+    return triples.sort((x, y) => x.score - y.score)
+      .slice(0, MAX_FINDER_TRIPLES)
+      .map(({ triple }) => triple);
+  }
+
+  /**
+   * Work out which finder is which: top-left faces the longest side, and the
+   * other two go clockwise from it
+   */
+  static orientFinders([a, b, c]) {
+    const distance = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+    const sides = [
+      { corner: a, others: [b, c], length: distance(b, c) },
+      { corner: b, others: [a, c], length: distance(a, c) },
+      { corner: c, others: [a, b], length: distance(a, b) }
+    ].sort((x, y) => y.length - x.length);
+
+    const topLeft = sides[0].corner;
+    let [topRight, bottomLeft] = sides[0].others;
+    const cross = (topRight.x - topLeft.x) * (bottomLeft.y - topLeft.y) - (topRight.y - topLeft.y) * (bottomLeft.x - topLeft.x);
+    if (cross < 0) {
+      [topRight, bottomLeft] = [bottomLeft, topRight];
+    }
+    return { topLeft, topRight, bottomLeft };
+  }
+
+  /**
+   * Module size of a finder measured towards another finder, along the code's
+   * axis rather than the image rows, so rotation doesn't inflate it
+   */
+  static measureModuleSize(bits, width, height, finder, towards) {
+    const length = Math.hypot(towards.x - finder.x, towards.y - finder.y);
+    const cross = QRDecoder.measureCross(
+      bits, width, height, finder.x, finder.y,
+      (towards.x - finder.x) / length, (towards.y - finder.y) / length,
+      finder.moduleSize * 14
+    );
+    return cross ? cross.total / 7 : finder.moduleSize;
+  }
+
+  /**
+   * Guess the version from the finder spacing and module size
+   */
+  static estimateVersion(bits, width, height, { topLeft, topRight, bottomLeft }) {
+    const moduleSize = (
+      QRDecoder.measureModuleSize(bits, width, height, topLeft, topRight) +
+      QRDecoder.measureModuleSize(bits, width, height, topLeft, bottomLeft) +
+      QRDecoder.measureModuleSize(bits, width, height, topRight, topLeft) +
+      QRDecoder.measureModuleSize(bits, width, height, bottomLeft, topLeft)
+    ) / 4;
+    const span = (Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) +
+      Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y)) / 2;
+    const size = span / moduleSize + 7;
+    return Math.min(40, Math.max(1, Math.round((size - 17) / 4)));
+  }
+
+  /**
+   * Read the module grid for a version through a perspective transform. The
+   * fourth corner comes from the bottom-right alignment pattern when there is one
+   * @returns {boolean[][]} [y][x] true for dark
+   */
+  static sampleGrid(bits, width, height, { topLeft, topRight, bottomLeft }, version) {
+    const size = QRCode.getSize(version);
+    const far = size - 3.5;
+
+    let corner = { x: topRight.x + bottomLeft.x - topLeft.x, y: topRight.y + bottomLeft.y - topLeft.y };
+    let cornerModule = far;
+    if (version >= 2) {
+      const alignment = QRDecoder.findAlignmentPattern(bits, width, height, { topLeft, topRight, bottomLeft }, size);
+      if (alignment) {
+        corner = alignment;
+        cornerModule = size - 6.5;
+      }
+    }
+
+    const transform = QRDecoder.quadrilateralToQuadrilateral(
+      [[3.5, 3.5], [far, 3.5], [cornerModule, cornerModule], [3.5, far]],
+      [[topLeft.x, topLeft.y], [topRight.x, topRight.y], [corner.x, corner.y], [bottomLeft.x, bottomLeft.y]]
+    );
+
+    return Array.from({ length: size }, (_, y) => Array.from({ length: size }, (_, x) => {
+      const [px, py] = QRDecoder.transformPoint(transform, x + 0.5, y + 0.5);
+      const ix = Math.floor(px);
+      const iy = Math.floor(py);
+      return ix >= 0 && iy >= 0 && ix < width && iy < height && bits[iy * width + ix] === 1;
+    }));
+  }
+
+  /**
+   * Search near where the bottom-right alignment pattern should be for a dark
+   * module ringed by light and then dark, along the code's own axes
+   * @returns {{x: number, y: number}|null}
+   */
+  static findAlignmentPattern(bits, width, height, { topLeft, topRight, bottomLeft }, size) {
+    const span = size - 7;
+    const ux = { x: (topRight.x - topLeft.x) / span, y: (topRight.y - topLeft.y) / span };
+    const uy = { x: (bottomLeft.x - topLeft.x) / span, y: (bottomLeft.y - topLeft.y) / span };
+    const moduleSize = Math.hypot(ux.x, ux.y);
+
+    // Its centre is at module size - 6.5, the finder's at 3.5
+    const along = size - 10;
+    const expected = {
+      x: topLeft.x + (ux.x + uy.x) * along,
+      y: topLeft.y + (ux.y + uy.y) * along
+    };
+
+    // In perspective the far corner looks smaller (or larger) by about the
+    // product of how the other two finders compare with the top-left one
+    const measure = (finder, towards) => QRDecoder.measureModuleSize(bits, width, height, finder, towards);
+    const near = measure(topLeft, topRight) * measure(topLeft, bottomLeft);
+    const scale = Math.min(2, Math.max(0.5, (measure(topRight, topLeft) * measure(bottomLeft, topLeft)) / near));
+
+    const isDark = (x, y, mx, my) => {
+      const px = Math.floor(x + (ux.x * mx + uy.x * my) * scale);
+      const py = Math.floor(y + (ux.y * mx + uy.y * my) * scale);
+      return px >= 0 && py >= 0 && px < width && py < height && bits[py * width + px] === 1;
+    };
+    // Samples of the 5x5 pattern that disagree; perspective can push a couple off
+    const mismatches = (x, y) => {
+      if (!isDark(x, y, 0, 0)) return Infinity;
+      let count = 0;
+      for (let my = -2; my <= 2; my++) {
+        for (let mx = -2; mx <= 2; mx++) {
+          const ring = Math.max(Math.abs(mx), Math.abs(my));
+          if (ring > 0 && isDark(x, y, mx, my) !== (ring === 2)) count++;
+        }
+      }
+      return count;
+    };
+
+    // Look close by first, then further out for codes seen at an angle
+    const step = Math.max(1, Math.floor(moduleSize / 4));
+    let hits = [];
+    for (const allowance of [4, 8, 12]) {
+      const radius = Math.ceil(moduleSize * allowance);
+      for (let dy = -radius; dy <= radius; dy += step) {
+        for (let dx = -radius; dx <= radius; dx += step) {
+          const x = Math.floor(expected.x + dx) + 0.5;
+          const y = Math.floor(expected.y + dy) + 0.5;
+          const errors = mismatches(x, y);
+          if (errors <= MAX_ALIGNMENT_MISMATCHES) hits.push({ x, y, errors });
+        }
+      }
+      if (hits.length > 0) break;
+    }
+    if (hits.length === 0) return null;
+
+    // Centre of the best hits around the one nearest where it was expected
+    const fewest = Math.min(...hits.map(hit => hit.errors));
+    hits = hits.filter(hit => hit.errors === fewest);
+    const nearest = hits.reduce((best, hit) =>
+      Math.hypot(hit.x - expected.x, hit.y - expected.y) < Math.hypot(best.x - expected.x, best.y - expected.y) ? hit : best
+    );
+    const cluster = hits.filter(hit => Math.hypot(hit.x - nearest.x, hit.y - nearest.y) <= moduleSize);
+    return {
+      x: cluster.reduce((sum, hit) => sum + hit.x, 0) / cluster.length,
+      y: cluster.reduce((sum, hit) => sum + hit.y, 0) / cluster.length
+    };
+  }
+
+  /**
+   * Homogeneous 3x3 matrix mapping four points onto four others
+   */
+  static quadrilateralToQuadrilateral(from, to) {
+    return QRDecoder.multiply(
+      QRDecoder.squareToQuadrilateral(to),
+      QRDecoder.adjugate(QRDecoder.squareToQuadrilateral(from))
+    );
+  }
+
+  /**
+   * Matrix mapping the unit square (0,0) (1,0) (1,1) (0,1) onto four points
+   */
+  static squareToQuadrilateral([[x0, y0], [x1, y1], [x2, y2], [x3, y3]]) {
+    const dx3 = x0 - x1 + x2 - x3;
+    const dy3 = y0 - y1 + y2 - y3;
+    if (dx3 === 0 && dy3 === 0) {
+      return [[x1 - x0, x2 - x1, x0], [y1 - y0, y2 - y1, y0], [0, 0, 1]];
+    }
+
+    const dx1 = x1 - x2;
+    const dx2 = x3 - x2;
+    const dy1 = y1 - y2;
+    const dy2 = y3 - y2;
+    const denominator = dx1 * dy2 - dx2 * dy1;
+    const g = (dx3 * dy2 - dx2 * dy3) / denominator;
+    const h = (dx1 * dy3 - dx3 * dy1) / denominator;
+    return [
+      [x1 - x0 + g * x1, x3 - x0 + h * x3, x0],
+      [y1 - y0 + g * y1, y3 - y0 + h * y3, y0],
+      [g, h, 1]
+    ];
+  }
+
+  /**
+   * Adjugate of a 3x3 matrix (its inverse up to scale, which is all a projective map needs)
+   */
+  static adjugate([[a, b, c], [d, e, f], [g, h, i]]) {
+    return [
+      [e * i - f * h, c * h - b * i, b * f - c * e],
+      [f * g - d * i, a * i - c * g, c * d - a * f],
+      [d * h - e * g, b * g - a * h, a * e - b * d]
+    ];
+  }
+
+  /**
+   * Product of two 3x3 matrices
+   */
+  static multiply(left, right) {
+    return left.map(row => [0, 1, 2].map(column =>
+      row.reduce((sum, value, k) => sum + value * right[k][column], 0)
+    ));
+  }
+
+  /**
+   * Apply a homogeneous transform to a point
+   */
+  static transformPoint([[a, b, c], [d, e, f], [g, h, i]], x, y) {
+    const w = g * x + h * y + i;
+    return [(a * x + b * y + c) / w, (d * x + e * y + f) / w];
+  }
+
+  /**
+   * Read the version information blocks, for versions 7 and up
+   * @returns {number|null} Null if neither copy is close to a valid version
+   */
+  static readVersion(grid) {
+    const copies = QRCode.getVersionPositions(grid.length).map(positions => QRDecoder.readBits(grid, positions));
+
+    let best = null;
+    for (let version = 7; version <= 40; version++) {
+      const expected = QRCode.getVersionBits(version);
+      const errors = Math.min(...copies.map(bits => QRDecoder.countBits(bits ^ expected)));
+      if (!best || errors < best.errors) best = { version, errors };
+    }
+    return best.errors <= MAX_INFO_ERRORS ? best.version : null;
+  }
+
+  /**
+   * Turn a sampled grid into text
+   * @returns {string|null}
+   */
+  static decodeGrid(grid, version) {
+    const size = grid.length;
+    const copies = QRCode.getFormatPositions(size).map(positions => QRDecoder.readBits(grid, positions));
+
+    let format = null;
+    for (const ecc of QR_ECC_LEVELS) {
+      for (let mask = 0; mask < 8; mask++) {
+        const expected = QRCode.getFormatBits(ecc, mask);
+        const errors = Math.min(...copies.map(bits => QRDecoder.countBits(bits ^ expected)));
+        if (!format || errors < format.errors) format = { ecc, mask, errors };
+      }
+    }
+    if (format.errors > MAX_INFO_ERRORS) return null;
+
+    // Unmask the data modules into codewords
+    const positions = QRCode.getCodewordPositions(version);
+    const codewords = new Array(Math.floor(QRCode.getRawDataModules(version) / 8)).fill(0);
+    for (let i = 0; i < codewords.length * 8; i++) {
+      const [x, y] = positions[i];
+      if (grid[y][x] !== QRCode.maskBit(format.mask, x, y)) {
+        codewords[i >>> 3] |= 0x80 >>> (i & 7);
+      }
+    }
+
+    // De-interleave: data codewords of each block in turn, then error correction
+    const { eccLength, dataLengths } = QRCode.getBlockLayout(version, format.ecc);
+    const blocks = dataLengths.map(length => new Array(length + eccLength));
+    let index = 0;
+    for (let i = 0; i < Math.max(...dataLengths); i++) {
+      blocks.forEach((block, j) => {
+        if (i < dataLengths[j]) block[i] = codewords[index++];
+      });
+    }
+    for (let i = 0; i < eccLength; i++) {
+      blocks.forEach((block, j) => {
+        block[dataLengths[j] + i] = codewords[index++];
+      });
+    }
+
+    const data = [];
+    for (let j = 0; j < blocks.length; j++) {
+      const corrected = QRDecoder.correctErrors(blocks[j], eccLength);
+      if (!corrected) return null;
+      data.push(...corrected.slice(0, dataLengths[j]));
+    }
+    return QRDecoder.parseSegments(data, version);
+  }
+
+  /**
+   * Fix up to eccLength / 2 wrong codewords in a block: Berlekamp-Massey for
+   * the error locator, Chien search for the positions, Forney for the values
+   * @returns {number[]|null} Corrected block, or null if it has too many errors
+   */
+  static correctErrors(block, eccLength) {
+    const mul = QRCode.gfMultiply;
+    const syndromesOf = (codewords) => Array.from({ length: eccLength }, (_, i) => {
+      const point = QRCode.gfPow(i);
+      return codewords.reduce((value, codeword) => mul(value, point) ^ codeword, 0);
+    });
+    // Polynomials below are lowest power first
+    const evaluate = (poly, x) => poly.reduceRight((value, coefficient) => mul(value, x) ^ coefficient, 0);
+
+    const syndromes = syndromesOf(block);
+    if (syndromes.every(syndrome => syndrome === 0)) return block;
+
+    let locator = [1];
+    let previous = [1];
+    let errors = 0;
+    let shift = 1;
+    let lastDiscrepancy = 1;
+    for (let k = 0; k < eccLength; k++) {
+      let discrepancy = syndromes[k];
+      for (let i = 1; i <= errors; i++) {
+        discrepancy ^= mul(locator[i] || 0, syndromes[k - i]);
+      }
+      if (discrepancy === 0) {
+        shift++;
+        continue;
+      }
+
+      const factor = QRCode.gfDivide(discrepancy, lastDiscrepancy);
+      const next = locator.slice();
+      previous.forEach((coefficient, i) => {
+        next[i + shift] = (next[i + shift] || 0) ^ mul(factor, coefficient);
+      });
+      if (2 * errors <= k) {
+        previous = locator;
+        errors = k + 1 - errors;
+        lastDiscrepancy = discrepancy;
+        shift = 1;
+      } else {
+        shift++;
+      }
+      locator = next;
+    }
+    if (errors * 2 > eccLength) return null;
+
+    const n = block.length;
+    const positions = [];
+    for (let power = 0; power < n; power++) {
+      if (evaluate(locator, QRCode.gfPow(-power)) === 0) positions.push(power);
+    }
+    if (positions.length !== errors) return null;
+
+    const evaluator = new Array(eccLength).fill(0);
+    syndromes.forEach((syndrome, i) => locator.forEach((coefficient, j) => {
+      if (i + j < eccLength) evaluator[i + j] ^= mul(syndrome, coefficient || 0);
+    }));
+    const derivative = locator.map((coefficient, i) => (i % 2 === 1 ? coefficient || 0 : 0)).slice(1);
+
+    const corrected = [...block];
+    for (const power of positions) {
+      const inverse = QRCode.gfPow(-power);
+      const denominator = evaluate(derivative, inverse);
+      if (denominator === 0) return null;
+      corrected[n - 1 - power] ^= QRCode.gfDivide(mul(QRCode.gfPow(power), evaluate(evaluator, inverse)), denominator);
+    }
+
+    return syndromesOf(corrected).every(syndrome => syndrome === 0) ? corrected : null;
+  }
+
+  /**
+   * Read numeric, alphanumeric and byte segments; ECI designators are skipped
+   * and bytes are read as UTF-8, falling back to Latin-1
+   * @returns {string|null} Null for Kanji or malformed data
+   */
+  static parseSegments(data, version) {
+    const totalBits = data.length * 8;
+    let offset = 0;
+    const read = (length) => {
+      let value = 0;
+      for (let i = 0; i < length; i++, offset++) {
+        value = (value << 1) | (offset < totalBits ? (data[offset >>> 3] >>> (7 - (offset & 7))) & 1 : 0);
+      }
+      return value;
+    };
+
+    const sizeClass = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+    const bytes = [];
+    const pushText = (text) => bytes.push(...[...text].map(char => char.charCodeAt(0)));
+
+    while (totalBits - offset >= 4) {
+      const mode = read(4);
+      if (mode === MODE_TERMINATOR) break;
+
+      if (mode === MODE_ECI) {
+        const first = read(8);
+        if ((first & 0xc0) === 0x80) read(8);
+        else if ((first & 0xe0) === 0xc0) read(16);
+        continue;
+      }
+      if (!COUNT_BITS[mode]) return null;
+
+      let count = read(COUNT_BITS[mode][sizeClass]);
+      if (mode === MODE_NUMERIC) {
+        for (; count >= 3; count -= 3) {
+          const value = read(10);
+          if (value > 999) return null;
+          pushText(String(value).padStart(3, '0'));
+        }
+        if (count > 0) {
+          const value = read(count === 2 ? 7 : 4);
+          if (value >= 10 ** count) return null;
+          pushText(String(value).padStart(count, '0'));
+        }
+      } else if (mode === MODE_ALPHANUMERIC) {
+        for (; count >= 2; count -= 2) {
+          const value = read(11);
+          if (value >= 45 * 45) return null;
+          pushText(ALPHANUMERIC_CHARS[Math.floor(value / 45)] + ALPHANUMERIC_CHARS[value % 45]);
+        }
+        if (count === 1) {
+          const value = read(6);
+          if (value >= 45) return null;
+          pushText(ALPHANUMERIC_CHARS[value]);
+        }
+      } else {
+        for (; count > 0; count--) bytes.push(read(8));
+      }
+
+      if (offset > totalBits) return null;
+    }
+
+    const array = Uint8Array.from(bytes);
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(array);
+    } catch {
+      return String.fromCharCode(...array);
+    }
+  }
+
+  /**
+   * Bits from grid positions, first position as bit 0
+   */
+  static readBits(grid, positions) {
+    return positions.reduce((bits, [x, y], i) => (grid[y][x] ? bits | (1 << i) : bits), 0);
+  }
+
+  /**
+   * Number of set bits
+   */
+  static countBits(value) {
+    let count = 0;
+    for (let rest = value; rest; rest &= rest - 1) count++;
+    return count;
+  }
+}
\ No newline at end of file
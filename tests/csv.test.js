@@ -0,0 +1,32 @@
+/**
+ * CSV Utility tests
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CSV } from '../src/utils/csv.js';
+import { csvExporter } from '../src/core/csv-export.js';
+
+test('stringify prefixes cells a spreadsheet would run as formulas', () => {
+  assert.equal(CSV.stringify([['=SUM(A1)', '+1', '-2', '@cmd', 'plain']]), "'=SUM(A1),'+1,'-2,'@cmd,plain");
+});
+
+test('stringify writes verbatim columns as they are', () => {
+  const csv = CSV.stringify([['Site', 'Password'], ['=site', '=pa"ss,word']], { verbatimColumns: [1] });
+  assert.equal(csv, 'Site,Password\r\n\'=site,"=pa""ss,word"');
+  assert.deepEqual(CSV.parse(csv)[1], ["'=site", '=pa"ss,word']);
+});
+
+test('restoreFormula undoes the prefix on import', () => {
+  assert.equal(CSV.restoreFormula(CSV.neutralizeFormula('-5')), '-5');
+  assert.equal(CSV.restoreFormula('plain'), 'plain');
+});
+
+test('credential export keeps passwords verbatim and neutralizes the other columns', () => {
+  const state = {
+    sites: [{ name: '=site', url: 'https://example.com', credentials: [{ label: '@work', email: 'me@example.com', password: '-secret' }] }]
+  };
+  const csv = csvExporter.credentials(state, { columns: ['siteName', 'label', 'password'], includePasswords: true });
+  assert.equal(csv, "Site Name,Label,Password\r\n'=site,'@work,-secret");
+});
\ No newline at end of file